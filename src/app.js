@@ -7,16 +7,21 @@ const compression = require('compression');
 
 // Import routes
 const healthRoutes = require('./routes/health');
+const metricsRoutes = require('./routes/metrics');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
+const httpMetrics = require('./middleware/httpMetrics');
 
 // Import route loader utility
 const { autoLoadRoutes } = require('./utils/routeLoader');
 
 const app = express();
 
+// Request latency metrics (see /metrics)
+app.use(httpMetrics);
+
 // Security middleware
 app.use(helmet());
 app.use(cors());
@@ -45,6 +50,7 @@ if (process.env.NODE_ENV === 'development') {
 
 // Static routes
 app.use('/api/health', healthRoutes);
+app.use('/metrics', metricsRoutes);
 
 // Auto-load module routes
 console.log('🚀 Loading module routes...');
@@ -0,0 +1,32 @@
+const { parseDuration } = require('./jwt');
+
+module.exports = {
+  // How long a password reset link works
+  passwordResetExpiresIn: parseDuration(
+    process.env.PASSWORD_RESET_EXPIRES_IN || '30m'
+  ),
+  // How long an email verification link works
+  emailVerificationExpiresIn: parseDuration(
+    process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h'
+  ),
+  // Minimum time between two verification emails to the same account
+  emailVerificationResendInterval: parseDuration(
+    process.env.EMAIL_VERIFICATION_RESEND_INTERVAL || '60s'
+  ),
+  // How long the challenge token from a password login waits for the
+  // second factor (users with two-factor authentication)
+  twoFactorChallengeExpiresIn: parseDuration(
+    process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m'
+  ),
+  // Wrong codes accepted on one challenge before it is revoked
+  twoFactorMaxAttempts: 5,
+  // Name authenticator apps show for the account
+  twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'Job Match',
+  // One-time codes that replace the authenticator when it is lost
+  recoveryCodeCount: 10,
+  // Whether AI endpoints are limited to accounts with a verified email. On by
+  // default; tests register users without verifying them, so it is off there.
+  requireVerifiedEmail:
+    (process.env.REQUIRE_VERIFIED_EMAIL ||
+      (process.env.NODE_ENV === 'test' ? 'false' : 'true')) === 'true',
+};
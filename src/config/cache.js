@@ -0,0 +1,38 @@
+// AI response cache backend: memory (per process), mongo (TTL collection) or redis
+const driver =
+  process.env.CACHE_DRIVER ||
+  (process.env.NODE_ENV === 'test' ? 'memory' : 'mongo');
+
+// How long a cached response is served, in seconds. Each namespace (the LLM
+// task type) can override it, e.g. CACHE_TTL_JOB_SPECIFIC_DETAILS=3600
+const defaultTtl = parseInt(process.env.CACHE_TTL_SECONDS) || 24 * 60 * 60;
+
+const toEnvSuffix = (namespace) =>
+  namespace.replace(/([A-Z])/g, '_$1').toUpperCase();
+
+/**
+ * TTL for a cache namespace
+ * @param {string} namespace - Namespace (LLM task type)
+ * @returns {number} - Milliseconds
+ */
+const getTtl = (namespace) =>
+  (parseInt(process.env[`CACHE_TTL_${toEnvSuffix(namespace)}`]) || defaultTtl) *
+  1000;
+
+const stores = {
+  memory: {
+    maxEntries: parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES) || 1000,
+  },
+  mongo: {},
+  redis: {
+    url: process.env.REDIS_URL || 'redis://localhost:6379',
+    keyPrefix: process.env.CACHE_REDIS_PREFIX || 'ai-cache:',
+  },
+};
+
+module.exports = {
+  driver,
+  defaultTtl,
+  getTtl,
+  stores,
+};
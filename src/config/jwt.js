@@ -1,24 +1,59 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
+// Tests sign with a fixed secret; anywhere else the server refuses to start without one
+if (!process.env.JWT_SECRET && process.env.NODE_ENV !== 'test') {
+  throw new Error('JWT_SECRET must be set');
+}
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+// Milliseconds in a duration such as '15m' or '7d' (a bare number is seconds)
+const parseDuration = (value) => {
+  const match = /^(\d+)([smhd]?)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+  return parseInt(match[1]) * DURATION_UNITS[match[2] || 's'];
+};
+
 const jwtConfig = {
-  secret: process.env.JWT_SECRET || 'fallback-secret-key',
-  expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+  secret: process.env.JWT_SECRET || 'test-secret-key',
+  // Access tokens are short-lived; clients renew them with their refresh token
+  accessExpiresIn: parseDuration(process.env.JWT_ACCESS_EXPIRES_IN || '15m'),
+  // A session ends when its refresh token goes unused for this long
+  refreshExpiresIn: parseDuration(process.env.JWT_REFRESH_EXPIRES_IN || '7d'),
 };
 
-// Generate JWT token
+// Generate an access token
 const generateToken = (payload) => {
   return jwt.sign(payload, jwtConfig.secret, {
-    expiresIn: jwtConfig.expiresIn,
+    expiresIn: Math.floor(jwtConfig.accessExpiresIn / 1000),
   });
 };
 
-// Verify JWT token
+// Verify an access token
 const verifyToken = (token) => {
   return jwt.verify(token, jwtConfig.secret);
 };
 
+// Generate an opaque refresh token (only its hash is stored)
+const generateRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Hash a refresh token for storage and lookup
+const hashRefreshToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
 module.exports = {
   jwtConfig,
+  parseDuration,
   generateToken,
   verifyToken,
-};
\ No newline at end of file
+  generateRefreshToken,
+  hashRefreshToken,
+};
@@ -0,0 +1,67 @@
+const openaiConfig = require('./openai');
+
+// Task types that call an LLM. Each can be routed to its own provider/model:
+//   LLM_PROVIDER_<TASK>=anthropic  LLM_MODEL_<TASK>=claude-3-5-haiku-latest
+// e.g. LLM_PROVIDER_JOB_SPECIFIC_DETAILS, LLM_MODEL_SALARY_ESTIMATE
+const TASKS = [
+  'analysis',
+  'jobSpecificDetails',
+  'linkedinProfile',
+  'salaryEstimate',
+  'idealResume',
+  'comparison',
+];
+
+const toEnvSuffix = (task) => task.replace(/([A-Z])/g, '_$1').toUpperCase();
+
+// Tests and offline dev fall back to the deterministic fake provider
+const defaultProvider =
+  process.env.LLM_PROVIDER ||
+  (process.env.NODE_ENV === 'test' ? 'fake' : 'openai');
+
+const tasks = Object.fromEntries(
+  TASKS.map((task) => [
+    task,
+    {
+      provider:
+        process.env[`LLM_PROVIDER_${toEnvSuffix(task)}`] || defaultProvider,
+      model: process.env[`LLM_MODEL_${toEnvSuffix(task)}`] || null,
+    },
+  ])
+);
+
+const providers = {
+  openai: {
+    apiKey: openaiConfig.apiKey,
+    model: openaiConfig.model,
+  },
+  'azure-openai': {
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+    // Azure addresses models by deployment name
+    model: process.env.AZURE_OPENAI_DEPLOYMENT,
+  },
+  anthropic: {
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+    model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+    maxTokens: parseInt(process.env.ANTHROPIC_MAX_TOKENS) || 4096,
+  },
+  // Any OpenAI-compatible endpoint, e.g. Ollama, LM Studio or vLLM
+  local: {
+    baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'ollama',
+    model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+  },
+  fake: {
+    model: 'fake-model',
+  },
+};
+
+module.exports = {
+  TASKS,
+  defaultProvider,
+  tasks,
+  providers,
+};
@@ -0,0 +1,47 @@
+// Mail transport: smtp, console (prints mails to the log; not in production)
+// or memory (keeps them in the process, for tests)
+const driver =
+  process.env.MAIL_DRIVER ||
+  (process.env.NODE_ENV === 'test'
+    ? 'memory'
+    : process.env.SMTP_HOST
+      ? 'smtp'
+      : 'console');
+
+// The console transport prints reset and verification links to the log, so
+// production refuses to start without a real SMTP server
+if (
+  process.env.NODE_ENV === 'production' &&
+  (driver !== 'smtp' || !process.env.SMTP_HOST)
+) {
+  throw new Error('Mail needs MAIL_DRIVER=smtp and SMTP_HOST in production');
+}
+
+const from = process.env.MAIL_FROM || 'Job Match <no-reply@localhost>';
+
+// Frontend base URL, for the links sent in emails
+const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(
+  /\/+$/,
+  ''
+);
+
+const transports = {
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    // true for port 465 (TLS from the start); other ports upgrade with STARTTLS
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  },
+  console: {},
+  memory: {},
+};
+
+module.exports = {
+  driver,
+  from,
+  appUrl,
+  transports,
+};
@@ -0,0 +1,81 @@
+const { parseDuration } = require('./jwt');
+const { appUrl } = require('./mail');
+
+// Public base URL of this API; providers redirect the browser back to
+// <API_URL>/api/auth/oauth/<provider>/callback, which must be registered with them
+const apiUrl = (
+  process.env.API_URL || `http://localhost:${process.env.PORT || 5001}`
+).replace(/\/+$/, '');
+
+const callbackUrl = (provider) =>
+  `${apiUrl}/api/auth/oauth/${provider}/callback`;
+
+// Login providers. `type` picks the client: oidc (ID token checked against
+// the provider's JWKS), github (plain OAuth 2.0 plus the GitHub API) or mock.
+// A provider is offered once its client ID and secret are set.
+const providers = {
+  google: {
+    type: 'oidc',
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    issuer: 'https://accounts.google.com',
+    authorizationUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenUrl: 'https://oauth2.googleapis.com/token',
+    jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
+    scope: 'openid email profile',
+    pkce: true,
+    callbackUrl: callbackUrl('google'),
+  },
+  linkedin: {
+    type: 'oidc',
+    clientId: process.env.LINKEDIN_CLIENT_ID,
+    clientSecret: process.env.LINKEDIN_CLIENT_SECRET,
+    issuer: 'https://www.linkedin.com/oauth',
+    authorizationUrl: 'https://www.linkedin.com/oauth/v2/authorization',
+    tokenUrl: 'https://www.linkedin.com/oauth/v2/accessToken',
+    jwksUri: 'https://www.linkedin.com/oauth/openid/jwks',
+    scope: 'openid profile email',
+    // LinkedIn only supports PKCE for native apps
+    pkce: false,
+    callbackUrl: callbackUrl('linkedin'),
+  },
+  github: {
+    type: 'github',
+    clientId: process.env.GITHUB_CLIENT_ID,
+    clientSecret: process.env.GITHUB_CLIENT_SECRET,
+    authorizationUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    apiUrl: 'https://api.github.com',
+    scope: 'read:user user:email',
+    pkce: true,
+    callbackUrl: callbackUrl('github'),
+  },
+  // In-process OpenID provider for tests (see utils/oauth/providers/mock.provider.js).
+  // Anyone can sign in as anyone with it, so it is never on outside tests
+  // unless OAUTH_MOCK_ENABLED=true.
+  mock: {
+    type: 'mock',
+    enabled:
+      process.env.OAUTH_MOCK_ENABLED === 'true' ||
+      process.env.NODE_ENV === 'test',
+    clientId: 'mock-client',
+    clientSecret: 'mock-secret',
+    issuer: 'https://mock-oidc.test',
+    authorizationUrl: 'https://mock-oidc.test/authorize',
+    tokenUrl: 'https://mock-oidc.test/token',
+    jwksUri: 'https://mock-oidc.test/jwks',
+    scope: 'openid email profile',
+    pkce: true,
+    callbackUrl: callbackUrl('mock'),
+  },
+};
+
+module.exports = {
+  providers,
+  // How long a started login may take before its state is discarded
+  stateExpiresIn: parseDuration(process.env.OAUTH_STATE_EXPIRES_IN || '10m'),
+  // How long the frontend has to exchange the one-time login code
+  loginCodeExpiresIn: 60 * 1000,
+  // Frontend page the browser lands on after the provider, with ?code= or ?error=
+  frontendCallbackUrl: `${appUrl}/oauth/callback`,
+};
@@ -0,0 +1,83 @@
+// Plans a user can be on (User.plan)
+const PLANS = ['free', 'pro'];
+
+// AI usage limits per plan, per UTC day and calendar month. Override with
+// AI_QUOTA_<PLAN>_<DAILY|MONTHLY>_<REQUESTS|TOKENS>, e.g. AI_QUOTA_FREE_DAILY_TOKENS=50000
+// (0 = unlimited). Requests are LLM calls, tokens are prompt + completion tokens.
+const defaultQuotas = {
+  free: {
+    daily: { requests: 50, tokens: 150000 },
+    monthly: { requests: 500, tokens: 1500000 },
+  },
+  pro: {
+    daily: { requests: 500, tokens: 2000000 },
+    monthly: { requests: 10000, tokens: 40000000 },
+  },
+};
+
+const quotaFromEnv = (plan, period, metric) => {
+  const value = parseInt(
+    process.env[
+      `AI_QUOTA_${plan.toUpperCase()}_${period.toUpperCase()}_${metric.toUpperCase()}`
+    ]
+  );
+  const limit = Number.isNaN(value)
+    ? defaultQuotas[plan][period][metric]
+    : value;
+  return limit > 0 ? limit : null;
+};
+
+const quotas = Object.fromEntries(
+  PLANS.map((plan) => [
+    plan,
+    Object.fromEntries(
+      ['daily', 'monthly'].map((period) => [
+        period,
+        {
+          requests: quotaFromEnv(plan, period, 'requests'),
+          tokens: quotaFromEnv(plan, period, 'tokens'),
+        },
+      ])
+    ),
+  ])
+);
+
+// USD per million tokens ([prompt, completion]) for estimating the cost of a
+// call, matched against the start of the model name the provider reports.
+// Extend or override with LLM_PRICING='{"my-model": [0.5, 1.5]}'.
+const defaultPricing = {
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4.1-nano': [0.1, 0.4],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1': [2, 8],
+  'gpt-4-turbo': [10, 30],
+  'gpt-3.5-turbo': [0.5, 1.5],
+  'claude-3-5-haiku': [0.8, 4],
+  'claude-3-5-sonnet': [3, 15],
+  'claude-3-7-sonnet': [3, 15],
+  'claude-3-haiku': [0.25, 1.25],
+  'claude-3-opus': [15, 75],
+};
+
+const parsePricing = () => {
+  if (!process.env.LLM_PRICING) return {};
+  try {
+    return JSON.parse(process.env.LLM_PRICING);
+  } catch (error) {
+    console.warn('Ignoring LLM_PRICING: not valid JSON');
+    return {};
+  }
+};
+
+const pricing = { ...defaultPricing, ...parsePricing() };
+
+// Providers that cost nothing per token
+const freeProviders = ['local', 'fake'];
+
+module.exports = {
+  PLANS,
+  quotas,
+  pricing,
+  freeProviders,
+};
@@ -0,0 +1,20 @@
+const { assertWithinQuota } = require('../utils/llm/usage');
+
+/**
+ * Middleware to refuse AI requests from users who have used up their plan's
+ * allowance: 402 for the monthly limit, 429 for the daily one. Use after auth.
+ */
+const aiQuota = async (req, res, next) => {
+  try {
+    await assertWithinQuota(req.user._id);
+  } catch (error) {
+    if (error.details?.retryAfter != null) {
+      res.set('Retry-After', String(error.details.retryAfter));
+    }
+    return next(error);
+  }
+
+  next();
+};
+
+module.exports = aiQuota;
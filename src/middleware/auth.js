@@ -16,10 +16,10 @@ const auth = async (req, res, next) => {
     // Verify JWT token
     const decoded = verifyToken(token);
 
-    // Validate session in database
-    const session = await Session.validateSession(token);
+    // Validate session in database (logged out families are refused at once)
+    const session = await Session.validateSession(decoded.sid);
 
-    if (!session) {
+    if (!session || String(session.userId) !== String(decoded.id)) {
       return res.status(401).json({
         success: false,
         message: 'Session expired or invalid. Please login again.',
@@ -43,6 +43,15 @@ const auth = async (req, res, next) => {
 
     next();
   } catch (error) {
+    // Clients renew expired access tokens with POST /api/auth/refresh
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Access token expired',
+        code: 'TOKEN_EXPIRED',
+      });
+    }
+
     if (error.message === 'Invalid or expired session') {
       return res.status(401).json({
         success: false,
@@ -0,0 +1,51 @@
+const multer = require('multer');
+const AppError = require('../utils/AppError');
+
+// Kept apart from ./upload so CSV imports do not depend on the S3 configuration
+
+// Multer configuration for CSV imports (kept in memory and parsed, never stored)
+const CSV_MAX_SIZE = 1024 * 1024;
+const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const isCsv =
+      ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(
+        file.mimetype
+      ) || file.originalname.toLowerCase().endsWith('.csv');
+
+    if (isCsv) {
+      cb(null, true);
+    } else {
+      cb(
+        new AppError('Invalid file type. Please upload a CSV file', 400),
+        false
+      );
+    }
+  },
+  limits: {
+    fileSize: CSV_MAX_SIZE,
+    files: 1,
+  },
+});
+
+// Middleware to handle multer errors from CSV uploads
+const handleCsvUploadError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return next(new AppError('CSV file too large. Maximum size is 1MB', 400));
+    }
+    if (err.code === 'LIMIT_FILE_COUNT') {
+      return next(new AppError('Too many files. Upload a single CSV', 400));
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return next(new AppError('Unexpected field in form data', 400));
+    }
+    return next(new AppError(err.message, 400));
+  }
+  next(err);
+};
+
+module.exports = {
+  uploadCsv,
+  handleCsvUploadError,
+};
@@ -0,0 +1,27 @@
+const { httpRequestDuration } = require('../utils/metrics');
+
+// Route pattern a request matched, e.g. /api/job-match/:id ('unmatched' for 404s)
+const routeLabel = (req) => {
+  if (!req.route) return 'unmatched';
+  const path = req.route.path === '/' ? '' : req.route.path;
+  return `${req.baseUrl}${path}` || '/';
+};
+
+/**
+ * Middleware to time every request for the http_request_duration_seconds histogram.
+ */
+const httpMetrics = (req, res, next) => {
+  const stopTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    stopTimer({
+      method: req.method,
+      route: routeLabel(req),
+      status_code: res.statusCode,
+    });
+  });
+
+  next();
+};
+
+module.exports = httpMetrics;
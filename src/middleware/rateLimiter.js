@@ -62,8 +62,40 @@ const generalLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+/**
+ * Rate limiter for password reset requests
+ * Keeps the reset endpoints from being used to flood inboxes or guess tokens
+ */
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // Limit each IP to 5 requests per 15 minutes
+  message: {
+    success: false,
+    message: 'Too many password reset attempts, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Rate limiter for two-factor login codes
+ * Slows down guessing on top of the attempts allowed per challenge
+ */
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Limit each IP to 10 codes per 15 minutes
+  message: {
+    success: false,
+    message: 'Too many two-factor attempts, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 module.exports = {
   aiEndpointLimiter,
   strictAiLimiter,
   generalLimiter,
+  passwordResetLimiter,
+  twoFactorLimiter,
 };
@@ -0,0 +1,20 @@
+const authConfig = require('../config/auth');
+
+/**
+ * Middleware to refuse AI requests from accounts whose email is not verified,
+ * when REQUIRE_VERIFIED_EMAIL is on. Use after auth.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!authConfig.requireVerifiedEmail || req.user.emailVerified) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    message:
+      'Please verify your email address to use AI features. Check your inbox or ask for a new link with POST /api/auth/resend-verification.',
+    code: 'EMAIL_NOT_VERIFIED',
+  });
+};
+
+module.exports = requireVerifiedEmail;
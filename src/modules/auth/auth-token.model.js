@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Purposes a single-use token can be issued for
+const TOKEN_TYPES = [
+  'passwordReset',
+  'emailVerification',
+  'twoFactorChallenge',
+  'oauthLogin',
+];
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Single-use token sent to a user by email. Only its hash is stored.
+const authTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: TOKEN_TYPES,
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Address the token was sent to, for tokens that prove it belongs to the user
+    email: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Wrong answers given to the token's challenge (two-factor login)
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// MongoDB removes tokens once they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to issue a token, replacing the user's unused ones of the same type
+authTokenSchema.statics.issue = async function (
+  userId,
+  type,
+  ttlMs,
+  { email = null } = {}
+) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await this.deleteMany({ userId, type, usedAt: null });
+  await this.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    email,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+// Static method to get the user's most recent unused token of a type
+authTokenSchema.statics.findLatest = async function (userId, type) {
+  return this.findOne({ userId, type, usedAt: null }).sort({ createdAt: -1 });
+};
+
+// Static method to look up a usable token without using it up
+authTokenSchema.statics.findValid = async function (token, type) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    type,
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Static method to count a wrong answer to a token's challenge. The token is
+// used up once maxAttempts are reached.
+authTokenSchema.statics.recordFailedAttempt = async function (id, maxAttempts) {
+  const token = await this.findByIdAndUpdate(
+    id,
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (token && token.attempts >= maxAttempts) {
+    await this.updateOne({ _id: id, usedAt: null }, { usedAt: new Date() });
+  }
+};
+
+// Static method to use up a token. Returns it, or null if it is unknown,
+// expired or already used.
+authTokenSchema.statics.consume = async function (token, type) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
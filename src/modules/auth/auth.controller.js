@@ -1,4 +1,27 @@
 const authService = require('./auth.service');
+const oauthService = require('./oauth.service');
+const oauthConfig = require('../../config/oauth');
+
+// Cookie tying an OAuth callback to the browser that started the login
+const OAUTH_STATE_COOKIE = 'oauth_state';
+
+// Value of a request cookie (the app has no cookie parser)
+const readCookie = (req, name) => {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+};
+
+// Frontend OAuth landing page with query parameters
+const frontendCallback = (params) => {
+  const url = new URL(oauthConfig.frontendCallbackUrl);
+  Object.entries(params).forEach(([name, value]) =>
+    url.searchParams.set(name, value)
+  );
+  return url.toString();
+};
 
 class AuthController {
   // Register user
@@ -33,6 +56,32 @@ class AuthController {
         userAgent
       );
 
+      res.status(200).json({
+        success: true,
+        message: result.twoFactorRequired
+          ? 'Two-factor authentication required'
+          : 'Login successful',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Complete a login with a two-factor code
+  async loginTwoFactor(req, res, next) {
+    try {
+      const { challengeToken, code } = req.body;
+      const ipAddress = req.ip || req.connection.remoteAddress;
+      const userAgent = req.get('user-agent');
+
+      const result = await authService.completeTwoFactorLogin(
+        challengeToken,
+        code,
+        ipAddress,
+        userAgent
+      );
+
       res.status(200).json({
         success: true,
         message: 'Login successful',
@@ -43,6 +92,167 @@ class AuthController {
     }
   }
 
+  // Exchange a refresh token for new tokens
+  async refresh(req, res, next) {
+    try {
+      const ipAddress = req.ip || req.connection.remoteAddress;
+      const userAgent = req.get('user-agent');
+
+      const result = await authService.refresh(
+        req.body.refreshToken,
+        ipAddress,
+        userAgent
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Email a password reset link
+  async forgotPassword(req, res, next) {
+    try {
+      const result = await authService.requestPasswordReset(req.body.email);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Set a new password with a reset token
+  async resetPassword(req, res, next) {
+    try {
+      const { token, newPassword } = req.body;
+      const result = await authService.resetPassword(token, newPassword);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Verify email with the token from the emailed link
+  async verifyEmail(req, res, next) {
+    try {
+      const result = await authService.verifyEmail(req.body.token);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Send the verification email again
+  async resendVerification(req, res, next) {
+    try {
+      const result = await authService.resendVerificationEmail(req.user);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      if (error.details?.retryAfter != null) {
+        res.set('Retry-After', String(error.details.retryAfter));
+      }
+      next(error);
+    }
+  }
+
+  // List the OAuth providers users can log in with
+  async getOAuthProviders(req, res, next) {
+    try {
+      res.status(200).json({
+        success: true,
+        message: 'Login providers retrieved successfully',
+        data: { providers: oauthService.getProviders() },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Redirect the browser to an OAuth provider's login page
+  async startOAuth(req, res, next) {
+    try {
+      const { state, url } = await oauthService.start(req.params.provider);
+
+      res.cookie(OAUTH_STATE_COOKIE, state, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        // Sent along with the provider's top-level redirect back to us
+        sameSite: 'lax',
+        maxAge: oauthConfig.stateExpiresIn,
+        path: `${req.baseUrl}/oauth`,
+      });
+      res.redirect(url);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // OAuth provider callback: redirect to the frontend with a one-time login
+  // code, or with the error
+  async oauthCallback(req, res) {
+    res.clearCookie(OAUTH_STATE_COOKIE, { path: `${req.baseUrl}/oauth` });
+
+    try {
+      const code = await oauthService.handleCallback(
+        req.params.provider,
+        req.query,
+        readCookie(req, OAUTH_STATE_COOKIE)
+      );
+      res.redirect(frontendCallback({ code }));
+    } catch (error) {
+      console.error(`OAuth callback failed: ${error.message}`);
+      res.redirect(
+        frontendCallback({
+          error: error.code || 'OAUTH_FAILED',
+          message: error.statusCode ? error.message : 'Login failed',
+        })
+      );
+    }
+  }
+
+  // Exchange the one-time login code from the OAuth callback for tokens
+  async exchangeOAuthCode(req, res, next) {
+    try {
+      const ipAddress = req.ip || req.connection.remoteAddress;
+      const userAgent = req.get('user-agent');
+
+      const result = await oauthService.exchangeLoginCode(
+        req.body.code,
+        ipAddress,
+        userAgent
+      );
+
+      res.status(200).json({
+        success: true,
+        message: result.twoFactorRequired
+          ? 'Two-factor authentication required'
+          : 'Login successful',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Logout user
   async logout(req, res, next) {
     try {
@@ -121,6 +331,93 @@ class AuthController {
     }
   }
 
+  // Start two-factor setup
+  async setupTwoFactor(req, res, next) {
+    try {
+      const result = await authService.setupTwoFactor(req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message:
+          'Scan the QR code with your authenticator app, then confirm with a code',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Enable two-factor authentication with a first code
+  async confirmTwoFactor(req, res, next) {
+    try {
+      const result = await authService.confirmTwoFactor(
+        req.user._id,
+        req.body.code
+      );
+
+      res.status(200).json({
+        success: true,
+        message:
+          'Two-factor authentication enabled. Store the recovery codes safely; they are not shown again.',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Disable two-factor authentication
+  async disableTwoFactor(req, res, next) {
+    try {
+      const { password, code } = req.body;
+      const result = await authService.disableTwoFactor(
+        req.user._id,
+        password,
+        code
+      );
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Replace the two-factor recovery codes
+  async regenerateRecoveryCodes(req, res, next) {
+    try {
+      const result = await authService.regenerateRecoveryCodes(
+        req.user._id,
+        req.body.code
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Recovery codes regenerated',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get AI usage and remaining quota
+  async getUsage(req, res, next) {
+    try {
+      const usage = await authService.getAiUsage(req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'AI usage retrieved successfully',
+        data: usage,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Change password
   async changePassword(req, res, next) {
     try {
@@ -2,6 +2,10 @@ const express = require('express');
 const authController = require('./auth.controller');
 const authValidation = require('./auth.validation');
 const auth = require('../../middleware/auth');
+const {
+  passwordResetLimiter,
+  twoFactorLimiter,
+} = require('../../middleware/rateLimiter');
 
 const router = express.Router();
 
@@ -12,11 +16,46 @@ router.post(
   authController.register
 );
 router.post('/login', authValidation.validateLogin, authController.login);
+router.post(
+  '/login/2fa',
+  twoFactorLimiter,
+  authValidation.validateTwoFactorLogin,
+  authController.loginTwoFactor
+);
+router.post('/refresh', authValidation.validateRefresh, authController.refresh);
+router.post(
+  '/forgot-password',
+  passwordResetLimiter,
+  authValidation.validateForgotPassword,
+  authController.forgotPassword
+);
+router.post(
+  '/reset-password',
+  passwordResetLimiter,
+  authValidation.validateResetPassword,
+  authController.resetPassword
+);
+router.post(
+  '/verify-email',
+  authValidation.validateVerifyEmail,
+  authController.verifyEmail
+);
+
+// OAuth / OpenID Connect login
+router.get('/oauth/providers', authController.getOAuthProviders);
+router.post(
+  '/oauth/exchange',
+  authValidation.validateOAuthExchange,
+  authController.exchangeOAuthCode
+);
+router.get('/oauth/:provider', authController.startOAuth);
+router.get('/oauth/:provider/callback', authController.oauthCallback);
 
 // Protected routes
 router.use(auth); // Apply auth middleware to all routes below
 
 router.get('/profile', authController.getProfile);
+router.post('/resend-verification', authController.resendVerification);
 router.put('/profile', authController.updateProfile);
 router.put(
   '/change-password',
@@ -29,4 +68,25 @@ router.post('/logout', authController.logout);
 router.post('/logout-all', authController.logoutAll);
 router.get('/sessions', authController.getActiveSessions);
 
+// Two-factor authentication settings
+router.post('/2fa/setup', authController.setupTwoFactor);
+router.post(
+  '/2fa/confirm',
+  authValidation.validateTwoFactorCode,
+  authController.confirmTwoFactor
+);
+router.post(
+  '/2fa/disable',
+  authValidation.validateDisableTwoFactor,
+  authController.disableTwoFactor
+);
+router.post(
+  '/2fa/recovery-codes',
+  authValidation.validateTwoFactorCode,
+  authController.regenerateRecoveryCodes
+);
+
+// AI usage this day and month, and what is left of the plan's quota
+router.get('/usage', authController.getUsage);
+
 module.exports = router;
@@ -1,25 +1,40 @@
 const User = require('./user.model');
 const Session = require('./session.model');
-const { generateToken } = require('../../config/jwt');
-const { encrypt, decrypt, isEncrypted } = require('../../utils/encryption');
-const OpenAI = require('openai');
-const openaiConfig = require('../../config/openai');
-const { retryWithBackoff } = require('../../utils/retryWithBackoff');
-const axios = require('axios');
+const AuthToken = require('./auth-token.model');
+const { jwtConfig, generateToken, verifyToken } = require('../../config/jwt');
+const authConfig = require('../../config/auth');
+const QRCode = require('qrcode');
+const {
+  encrypt,
+  decrypt,
+  decryptString,
+  isEncrypted,
+} = require('../../utils/encryption');
+const totp = require('../../utils/totp');
+const { hashRecoveryCode, generateRecoveryCodes } = require('./two-factor');
+const llm = require('../../utils/llm');
+const aiUsage = require('../../utils/llm/usage');
+const cache = require('../../utils/cache');
+const { safeFetch, CONTENT_TYPES } = require('../../utils/safeFetch');
 const pdfParse = require('pdf-parse');
+const AppError = require('../../utils/AppError');
+const mailer = require('../../utils/mailer');
 
-class AuthService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: openaiConfig.apiKey,
-    });
-  }
+// Wrong two-factor code: 401 while logging in, 400 when changing settings
+const invalidTwoFactorCode = (statusCode) => {
+  const error = new AppError('Invalid authentication code', statusCode);
+  error.code = 'INVALID_TWO_FACTOR_CODE';
+  return error;
+};
 
+class AuthService {
   // Fetch resume text from URL
   async _fetchResumeText(url) {
     try {
-      const response = await axios.get(url, {
+      const response = await safeFetch(url, {
         responseType: 'arraybuffer',
+        allowedContentTypes: CONTENT_TYPES.document,
+        maxBytes: 10 * 1024 * 1024,
         timeout: 15000,
         headers: { Accept: '*/*' },
       });
@@ -47,6 +62,23 @@ class AuthService {
     }
   }
 
+  // Run a JSON profile-generation prompt; an identical earlier prompt is answered from the cache
+  async _generateJson(task, userId, messages) {
+    return cache.wrap(
+      task,
+      cache.key(String(userId), llm.getTaskRoute(task), messages),
+      async () => {
+        const completion = await llm.createChatCompletion(
+          task,
+          { messages, json: true, userId },
+          { maxRetries: 2, baseDelay: 2000, maxDelay: 15000 }
+        );
+        return JSON.parse(completion.content);
+      },
+      { userId }
+    );
+  }
+
   // Generate ideal LinkedIn profile in background using AI
   _generateIdealLinkedInProfileInBackground(userId) {
     (async () => {
@@ -66,29 +98,22 @@ class AuthService {
         );
         if (!profileSummary) return;
 
-        const completion = await retryWithBackoff(
-          async () => {
-            return await this.openai.chat.completions.create({
-              model: openaiConfig.model,
-              messages: [
-                {
-                  role: 'system',
-                  content:
-                    'You are an expert LinkedIn profile consultant. Based on the user profile provided, generate an ideal LinkedIn profile. Respond ONLY with valid JSON (no markdown, no code fences). The JSON must have this exact structure: {"intro": "string", "about": "string", "experience": [{"title": "string", "companyOrOrganization": "string", "description": "string"}], "projects": [{"title": "string", "description": "string"}], "additionalSections": []}. IMPORTANT RULES: 1) The resume content (if provided) is the PRIMARY source of truth — always prioritize it over other profile fields. 2) Only populate the "projects" array if projects are explicitly mentioned in the resume. If no projects are found in the resume, set "projects" to an empty array []. 3) Make the intro a compelling headline. 4) Make the about section professional and detailed (2-3 paragraphs with bullet points using •). 5) For experience, craft impactful bullet-point descriptions using • that highlight achievements and impact. 6) If no resume is provided, generate based on available profile data and set "projects" to an empty array [].',
-                },
-                {
-                  role: 'user',
-                  content: profileSummary,
-                },
-              ],
-            });
-          },
-          { maxRetries: 2, baseDelay: 2000, maxDelay: 15000 }
+        const idealProfile = await this._generateJson(
+          'linkedinProfile',
+          userId,
+          [
+            {
+              role: 'system',
+              content:
+                'You are an expert LinkedIn profile consultant. Based on the user profile provided, generate an ideal LinkedIn profile. Respond ONLY with valid JSON (no markdown, no code fences). The JSON must have this exact structure: {"intro": "string", "about": "string", "experience": [{"title": "string", "companyOrOrganization": "string", "description": "string"}], "projects": [{"title": "string", "description": "string"}], "additionalSections": []}. IMPORTANT RULES: 1) The resume content (if provided) is the PRIMARY source of truth — always prioritize it over other profile fields. 2) Only populate the "projects" array if projects are explicitly mentioned in the resume. If no projects are found in the resume, set "projects" to an empty array []. 3) Make the intro a compelling headline. 4) Make the about section professional and detailed (2-3 paragraphs with bullet points using •). 5) For experience, craft impactful bullet-point descriptions using • that highlight achievements and impact. 6) If no resume is provided, generate based on available profile data and set "projects" to an empty array [].',
+            },
+            {
+              role: 'user',
+              content: profileSummary,
+            },
+          ]
         );
 
-        const content = completion.choices[0].message.content;
-        const idealProfile = JSON.parse(content);
-
         await User.findByIdAndUpdate(userId, {
           idealLinkedInProfile: idealProfile,
         });
@@ -111,28 +136,17 @@ class AuthService {
         const profileSummary = this._buildProfileSummaryForSalary(user);
         if (!profileSummary) return;
 
-        const completion = await retryWithBackoff(
-          async () => {
-            return await this.openai.chat.completions.create({
-              model: openaiConfig.model,
-              messages: [
-                {
-                  role: 'system',
-                  content:
-                    'You are an expert compensation analyst with deep knowledge of current job market conditions and salary benchmarks across industries. Based on the user profile provided, estimate a realistic salary range they could command in the current market. Consider their skills, experience, title, industry, location, education, desired roles, and current compensation. Respond ONLY with valid JSON (no markdown, no code fences). The JSON must have this exact structure: {"minSalary": number, "maxSalary": number, "currency": "INR" or "USD", "rationale": "string (2-3 sentences explaining the estimate)", "marketInsights": "string (1-2 sentences about current market conditions relevant to this profile)"}. Use the same currency as their current CTC if provided, otherwise default to INR for India-based profiles and USD otherwise. Salary values must be annual figures as plain numbers (no commas or symbols).',
-                },
-                {
-                  role: 'user',
-                  content: profileSummary,
-                },
-              ],
-            });
+        const estimate = await this._generateJson('salaryEstimate', userId, [
+          {
+            role: 'system',
+            content:
+              'You are an expert compensation analyst with deep knowledge of current job market conditions and salary benchmarks across industries. Based on the user profile provided, estimate a realistic salary range they could command in the current market. Consider their skills, experience, title, industry, location, education, desired roles, and current compensation. Respond ONLY with valid JSON (no markdown, no code fences). The JSON must have this exact structure: {"minSalary": number, "maxSalary": number, "currency": "INR" or "USD", "rationale": "string (2-3 sentences explaining the estimate)", "marketInsights": "string (1-2 sentences about current market conditions relevant to this profile)"}. Use the same currency as their current CTC if provided, otherwise default to INR for India-based profiles and USD otherwise. Salary values must be annual figures as plain numbers (no commas or symbols).',
           },
-          { maxRetries: 2, baseDelay: 2000, maxDelay: 15000 }
-        );
-
-        const content = completion.choices[0].message.content;
-        const estimate = JSON.parse(content);
+          {
+            role: 'user',
+            content: profileSummary,
+          },
+        ]);
 
         await User.findByIdAndUpdate(userId, {
           salaryEstimate: {
@@ -171,28 +185,17 @@ class AuthService {
         );
         if (!profileSummary) return;
 
-        const completion = await retryWithBackoff(
-          async () => {
-            return await this.openai.chat.completions.create({
-              model: openaiConfig.model,
-              messages: [
-                {
-                  role: 'system',
-                  content:
-                    'You are an expert resume writer specialising in ATS-optimised resumes. Based on the user profile provided, generate an ideal resume that passes Applicant Tracking Systems. Respond ONLY with valid JSON (no markdown, no code fences). The JSON must have this exact structure: {"professionalSummary": "string (3-4 sentences, keyword-rich, tailored to target role)", "skills": {"technical": ["string"], "soft": ["string"], "tools": ["string"]}, "experience": [{"title": "string", "company": "string", "location": "string", "startDate": "string (MMM YYYY or Present)", "endDate": "string (MMM YYYY or Present)", "bullets": ["string"]}], "education": [{"degree": "string", "institution": "string", "location": "string", "graduationYear": "string", "details": "string"}], "projects": [{"title": "string", "technologies": ["string"], "description": "string", "bullets": ["string"]}], "freelanceProjects": [{"title": "string", "client": "string (use Confidential if unknown)", "technologies": ["string"], "description": "string", "bullets": ["string"]}], "certifications": ["string"]}. ATS RULES: 1) Resume content (if provided) is PRIMARY — always prioritise it over other profile fields. 2) Use strong action verbs and quantify achievements with metrics wherever possible (e.g. "Reduced latency by 40%"). 3) Embed relevant keywords naturally from the job domain. 4) Keep bullet points concise (one line each). 5) Use plain text only — no tables, columns, graphics, or special characters that confuse ATS parsers. 6) List experience and education in reverse chronological order. 7) Only populate "projects" if explicitly mentioned in the profile/resume; otherwise set to []. 8) Only populate "freelanceProjects" if freelance/consulting work is mentioned; otherwise set to []. 9) "certifications" should be plain strings like "AWS Certified Solutions Architect – Associate (2023)".',
-                },
-                {
-                  role: 'user',
-                  content: profileSummary,
-                },
-              ],
-            });
+        const resume = await this._generateJson('idealResume', userId, [
+          {
+            role: 'system',
+            content:
+              'You are an expert resume writer specialising in ATS-optimised resumes. Based on the user profile provided, generate an ideal resume that passes Applicant Tracking Systems. Respond ONLY with valid JSON (no markdown, no code fences). The JSON must have this exact structure: {"professionalSummary": "string (3-4 sentences, keyword-rich, tailored to target role)", "skills": {"technical": ["string"], "soft": ["string"], "tools": ["string"]}, "experience": [{"title": "string", "company": "string", "location": "string", "startDate": "string (MMM YYYY or Present)", "endDate": "string (MMM YYYY or Present)", "bullets": ["string"]}], "education": [{"degree": "string", "institution": "string", "location": "string", "graduationYear": "string", "details": "string"}], "projects": [{"title": "string", "technologies": ["string"], "description": "string", "bullets": ["string"]}], "freelanceProjects": [{"title": "string", "client": "string (use Confidential if unknown)", "technologies": ["string"], "description": "string", "bullets": ["string"]}], "certifications": ["string"]}. ATS RULES: 1) Resume content (if provided) is PRIMARY — always prioritise it over other profile fields. 2) Use strong action verbs and quantify achievements with metrics wherever possible (e.g. "Reduced latency by 40%"). 3) Embed relevant keywords naturally from the job domain. 4) Keep bullet points concise (one line each). 5) Use plain text only — no tables, columns, graphics, or special characters that confuse ATS parsers. 6) List experience and education in reverse chronological order. 7) Only populate "projects" if explicitly mentioned in the profile/resume; otherwise set to []. 8) Only populate "freelanceProjects" if freelance/consulting work is mentioned; otherwise set to []. 9) "certifications" should be plain strings like "AWS Certified Solutions Architect – Associate (2023)".',
           },
-          { maxRetries: 2, baseDelay: 2000, maxDelay: 15000 }
-        );
-
-        const content = completion.choices[0].message.content;
-        const resume = JSON.parse(content);
+          {
+            role: 'user',
+            content: profileSummary,
+          },
+        ]);
 
         await User.findByIdAndUpdate(userId, {
           idealResume: {
@@ -388,28 +391,109 @@ class AuthService {
       role: 'user',
     });
 
-    // Generate token
-    const token = generateToken({ id: user._id });
+    // Create session and tokens
+    const tokens = await this._startSession(user._id, ipAddress, userAgent);
 
-    // Create session
-    const expiresIn = process.env.JWT_EXPIRES_IN || '7d';
-    await Session.createSession(
-      user._id,
-      token,
-      expiresIn,
-      ipAddress,
-      userAgent
-    );
+    await this._sendVerificationEmail(user);
 
-    // Generate ideal LinkedIn profile in background (fire-and-forget)
-    this._generateIdealLinkedInProfileInBackground(user._id);
+    // Generate ideal LinkedIn profile in background (fire-and-forget). When AI
+    // features need a verified email, this waits until the email is verified.
+    if (!authConfig.requireVerifiedEmail) {
+      this._generateIdealLinkedInProfileInBackground(user._id);
+    }
 
     return {
       user,
-      token,
+      ...tokens,
     };
   }
 
+  // Whether the user may use AI features (see config/auth.js)
+  _canUseAi(user) {
+    return !authConfig.requireVerifiedEmail || user.emailVerified;
+  }
+
+  // Email a link that verifies the user's current address
+  async _sendVerificationEmail(user) {
+    const token = await AuthToken.issue(
+      user._id,
+      'emailVerification',
+      authConfig.emailVerificationExpiresIn,
+      { email: user.basicInfo.email }
+    );
+
+    try {
+      await mailer.send(user.basicInfo.email, 'emailVerification', {
+        username: user.basicInfo.username,
+        url: mailer.appLink('/verify-email', { token }),
+        expiresInHours: Math.round(
+          authConfig.emailVerificationExpiresIn / 3600000
+        ),
+      });
+    } catch (error) {
+      console.error(
+        `Failed to send verification email to user ${user._id}:`,
+        error.message
+      );
+    }
+  }
+
+  // Mark the user's email as verified with the token from the emailed link
+  async verifyEmail(token) {
+    const verificationToken = await AuthToken.consume(
+      token,
+      'emailVerification'
+    );
+    const user =
+      verificationToken && (await User.findById(verificationToken.userId));
+
+    // The link is only good for the address it was sent to
+    if (!user || user.basicInfo.email !== verificationToken.email) {
+      throw new AppError('Invalid or expired verification token', 400);
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+
+      // Generation skipped at registration (see register())
+      if (authConfig.requireVerifiedEmail && !user.idealLinkedInProfile) {
+        this._generateIdealLinkedInProfileInBackground(user._id);
+      }
+    }
+
+    return { message: 'Email verified successfully' };
+  }
+
+  // Send the verification email again, at most once per resend interval
+  async resendVerificationEmail(user) {
+    if (user.emailVerified) {
+      throw new AppError('Email is already verified', 400);
+    }
+
+    const latest = await AuthToken.findLatest(user._id, 'emailVerification');
+    const waitMs = latest
+      ? latest.createdAt.getTime() +
+        authConfig.emailVerificationResendInterval -
+        Date.now()
+      : 0;
+    if (waitMs > 0) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+      const error = new AppError(
+        `A verification email was sent recently. Please wait ${retryAfter} seconds before asking for another one.`,
+        429
+      );
+      error.code = 'VERIFICATION_EMAIL_THROTTLED';
+      error.details = { retryAfter };
+      throw error;
+    }
+
+    await this._sendVerificationEmail(user);
+
+    return { message: 'Verification email sent' };
+  }
+
   // Login user
   async login(email, password, ipAddress, userAgent) {
     // Check if user exists and get password
@@ -426,30 +510,301 @@ class AuthService {
       throw new Error('Invalid email or password');
     }
 
-    // Generate token
-    const token = generateToken({ id: user._id });
+    return this._completeLogin(user, ipAddress, userAgent);
+  }
 
-    // Create session
-    const expiresIn = process.env.JWT_EXPIRES_IN || '7d';
-    await Session.createSession(
-      user._id,
-      token,
-      expiresIn,
-      ipAddress,
-      userAgent
+  // Finish a login once the user is identified (password or OAuth): a
+  // session, or a challenge for users with two-factor authentication
+  async _completeLogin(user, ipAddress, userAgent) {
+    // With two-factor authentication, the session is only created once a
+    // code is given for the challenge (see completeTwoFactorLogin())
+    if (user.twoFactor?.enabled) {
+      const challengeToken = await AuthToken.issue(
+        user._id,
+        'twoFactorChallenge',
+        authConfig.twoFactorChallengeExpiresIn
+      );
+      return {
+        twoFactorRequired: true,
+        challengeToken,
+        expiresIn: Math.floor(authConfig.twoFactorChallengeExpiresIn / 1000),
+      };
+    }
+
+    // Create session and tokens
+    const tokens = await this._startSession(user._id, ipAddress, userAgent);
+
+    return {
+      user,
+      ...tokens,
+    };
+  }
+
+  // Second step of a two-factor login: exchange the challenge token and an
+  // authenticator (or recovery) code for a session
+  async completeTwoFactorLogin(challengeToken, code, ipAddress, userAgent) {
+    const challenge = await AuthToken.findValid(
+      challengeToken,
+      'twoFactorChallenge'
     );
+    if (!challenge) {
+      throw new AppError(
+        'Invalid or expired two-factor challenge. Please login again.',
+        401
+      );
+    }
+
+    const isValidCode = await this._verifySecondFactor(challenge.userId, code);
+    if (!isValidCode) {
+      await AuthToken.recordFailedAttempt(
+        challenge._id,
+        authConfig.twoFactorMaxAttempts
+      );
+      throw invalidTwoFactorCode(401);
+    }
+
+    // Only one exchange per challenge
+    if (!(await AuthToken.consume(challengeToken, 'twoFactorChallenge'))) {
+      throw new AppError(
+        'Invalid or expired two-factor challenge. Please login again.',
+        401
+      );
+    }
+
+    // The account may have been deleted since the password step
+    const user = await User.findById(challenge.userId);
+    if (!user) {
+      throw new AppError(
+        'Invalid or expired two-factor challenge. Please login again.',
+        401
+      );
+    }
+
+    const tokens = await this._startSession(user._id, ipAddress, userAgent);
 
     return {
       user,
-      token,
+      ...tokens,
     };
   }
 
+  // Check an authenticator code, or an unused recovery code, against the
+  // user's two-factor settings. Each code is accepted once.
+  async _verifySecondFactor(userId, code, { allowRecoveryCode = true } = {}) {
+    const user = await User.findById(userId).select(
+      '+twoFactor.secret +twoFactor.lastUsedStep'
+    );
+    if (!user?.twoFactor?.enabled || !user.twoFactor.secret) {
+      return false;
+    }
+
+    const step = totp.verifyCode(decryptString(user.twoFactor.secret), code);
+    if (step != null) {
+      // Refuses a replay of this code, or of an older one
+      const result = await User.updateOne(
+        {
+          _id: userId,
+          $or: [
+            { 'twoFactor.lastUsedStep': null },
+            { 'twoFactor.lastUsedStep': { $lt: step } },
+          ],
+        },
+        { 'twoFactor.lastUsedStep': step }
+      );
+      return result.modifiedCount > 0;
+    }
+
+    if (!allowRecoveryCode) {
+      return false;
+    }
+
+    const result = await User.updateOne(
+      {
+        _id: userId,
+        'twoFactor.recoveryCodes': {
+          $elemMatch: { hash: hashRecoveryCode(code), usedAt: null },
+        },
+      },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // Start two-factor setup: a new secret, as an otpauth URI and a QR code
+  // for authenticator apps. Enabled once confirmed with a first code.
+  async setupTwoFactor(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    if (user.twoFactor?.enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    const secret = totp.generateSecret();
+    await User.updateOne(
+      { _id: userId },
+      { 'twoFactor.pendingSecret': encrypt(secret) }
+    );
+
+    const otpauthUrl = totp.keyUri({
+      secret,
+      account: user.basicInfo.email,
+      issuer: authConfig.twoFactorIssuer,
+    });
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl),
+    };
+  }
+
+  // Enable two-factor authentication with a first code from the app. Returns
+  // the recovery codes; they are not shown again.
+  async confirmTwoFactor(userId, code) {
+    const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    if (user.twoFactor?.enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      throw new AppError('Start two-factor setup first', 400);
+    }
+
+    const step = totp.verifyCode(
+      decryptString(user.twoFactor.pendingSecret),
+      code
+    );
+    if (step == null) {
+      throw invalidTwoFactorCode(400);
+    }
+
+    const { codes, hashes } = generateRecoveryCodes(
+      authConfig.recoveryCodeCount
+    );
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          twoFactor: {
+            enabled: true,
+            enabledAt: new Date(),
+            secret: user.twoFactor.pendingSecret,
+            lastUsedStep: step,
+            recoveryCodes: hashes.map((hash) => ({ hash })),
+          },
+        },
+      }
+    );
+
+    return { recoveryCodes: codes };
+  }
+
+  // Turn two-factor authentication off; needs the password and a code
+  async disableTwoFactor(userId, password, code) {
+    const user = await User.findById(userId).select('+password');
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    if (!user.twoFactor?.enabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+    if (!(await user.comparePassword(password))) {
+      throw new AppError('Password is incorrect', 400);
+    }
+    if (!(await this._verifySecondFactor(userId, code))) {
+      throw invalidTwoFactorCode(400);
+    }
+
+    await User.updateOne(
+      { _id: userId },
+      { $set: { twoFactor: { enabled: false, enabledAt: null } } }
+    );
+
+    return { message: 'Two-factor authentication disabled' };
+  }
+
+  // Replace the recovery codes (all old ones stop working); needs an
+  // authenticator code
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await User.findById(userId);
+    if (!user?.twoFactor?.enabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+    const isValidCode = await this._verifySecondFactor(userId, code, {
+      allowRecoveryCode: false,
+    });
+    if (!isValidCode) {
+      throw invalidTwoFactorCode(400);
+    }
+
+    const { codes, hashes } = generateRecoveryCodes(
+      authConfig.recoveryCodeCount
+    );
+    await User.updateOne(
+      { _id: userId },
+      { 'twoFactor.recoveryCodes': hashes.map((hash) => ({ hash })) }
+    );
+
+    return { recoveryCodes: codes };
+  }
+
+  // Access token for a session family, plus how long it lasts (seconds)
+  _issueTokens(userId, familyId, refreshToken) {
+    return {
+      token: generateToken({ id: userId, sid: familyId }),
+      refreshToken,
+      expiresIn: Math.floor(jwtConfig.accessExpiresIn / 1000),
+    };
+  }
+
+  // Start a new session family (login or registration)
+  async _startSession(userId, ipAddress, userAgent) {
+    const { session, refreshToken } = await Session.createSession(
+      userId,
+      ipAddress,
+      userAgent
+    );
+    return this._issueTokens(userId, session.familyId, refreshToken);
+  }
+
+  // Exchange a refresh token for a new access token and refresh token
+  async refresh(refreshToken, ipAddress, userAgent) {
+    const result = await Session.rotateRefreshToken(
+      refreshToken,
+      ipAddress,
+      userAgent
+    );
+
+    if (!result) {
+      throw new AppError('Invalid or expired refresh token', 401);
+    }
+    if (result.reused) {
+      const error = new AppError(
+        'This refresh token was already used. All sessions of this login have been revoked; please login again.',
+        401
+      );
+      error.code = 'REFRESH_TOKEN_REUSED';
+      throw error;
+    }
+
+    const { session } = result;
+    return this._issueTokens(
+      session.userId,
+      session.familyId,
+      result.refreshToken
+    );
+  }
+
   // Logout user
   async logout(token) {
-    // Deactivate session
-    const session = await Session.deactivateSession(token);
-    if (!session) {
+    // Deactivate the session family (every refresh token of this login)
+    const { sid } = verifyToken(token);
+    const deactivated = await Session.deactivateSession(sid);
+    if (!deactivated) {
       throw new Error('Session not found');
     }
 
@@ -470,20 +825,22 @@ class AuthService {
 
   // Validate session
   async validateSession(token) {
-    const session = await Session.validateSession(token);
+    const { sid } = verifyToken(token);
+    const session = await Session.validateSession(sid);
     if (!session) {
       throw new Error('Invalid or expired session');
     }
 
     // Update last activity
-    await Session.updateActivity(token);
+    await Session.updateActivity(sid);
 
     return session;
   }
 
   // Get user ID from token
   async getUserIdFromToken(token) {
-    const session = await Session.findOne({ token, isActive: true });
+    const { sid } = verifyToken(token);
+    const session = await Session.validateSession(sid);
     if (!session) {
       throw new Error('Invalid or expired session');
     }
@@ -491,6 +848,11 @@ class AuthService {
     return session.userId;
   }
 
+  // Get a user's AI usage against their plan's quota
+  async getAiUsage(user) {
+    return aiUsage.getUsage(user._id, user.plan);
+  }
+
   // Get user profile by token
   async getProfileByToken(token) {
     const userId = await this.getUserIdFromToken(token);
@@ -566,6 +928,7 @@ class AuthService {
     });
 
     // Check if email is being updated and if it already exists
+    let emailChanged = false;
     if (filteredData.basicInfo && filteredData.basicInfo.email) {
       const existingUser = await User.findOne({
         'basicInfo.email': filteredData.basicInfo.email,
@@ -574,6 +937,16 @@ class AuthService {
       if (existingUser) {
         throw new Error('Email already in use by another user');
       }
+
+      // A new address has to be verified again
+      const currentUser = await User.findById(userId).select('basicInfo.email');
+      emailChanged =
+        currentUser?.basicInfo.email !==
+        filteredData.basicInfo.email.trim().toLowerCase();
+      if (emailChanged) {
+        filteredData.emailVerified = false;
+        filteredData.emailVerifiedAt = null;
+      }
     }
 
     // Encrypt CTC before update (findByIdAndUpdate bypasses pre-save hooks)
@@ -595,10 +968,16 @@ class AuthService {
       throw new Error('User not found');
     }
 
+    if (emailChanged) {
+      await this._sendVerificationEmail(user);
+    }
+
     // Regenerate ideal LinkedIn profile, salary estimate, and resume in background (fire-and-forget)
-    this._generateIdealLinkedInProfileInBackground(userId);
-    this._generateSalaryEstimateInBackground(userId);
-    this._generateIdealResumeInBackground(userId);
+    if (this._canUseAi(user)) {
+      this._generateIdealLinkedInProfileInBackground(userId);
+      this._generateSalaryEstimateInBackground(userId);
+      this._generateIdealResumeInBackground(userId);
+    }
 
     return user;
   }
@@ -629,6 +1008,70 @@ class AuthService {
     return { message: 'Password changed successfully' };
   }
 
+  // Email a password reset link. The answer is the same whether or not the
+  // address has an account, so it can't be used to find out who is registered.
+  async requestPasswordReset(email) {
+    const result = {
+      message:
+        'If an account exists for this email, a password reset link has been sent',
+    };
+
+    const user = await User.findOne({ 'basicInfo.email': email });
+    if (!user) {
+      return result;
+    }
+
+    const token = await AuthToken.issue(
+      user._id,
+      'passwordReset',
+      authConfig.passwordResetExpiresIn
+    );
+
+    try {
+      await mailer.send(user.basicInfo.email, 'passwordReset', {
+        username: user.basicInfo.username,
+        url: mailer.appLink('/reset-password', { token }),
+        expiresInMinutes: Math.round(authConfig.passwordResetExpiresIn / 60000),
+      });
+    } catch (error) {
+      console.error(
+        `Failed to send password reset email to user ${user._id}:`,
+        error.message
+      );
+    }
+
+    return result;
+  }
+
+  // Set a new password with a reset token, and sign the user out everywhere
+  async resetPassword(token, newPassword) {
+    const resetToken = await AuthToken.consume(token, 'passwordReset');
+    const user = resetToken && (await User.findById(resetToken.userId));
+    if (!user) {
+      throw new AppError('Invalid or expired password reset token', 400);
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    await Session.deactivateAllUserSessions(user._id);
+
+    try {
+      await mailer.send(user.basicInfo.email, 'passwordChanged', {
+        username: user.basicInfo.username,
+      });
+    } catch (error) {
+      console.error(
+        `Failed to send password changed email to user ${user._id}:`,
+        error.message
+      );
+    }
+
+    return {
+      message: 'Password has been reset. Please login with your new password.',
+    };
+  }
+
   // Logout from all devices by token
   async logoutAllByToken(token) {
     const userId = await this.getUserIdFromToken(token);
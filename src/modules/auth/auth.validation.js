@@ -135,9 +135,75 @@ const changePasswordSchema = Joi.object({
   }),
 });
 
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required().messages({
+    'any.required': 'Refresh token is required',
+  }),
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please provide a valid email',
+    'any.required': 'Email is required',
+  }),
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'any.required': 'Reset token is required',
+  }),
+  newPassword: Joi.string().min(6).required().messages({
+    'string.min': 'New password must be at least 6 characters long',
+    'any.required': 'New password is required',
+  }),
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'any.required': 'Verification token is required',
+  }),
+});
+
+// Authenticator code, or a recovery code where the endpoint accepts one
+const twoFactorCode = Joi.string().trim().min(6).max(20).required().messages({
+  'any.required': 'Authentication code is required',
+});
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required().messages({
+    'any.required': 'Challenge token is required',
+  }),
+  code: twoFactorCode,
+});
+
+const twoFactorCodeSchema = Joi.object({
+  code: twoFactorCode,
+});
+
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required().messages({
+    'any.required': 'Password is required',
+  }),
+  code: twoFactorCode,
+});
+
+const oauthExchangeSchema = Joi.object({
+  code: Joi.string().required().messages({
+    'any.required': 'Login code is required',
+  }),
+});
+
 module.exports = {
   validateRegister: validate(registerSchema),
   validateLogin: validate(loginSchema),
   validateUpdateProfile: validate(updateProfileSchema),
   validateChangePassword: validate(changePasswordSchema),
+  validateRefresh: validate(refreshSchema),
+  validateForgotPassword: validate(forgotPasswordSchema),
+  validateResetPassword: validate(resetPasswordSchema),
+  validateVerifyEmail: validate(verifyEmailSchema),
+  validateTwoFactorLogin: validate(twoFactorLoginSchema),
+  validateTwoFactorCode: validate(twoFactorCodeSchema),
+  validateDisableTwoFactor: validate(disableTwoFactorSchema),
+  validateOAuthExchange: validate(oauthExchangeSchema),
 };
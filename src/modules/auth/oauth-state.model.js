@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const oauthConfig = require('../../config/oauth');
+
+// A started OAuth login, from the redirect to the provider until its callback
+const oauthStateSchema = new mongoose.Schema(
+  {
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    // PKCE verifier, sent with the code exchange
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    // Expected in the ID token (OpenID providers)
+    nonce: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// MongoDB removes logins that were never completed
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const randomValue = () => crypto.randomBytes(32).toString('base64url');
+
+// Static method to start a login with a provider
+oauthStateSchema.statics.start = async function (provider) {
+  return this.create({
+    state: randomValue(),
+    provider,
+    codeVerifier: randomValue(),
+    nonce: randomValue(),
+    expiresAt: new Date(Date.now() + oauthConfig.stateExpiresIn),
+  });
+};
+
+// Static method to take a login back at the callback. Each state works once;
+// returns null if it is unknown, expired or for another provider.
+oauthStateSchema.statics.consume = async function (state, provider) {
+  return this.findOneAndDelete({
+    state,
+    provider,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// PKCE S256 challenge for a verifier
+oauthStateSchema.methods.getCodeChallenge = function () {
+  return crypto
+    .createHash('sha256')
+    .update(this.codeVerifier)
+    .digest('base64url');
+};
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
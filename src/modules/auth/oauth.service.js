@@ -0,0 +1,175 @@
+const User = require('./user.model');
+const Session = require('./session.model');
+const AuthToken = require('./auth-token.model');
+const OAuthState = require('./oauth-state.model');
+const authService = require('./auth.service');
+const oauthConfig = require('../../config/oauth');
+const oauth = require('../../utils/oauth');
+const AppError = require('../../utils/AppError');
+
+const oauthError = (message, statusCode, code) => {
+  const error = new AppError(message, statusCode);
+  error.code = code;
+  return error;
+};
+
+class OAuthService {
+  // Providers users can log in with
+  getProviders() {
+    return oauth.listProviders();
+  }
+
+  // Start a login: the provider URL to send the browser to, and the state
+  // the browser has to bring back
+  async start(providerName) {
+    const provider = oauth.getProvider(providerName);
+    const login = await OAuthState.start(providerName);
+
+    return {
+      state: login.state,
+      url: provider.getAuthorizationUrl({
+        state: login.state,
+        codeChallenge: login.getCodeChallenge(),
+        nonce: login.nonce,
+      }),
+    };
+  }
+
+  // Provider callback: identify the user and issue a one-time login code for
+  // the frontend to exchange (tokens never appear in a URL)
+  async handleCallback(providerName, { code, state, error }, browserState) {
+    const provider = oauth.getProvider(providerName);
+
+    if (error) {
+      throw oauthError(
+        `Login with ${providerName} was cancelled or refused`,
+        401,
+        'OAUTH_DENIED'
+      );
+    }
+
+    // The callback must come to the browser that started the login, or an
+    // attacker could log a victim into the attacker's account
+    if (!code || !state || state !== browserState) {
+      throw oauthError(
+        'Login could not be verified. Please try again.',
+        400,
+        'OAUTH_STATE_MISMATCH'
+      );
+    }
+
+    const login = await OAuthState.consume(state, providerName);
+    if (!login) {
+      throw oauthError(
+        'Login expired. Please try again.',
+        400,
+        'OAUTH_STATE_EXPIRED'
+      );
+    }
+
+    let profile;
+    try {
+      const tokens = await provider.exchangeCode({
+        code,
+        codeVerifier: login.codeVerifier,
+      });
+      profile = await provider.getProfile(tokens, { nonce: login.nonce });
+    } catch (providerError) {
+      console.error(
+        `OAuth login with ${providerName} failed:`,
+        providerError.message
+      );
+      throw oauthError(
+        `Login with ${providerName} failed`,
+        502,
+        'OAUTH_PROVIDER_ERROR'
+      );
+    }
+
+    const user = await this._findOrCreateUser(providerName, profile);
+
+    return AuthToken.issue(
+      user._id,
+      'oauthLogin',
+      oauthConfig.loginCodeExpiresIn
+    );
+  }
+
+  // The user a provider account belongs to: already linked, linked now by
+  // its verified email, or a new account
+  async _findOrCreateUser(provider, profile) {
+    const linked = await User.findOne({
+      oauthAccounts: { $elemMatch: { provider, subject: profile.subject } },
+    });
+    if (linked) {
+      return linked;
+    }
+
+    if (!profile.email || !profile.emailVerified) {
+      throw oauthError(
+        `Your ${provider} account has no verified email address`,
+        400,
+        'OAUTH_EMAIL_UNVERIFIED'
+      );
+    }
+
+    const account = {
+      provider,
+      subject: profile.subject,
+      email: profile.email,
+    };
+
+    const existing = await User.findOne({ 'basicInfo.email': profile.email });
+    if (existing) {
+      const update = {
+        $push: { oauthAccounts: account },
+        $set: { emailVerified: true },
+      };
+
+      // The provider proves the address belongs to this person, not
+      // necessarily to whoever registered it unverified: drop the password,
+      // two-factor settings and sessions that were set up before
+      if (!existing.emailVerified) {
+        update.$set.emailVerifiedAt = new Date();
+        update.$set.twoFactor = { enabled: false, enabledAt: null };
+        update.$unset = { password: 1 };
+        await Session.deactivateAllUserSessions(existing._id);
+      }
+
+      return User.findByIdAndUpdate(existing._id, update, { new: true });
+    }
+
+    const username = (profile.name || profile.email.split('@')[0])
+      .trim()
+      .slice(0, 50);
+    const user = await User.create({
+      basicInfo: {
+        username,
+        email: profile.email,
+      },
+      role: 'user',
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      oauthAccounts: [account],
+    });
+
+    // Generate ideal LinkedIn profile in background (fire-and-forget)
+    authService._generateIdealLinkedInProfileInBackground(user._id);
+
+    return user;
+  }
+
+  // Exchange the one-time login code from the callback redirect for a
+  // session, the same way a password login ends
+  async exchangeLoginCode(code, ipAddress, userAgent) {
+    const loginCode = await AuthToken.consume(code, 'oauthLogin');
+    const user = loginCode && (await User.findById(loginCode.userId));
+    if (!user) {
+      throw new AppError('Invalid or expired login code', 401);
+    }
+
+    return authService._completeLogin(user, ipAddress, userAgent);
+  }
+}
+
+module.exports = new OAuthService();
@@ -1,5 +1,14 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
-
+const {
+  jwtConfig,
+  generateRefreshToken,
+  hashRefreshToken,
+} = require('../../config/jwt');
+
+// One refresh token. Each refresh replaces the session with a new one in the
+// same family (one family per login); access tokens name the family, so they
+// stay valid across refreshes and stop working once the family is logged out.
 const sessionSchema = new mongoose.Schema(
   {
     userId: {
@@ -8,16 +17,29 @@ const sessionSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
-    token: {
+    familyId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // SHA-256 of the refresh token; the token itself is never stored
+    refreshTokenHash: {
       type: String,
       required: true,
       unique: true,
+      select: false,
     },
     isActive: {
       type: Boolean,
       default: true,
       index: true,
     },
+    // Set once the refresh token has been exchanged; presenting it again
+    // means it was stolen, so the whole family is revoked
+    replacedAt: {
+      type: Date,
+      default: null,
+    },
     ipAddress: {
       type: String,
     },
@@ -45,51 +67,96 @@ sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 // Index for efficient active session queries
 sessionSchema.index({ userId: 1, isActive: 1 });
 
-// Static method to create a new session
+// Static method to create a new session (a new family unless one is given)
 sessionSchema.statics.createSession = async function (
   userId,
-  token,
-  expiresIn,
   ipAddress,
-  userAgent
+  userAgent,
+  familyId = crypto.randomUUID()
 ) {
-  // Calculate expiration date
-  const expiresAt = new Date();
-  const expiryDays = parseInt(expiresIn.replace('d', '')) || 7;
-  expiresAt.setDate(expiresAt.getDate() + expiryDays);
+  const refreshToken = generateRefreshToken();
 
-  // Create session
   const session = await this.create({
     userId,
-    token,
-    expiresAt,
+    familyId,
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    expiresAt: new Date(Date.now() + jwtConfig.refreshExpiresIn),
     ipAddress,
     userAgent,
   });
 
-  return session;
+  return { session, refreshToken };
+};
+
+// Static method to exchange a refresh token for a new one. Returns null for an
+// unknown, expired or logged-out token, and { reused: true } (after revoking
+// the family) for a token that was already exchanged.
+sessionSchema.statics.rotateRefreshToken = async function (
+  refreshToken,
+  ipAddress,
+  userAgent
+) {
+  const session = await this.findOne({
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    expiresAt: { $gt: new Date() },
+  });
+  if (!session) return null;
+
+  if (session.replacedAt) {
+    await this.deactivateSession(session.familyId);
+    return { reused: true };
+  }
+  if (!session.isActive) return null;
+
+  // The successor is created before the old session is retired, so the family
+  // never goes without an active session (access tokens are checked against
+  // it) and a failed exchange leaves the presented token usable
+  const successor = await this.createSession(
+    session.userId,
+    ipAddress,
+    userAgent,
+    session.familyId
+  );
+
+  // Only one exchange can win; a concurrent one with the same token counts as reuse
+  let replaced;
+  try {
+    replaced = await this.findOneAndUpdate(
+      { _id: session._id, isActive: true, replacedAt: null },
+      { isActive: false, replacedAt: new Date() }
+    );
+  } catch (error) {
+    await this.deleteOne({ _id: successor.session._id });
+    throw error;
+  }
+  if (!replaced) {
+    await this.deleteOne({ _id: successor.session._id });
+    await this.deactivateSession(session.familyId);
+    return { reused: true };
+  }
+
+  return successor;
 };
 
-// Static method to validate and get active session
-sessionSchema.statics.validateSession = async function (token) {
+// Static method to validate and get the active session of a family
+sessionSchema.statics.validateSession = async function (familyId) {
   const session = await this.findOne({
-    token,
+    familyId,
     isActive: true,
     expiresAt: { $gt: new Date() },
-  }).populate('userId');
+  });
 
   return session;
 };
 
-// Static method to deactivate a session (logout)
-sessionSchema.statics.deactivateSession = async function (token) {
-  const session = await this.findOneAndUpdate(
-    { token },
-    { isActive: false },
-    { new: true }
+// Static method to deactivate a session family (logout)
+sessionSchema.statics.deactivateSession = async function (familyId) {
+  const result = await this.updateMany(
+    { familyId, isActive: true },
+    { isActive: false }
   );
 
-  return session;
+  return result.modifiedCount > 0;
 };
 
 // Static method to deactivate all user sessions
@@ -98,8 +165,11 @@ sessionSchema.statics.deactivateAllUserSessions = async function (userId) {
 };
 
 // Static method to update last activity
-sessionSchema.statics.updateActivity = async function (token) {
-  await this.findOneAndUpdate({ token }, { lastActivityAt: new Date() });
+sessionSchema.statics.updateActivity = async function (familyId) {
+  await this.findOneAndUpdate(
+    { familyId, isActive: true },
+    { lastActivityAt: new Date() }
+  );
 };
 
 // Static method to get user's active sessions
@@ -111,10 +181,14 @@ sessionSchema.statics.getUserActiveSessions = async function (userId) {
   }).sort({ lastActivityAt: -1 });
 };
 
-// Static method to cleanup expired sessions
+// Static method to cleanup expired sessions. Exchanged refresh tokens are
+// kept until they expire, so that reuse can still be detected.
 sessionSchema.statics.cleanupExpiredSessions = async function () {
   const result = await this.deleteMany({
-    $or: [{ expiresAt: { $lt: new Date() } }, { isActive: false }],
+    $or: [
+      { expiresAt: { $lt: new Date() } },
+      { isActive: false, replacedAt: null },
+    ],
   });
 
   return result;
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+/**
+ * Recovery codes for two-factor authentication. Shown to the user once, as
+ * xxxxx-xxxxx; only their hashes are stored.
+ */
+
+// Dashes, spaces and case are ignored when a code is typed back
+const normalizeRecoveryCode = (code) =>
+  String(code).toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * @param {string} code - Recovery code as the user typed it
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * New set of recovery codes
+ * @param {number} count
+ * @returns {{ codes: string[], hashes: string[] }}
+ */
+const generateRecoveryCodes = (count) => {
+  const codes = Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+module.exports = {
+  hashRecoveryCode,
+  generateRecoveryCodes,
+};
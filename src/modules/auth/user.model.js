@@ -1,13 +1,20 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const { encrypt, decrypt, isEncrypted } = require('../../utils/encryption');
+const { PLANS } = require('../../config/usage');
 
 const userSchema = new mongoose.Schema(
   {
     // Password and Role (kept at root level for authentication)
     password: {
       type: String,
-      required: [true, 'Password is required'],
+      // Accounts created through an OAuth login have none until they set one
+      required: [
+        function () {
+          return !this.oauthAccounts?.length;
+        },
+        'Password is required',
+      ],
       minlength: [6, 'Password must be at least 6 characters'],
       select: false, // Don't include password in queries by default
     },
@@ -16,6 +23,78 @@ const userSchema = new mongoose.Schema(
       enum: ['user', 'admin'],
       default: 'user',
     },
+    // Sets the AI usage limits (see config/usage.js)
+    plan: {
+      type: String,
+      enum: PLANS,
+      default: 'free',
+    },
+    // Set once the user opens the link emailed to basicInfo.email; changing
+    // the email clears it
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // TOTP two-factor authentication (see utils/totp.js). Secrets are
+    // encrypted with ENCRYPTION_KEY, recovery codes stored as SHA-256 hashes.
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret from setup, until a first code confirms it
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // Time step of the last accepted code, so a code works only once
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [
+          {
+            _id: false,
+            hash: String,
+            usedAt: { type: Date, default: null },
+          },
+        ],
+        select: false,
+      },
+    },
+    // Accounts at OAuth / OpenID providers the user logs in with
+    oauthAccounts: [
+      {
+        _id: false,
+        provider: {
+          type: String,
+          required: true,
+        },
+        // The provider's stable ID for the user
+        subject: {
+          type: String,
+          required: true,
+        },
+        email: String,
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
 
     // Basic Info
     basicInfo: {
@@ -346,6 +425,9 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Index for OAuth logins
+userSchema.index({ 'oauthAccounts.provider': 1, 'oauthAccounts.subject': 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
@@ -369,6 +451,7 @@ userSchema.pre('save', function (next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -376,6 +459,12 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.lastUsedStep;
+    delete userObject.twoFactor.recoveryCodes;
+  }
   const ctc = userObject.professionalInfo?.currentCTCPerAnum;
   if (ctc != null && isEncrypted(ctc)) {
     try {
@@ -0,0 +1,56 @@
+/**
+ * Fallback adapter for job boards and ATS pages without site-specific logic.
+ * Its selectors are also tried after every site adapter's own selectors.
+ */
+module.exports = {
+  name: 'generic',
+  // Known job board / ATS domains
+  domains: [
+    'glassdoor.com',
+    'monster.com',
+    'ziprecruiter.com',
+    'dice.com',
+    'simplyhired.com',
+    'careerbuilder.com',
+    'workday.com',
+    'myworkdayjobs.com',
+    'icims.com',
+    'taleo.net',
+    'smartrecruiters.com',
+    'jobvite.com',
+    'workable.com',
+    'bamboohr.com',
+    'breezy.hr',
+    'recruitee.com',
+    'ashbyhq.com',
+    'angel.co',
+    'wellfound.com',
+    'remoteok.com',
+    'weworkremotely.com',
+    'naukri.com',
+    'shine.com',
+    'foundit.in',
+    'internshala.com',
+    'hackerearth.com',
+    'builtin.com',
+    'idealist.org',
+    'flexjobs.com',
+    'twitter.com', // job postings sometimes shared here
+  ],
+  selectors: {
+    jobTitle: [
+      'h1.job-title',
+      'h1[class*="title"]',
+      'h1[class*="job"]',
+      '.job-title',
+      'h1',
+    ],
+    company: ['.company-name', '[class*="company"]', '[data-company]'],
+    location: ['.location', '[class*="location"]'],
+    jobDescription: [
+      '.job-description',
+      '[class*="description"]',
+      'div[id*="description"]',
+    ],
+  },
+};
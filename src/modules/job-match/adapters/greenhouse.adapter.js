@@ -0,0 +1,70 @@
+const { humanizeSlug } = require('./helpers');
+
+/**
+ * Parse a Greenhouse job URL into its board token and job ID
+ * Supports boards.greenhouse.io/{board}/jobs/{id}, job-boards.greenhouse.io/{board}/jobs/{id}
+ * and the embed form boards.greenhouse.io/embed/job_app?for={board}&token={id}
+ */
+const parseJobUrl = (jobUrl) => {
+  const url = new URL(jobUrl);
+
+  const match = url.pathname.match(/^\/([^/]+)\/jobs\/(\d+)/);
+  if (match && match[1] !== 'embed') {
+    return { board: match[1], jobId: match[2] };
+  }
+
+  const board = url.searchParams.get('for');
+  const jobId = url.searchParams.get('token');
+  if (board && /^\d+$/.test(jobId || '')) {
+    return { board, jobId };
+  }
+
+  return null;
+};
+
+/**
+ * Greenhouse hosted job boards, read through the public Job Board API
+ */
+module.exports = {
+  name: 'greenhouse',
+  domains: ['greenhouse.io'],
+  selectors: {
+    jobTitle: ['h1.app-title', '.job__title h1', 'h1.section-header'],
+    company: ['.company-name', '.job__header .company-name'],
+    location: ['.location', '.job__location'],
+    jobDescription: ['#content', '.job__description'],
+  },
+  canonicalUrl(url) {
+    const parsed = parseJobUrl(url.toString());
+    return parsed
+      ? `https://boards.greenhouse.io/${parsed.board}/jobs/${parsed.jobId}`
+      : null;
+  },
+  api: {
+    url(jobUrl) {
+      const parsed = parseJobUrl(jobUrl);
+      if (!parsed) return null;
+      return `https://boards-api.greenhouse.io/v1/boards/${encodeURIComponent(parsed.board)}/jobs/${parsed.jobId}`;
+    },
+
+    parse(data, jobUrl) {
+      const { board } = parseJobUrl(jobUrl);
+      const location = data.location?.name || '';
+
+      const details = {
+        jobTitle: data.title,
+        company: data.company_name || humanizeSlug(board),
+        location,
+        // The API returns the description HTML entity-encoded
+        jobDescription: data.content,
+        datePosted: data.first_published || data.updated_at,
+      };
+
+      if (/remote/i.test(location)) {
+        details.isRemote = true;
+      }
+
+      return details;
+    },
+  },
+};
@@ -0,0 +1,11 @@
+/**
+ * Helpers shared by site adapters
+ */
+
+// Turn an account name or board token slug (e.g. "acme-corp") into a display name
+const humanizeSlug = (slug) =>
+  slug.replace(/[-_]+/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
+
+module.exports = {
+  humanizeSlug,
+};
@@ -0,0 +1,32 @@
+/**
+ * Indeed job pages (indeed.com/viewjob?jk=...)
+ */
+module.exports = {
+  name: 'indeed',
+  domains: ['indeed.com'],
+  // Search result links use ?vjk=, job pages ?jk=
+  canonicalUrl(url) {
+    const jobKey = url.searchParams.get('jk') || url.searchParams.get('vjk');
+    return jobKey
+      ? `https://${url.hostname}/viewjob?jk=${encodeURIComponent(jobKey)}`
+      : null;
+  },
+  selectors: {
+    jobTitle: ['h1.jobsearch-JobInfoHeader-title', '[data-testid="jobTitle"]'],
+    company: [
+      '[data-testid="inlineHeader-companyName"]',
+      '[data-testid="company-name"]',
+      'a[data-tn-element="companyName"]',
+    ],
+    location: [
+      '[data-testid="inlineHeader-companyLocation"]',
+      '[data-testid="job-location"]',
+      '[data-tn-element="jobLocation"]',
+    ],
+    jobDescription: [
+      '#jobDescriptionText',
+      '[data-testid="jobDescription"]',
+      '[data-testid="job-description"]',
+    ],
+  },
+};
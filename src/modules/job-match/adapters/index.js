@@ -0,0 +1,166 @@
+const generic = require('./generic.adapter');
+const linkedin = require('./linkedin.adapter');
+const indeed = require('./indeed.adapter');
+const greenhouse = require('./greenhouse.adapter');
+const lever = require('./lever.adapter');
+
+/**
+ * Site adapter registry
+ *
+ * An adapter describes how to read job postings from one site:
+ * - name: Adapter name
+ * - domains: Hostnames it handles (subdomains included)
+ * - selectors: CSS selectors per field (jobTitle, company, location,
+ *   jobDescription), tried before the generic adapter's selectors
+ * - api (optional): { url(jobUrl), parse(data, jobUrl) } for sites with a
+ *   public JSON endpoint. url() returns null when the URL has no API
+ *   equivalent; parse() returns job details, jobDescription may be HTML.
+ * - canonicalUrl (optional): (url: URL) => string|null, the one URL the
+ *   site's posting is known by, used to spot the same job behind different links
+ */
+
+// Site-specific adapters are matched first, the generic adapter last
+const adapters = [linkedin, indeed, greenhouse, lever, generic];
+
+// URL path segments that suggest a job posting on an otherwise unknown site
+const JOB_PATH_PATTERNS = [
+  '/job/',
+  '/jobs/',
+  '/career/',
+  '/careers/',
+  '/position/',
+  '/positions/',
+  '/opening/',
+  '/openings/',
+  '/vacancy/',
+  '/vacancies/',
+  '/join-us/',
+  '/join/',
+  '/work-with-us/',
+  '/opportunities/',
+  '/apply/',
+  '/job-detail/',
+  '/jobdetail/',
+];
+
+const normalizeHostname = (hostname) =>
+  hostname.toLowerCase().replace(/^www\./, '');
+
+/**
+ * Find the adapter registered for a hostname
+ * @param {string} hostname - URL hostname
+ * @returns {Object|null} - Adapter, or null if no adapter lists the domain
+ */
+const findAdapterForHost = (hostname) => {
+  const host = normalizeHostname(hostname);
+
+  return (
+    adapters.find((adapter) =>
+      adapter.domains.some(
+        (domain) => host === domain || host.endsWith('.' + domain)
+      )
+    ) || null
+  );
+};
+
+/**
+ * Get the adapter to scrape a URL with, falling back to the generic adapter
+ * @param {string} url - Job posting URL
+ * @returns {Object} - Adapter
+ */
+const getAdapter = (url) => {
+  try {
+    return findAdapterForHost(new URL(url).hostname) || generic;
+  } catch {
+    return generic;
+  }
+};
+
+/**
+ * Whether a URL looks like a job posting: a known job site, or a job-like path
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+const isJobUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+
+    // Only allow http/https URLs
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return false;
+    }
+
+    if (findAdapterForHost(parsed.hostname)) {
+      return true;
+    }
+
+    const path = parsed.pathname.toLowerCase();
+    return JOB_PATH_PATTERNS.some((pattern) => path.includes(pattern));
+  } catch {
+    // URL constructor threw — not a valid URL at all
+    return false;
+  }
+};
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = [
+  /^utm_/,
+  /^(gclid|fbclid|msclkid|dclid|yclid|mc_cid|mc_eid|_hsenc|_hsmi)$/,
+  /^(ref|refid|referrer|src|source|trk|trkinfo|trackingid|lipi|origin)$/,
+  /^(gh_src|lever-source|lever-origin|from|campaign|cmp)$/,
+];
+
+const isTrackingParam = (name) =>
+  TRACKING_PARAMS.some((pattern) => pattern.test(name.toLowerCase()));
+
+/**
+ * Normalise a job URL so different links to the same posting compare equal:
+ * the site adapter's canonical form if it has one, otherwise the URL with its
+ * fragment, tracking parameters and trailing slash removed
+ * @param {string} url - Job posting URL
+ * @returns {string} - Canonical URL (the input unchanged if it isn't a valid URL)
+ */
+const canonicalizeJobUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return url;
+  }
+
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+
+  const adapter = findAdapterForHost(parsed.hostname);
+  const canonical = adapter?.canonicalUrl?.(parsed);
+  if (canonical) return canonical;
+
+  const params = [...parsed.searchParams]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+  parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+
+  return parsed.toString();
+};
+
+/**
+ * Selectors for a field: the adapter's own, then the generic fallbacks
+ * @param {Object} adapter - Adapter
+ * @param {string} field - jobTitle, company, location or jobDescription
+ * @returns {Array<string>}
+ */
+const getSelectors = (adapter, field) => {
+  const own = adapter.selectors?.[field] || [];
+  if (adapter === generic) return own;
+  return [...own, ...generic.selectors[field]];
+};
+
+module.exports = {
+  adapters,
+  getAdapter,
+  findAdapterForHost,
+  isJobUrl,
+  canonicalizeJobUrl,
+  getSelectors,
+};
@@ -0,0 +1,98 @@
+const { humanizeSlug } = require('./helpers');
+
+/**
+ * Parse a Lever job URL (jobs.lever.co/{company}/{postingId}) into its parts
+ */
+const parseJobUrl = (jobUrl) => {
+  const url = new URL(jobUrl);
+  const match = url.pathname.match(/^\/([^/]+)\/([0-9a-f-]{36})/i);
+  if (!match) return null;
+
+  return {
+    company: match[1],
+    postingId: match[2],
+    // EU accounts are served from jobs.eu.lever.co / api.eu.lever.co
+    apiHost: url.hostname.includes('.eu.') ? 'api.eu.lever.co' : 'api.lever.co',
+  };
+};
+
+// Lever's salaryRange.interval values, mapped to schema.org unitText
+const SALARY_PERIODS = {
+  'per-hour-wage': 'HOUR',
+  'per-day-wage': 'DAY',
+  'per-week-salary': 'WEEK',
+  'per-month-salary': 'MONTH',
+  'per-year-salary': 'YEAR',
+};
+
+/**
+ * Lever hosted job postings, read through the public Postings API
+ */
+module.exports = {
+  name: 'lever',
+  domains: ['lever.co'],
+  selectors: {
+    jobTitle: ['.posting-headline h2'],
+    company: ['.main-header-logo img[alt]'],
+    location: ['.posting-categories .location', '.posting-category.location'],
+    jobDescription: [
+      '[data-qa="job-description"]',
+      '.section-wrapper.page-full-width',
+    ],
+  },
+  // Drops /apply and similar suffixes
+  canonicalUrl(url) {
+    const parsed = parseJobUrl(url.toString());
+    return parsed
+      ? `https://${url.hostname}/${parsed.company}/${parsed.postingId.toLowerCase()}`
+      : null;
+  },
+  api: {
+    url(jobUrl) {
+      const parsed = parseJobUrl(jobUrl);
+      if (!parsed) return null;
+      return `https://${parsed.apiHost}/v0/postings/${encodeURIComponent(parsed.company)}/${parsed.postingId}`;
+    },
+
+    parse(data, jobUrl) {
+      const { company } = parseJobUrl(jobUrl);
+      const categories = data.categories || {};
+
+      // Requirements, responsibilities etc. come as separate HTML lists
+      const sections = [data.description || ''];
+      for (const list of data.lists || []) {
+        sections.push(`<h3>${list.text}</h3><ul>${list.content}</ul>`);
+      }
+      if (data.additional) sections.push(data.additional);
+
+      const details = {
+        jobTitle: data.text,
+        company: humanizeSlug(company),
+        location: categories.location || '',
+        jobDescription: sections.join('\n'),
+      };
+
+      if (data.createdAt) {
+        details.datePosted = new Date(data.createdAt);
+      }
+      if (categories.commitment) {
+        details.employmentType = [
+          categories.commitment.toUpperCase().replace(/[\s-]+/g, '_'),
+        ];
+      }
+      if (data.workplaceType && data.workplaceType !== 'unspecified') {
+        details.isRemote = data.workplaceType === 'remote';
+      }
+      if (data.salaryRange?.min || data.salaryRange?.max) {
+        details.salary = {
+          min: data.salaryRange.min,
+          max: data.salaryRange.max,
+          currency: data.salaryRange.currency,
+          period: SALARY_PERIODS[data.salaryRange.interval],
+        };
+      }
+
+      return details;
+    },
+  },
+};
@@ -0,0 +1,39 @@
+/**
+ * LinkedIn public job pages (linkedin.com/jobs/view/...)
+ */
+module.exports = {
+  name: 'linkedin',
+  domains: ['linkedin.com'],
+  // Search pages point at a posting with ?currentJobId=, view pages may prefix the ID with a slug
+  canonicalUrl(url) {
+    const id =
+      url.pathname.match(/\/jobs\/view\/(?:[^/]*-)?(\d+)/)?.[1] ||
+      url.searchParams.get('currentJobId');
+    return /^\d+$/.test(id || '')
+      ? `https://www.linkedin.com/jobs/view/${id}`
+      : null;
+  },
+  selectors: {
+    jobTitle: [
+      'h1.top-card-layout__title',
+      'h1.topcard__title',
+      'h1.job-details-jobs-unified-top-card__job-title',
+    ],
+    company: [
+      'a.topcard__org-name-link',
+      '.top-card-layout__card a[data-tracking-control-name*="company"]',
+      'a[data-tracking-control-name*="company"]',
+    ],
+    location: [
+      '.top-card-layout__first-subline .topcard__flavor--bullet',
+      '.topcard__flavor--bullet',
+      'span.job-details-jobs-unified-top-card__bullet',
+    ],
+    jobDescription: [
+      '#job-details',
+      '.description__text',
+      '.jobs-description__content',
+      'div[class*="jobs-description"]',
+    ],
+  },
+};
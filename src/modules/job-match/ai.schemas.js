@@ -0,0 +1,98 @@
+const Joi = require('joi');
+
+/**
+ * Joi schemas for structured (JSON) responses returned by the AI model.
+ * These validate model output, not client requests — see job-match.validation.js for those.
+ */
+
+const listSchema = Joi.array().items(Joi.string().trim().min(1));
+
+// Dimensions the overall match score is built from, with their weights (%)
+const SCORE_WEIGHTS = {
+  skills: 40,
+  experience: 30,
+  education: 15,
+  softSkills: 15,
+};
+
+const dimensionSchema = Joi.object({
+  score: Joi.number().min(0).max(100).required(),
+  justification: Joi.string().trim().min(1).required(),
+});
+
+// Job match analysis response
+const analysisResultSchema = Joi.object({
+  matchingPercentage: Joi.number().min(0).max(100).required(),
+  strengths: listSchema.min(1).required(),
+  areasToImprove: listSchema.min(1).required(),
+  resumeFeedback: listSchema.default([]),
+  detailedAnalysis: Joi.string().trim().min(1).required(),
+  scoreBreakdown: Joi.object(
+    Object.fromEntries(
+      Object.keys(SCORE_WEIGHTS).map((dimension) => [
+        dimension,
+        dimensionSchema.required(),
+      ])
+    )
+  ).required(),
+});
+
+// Job comparison response. Jobs are referred to by their 1-based number in the prompt.
+const comparisonResultSchema = Joi.object({
+  recommendedJob: Joi.number().integer().min(1).required(),
+  summary: Joi.string().trim().min(1).required(),
+  ranking: Joi.array()
+    .items(
+      Joi.object({
+        job: Joi.number().integer().min(1).required(),
+        reason: Joi.string().trim().min(1).required(),
+      })
+    )
+    .min(1)
+    .required(),
+  considerations: listSchema.default([]),
+});
+
+/**
+ * Parse a raw model response as JSON and validate it against a Joi schema
+ * @param {string} raw - Raw model output
+ * @param {Joi.ObjectSchema} schema - Schema to validate against
+ * @returns {{ value: Object|null, error: string|null }}
+ */
+const parseStructuredResponse = (raw, schema) => {
+  let json;
+  try {
+    // Some models wrap JSON in markdown code fences despite being told not to
+    const cleaned = (raw || '')
+      .trim()
+      .replace(/^```(?:json)?\s*/i, '')
+      .replace(/\s*```$/, '');
+    json = JSON.parse(cleaned);
+  } catch (error) {
+    return {
+      value: null,
+      error: `Response is not valid JSON: ${error.message}`,
+    };
+  }
+
+  const { value, error } = schema.validate(json, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    return {
+      value: null,
+      error: error.details.map((detail) => detail.message).join('; '),
+    };
+  }
+
+  return { value, error: null };
+};
+
+module.exports = {
+  SCORE_WEIGHTS,
+  analysisResultSchema,
+  comparisonResultSchema,
+  parseStructuredResponse,
+};
@@ -1,24 +1,33 @@
-const OpenAI = require('openai');
-const axios = require('axios');
+const crypto = require('crypto');
 const pdfParse = require('pdf-parse');
-const openaiConfig = require('../../config/openai');
-const { retryWithBackoff } = require('../../utils/retryWithBackoff');
+const llm = require('../../utils/llm');
+const cache = require('../../utils/cache');
+const { safeFetch, CONTENT_TYPES } = require('../../utils/safeFetch');
 const apiMonitor = require('../../utils/apiMonitor');
+const AppError = require('../../utils/AppError');
+const {
+  SCORE_WEIGHTS,
+  analysisResultSchema,
+  comparisonResultSchema,
+  parseStructuredResponse,
+} = require('./ai.schemas');
+const siteAdapters = require('./adapters');
+const { buildProfileSnapshot } = require('./profile-snapshot');
+const Upload = require('../upload/upload.model');
 
 class AIService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: openaiConfig.apiKey,
-    });
-  }
-
   /**
    * Analyze job match between user profile and job posting
    * @param {Object} userProfile - User's complete profile
    * @param {Object} jobDetails - Job posting details
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with 'parsing_resume' and 'analyzing' as each stage starts
+   * @param {boolean} [options.refresh] - Ask the model even if the same prompt was answered before
    * @returns {Promise<Object>} - Analysis results with matching percentage, strengths, and areas to improve
    */
-  async analyzeJobMatch(userProfile, jobDetails) {
+  async analyzeJobMatch(userProfile, jobDetails, options = {}) {
+    const { onProgress = async () => {}, refresh = false } = options;
+
     // Validate job URL if provided
     if (jobDetails.jobUrl && !this.isValidJobURL(jobDetails.jobUrl)) {
       return {
@@ -34,11 +43,14 @@ class AIService {
       apiMonitor.recordCall();
 
       // Fetch and parse resume if URL is available
+      await onProgress('parsing_resume');
       let resumeText = null;
+      let resumeUploadId = null;
       if (userProfile?.documents?.resume?.url) {
-        resumeText = await this.fetchResumeText(
-          userProfile.documents.resume.url
-        );
+        [resumeText, resumeUploadId] = await Promise.all([
+          this.fetchResumeText(userProfile.documents.resume.url),
+          this.findResumeUploadId(userProfile),
+        ]);
       }
 
       // Build the user profile summary
@@ -50,104 +62,101 @@ class AIService {
       // Build the job posting summary
       const jobPostingSummary = this.buildJobPostingSummary(jobDetails);
 
-      // Create the prompt for OpenAI
+      // Create the prompt for the model
       const prompt = this.buildAnalysisPrompt(
         userProfileSummary,
         jobPostingSummary
       );
 
-      // Call OpenAI API with retry logic
-      const completion = await retryWithBackoff(
-        async () => {
-          return await this.openai.chat.completions.create({
-            model: openaiConfig.model,
-            messages: [
-              {
-                role: 'system',
-                content:
-                  'You are an expert career advisor and HR professional with deep knowledge of job matching and candidate assessment. Analyze the job-candidate fit objectively and provide actionable insights.',
-              },
-              {
-                role: 'user',
-                content: prompt,
-              },
-            ],
-            // temperature: openaiConfig.temperature,
-            // max_tokens: openaiConfig.maxTokens,
-          });
+      const messages = [
+        {
+          role: 'system',
+          content:
+            'You are an expert career advisor and HR professional with deep knowledge of job matching and candidate assessment. Analyze the job-candidate fit objectively and provide actionable insights. Respond ONLY with valid JSON (no markdown, no code fences).',
         },
         {
-          maxRetries: 3,
-          baseDelay: 2000, // Start with 2 seconds
-          maxDelay: 30000, // Max 30 seconds between retries
-          shouldRetry: (error) => {
-            // Track retry attempts
-            apiMonitor.recordRetry();
-            // Use default retry logic
-            return (
-              error?.response?.status === 429 ||
-              error?.status === 429 ||
-              error?.code === 'ECONNRESET' ||
-              error?.code === 'ETIMEDOUT' ||
-              error?.message?.includes('429') ||
-              error?.message?.includes('quota') ||
-              error?.message?.includes('rate limit')
-            );
-          },
-        }
-      );
+          role: 'user',
+          content: prompt,
+        },
+      ];
 
-      const analysis = completion.choices[0].message.content;
+      await onProgress('analyzing');
+      // The same prompt for the same user and model is answered from the cache
+      const parsedAnalysis = await cache.wrap(
+        'analysis',
+        cache.key(
+          String(userProfile._id),
+          llm.getTaskRoute('analysis'),
+          messages
+        ),
+        () => this.runAnalysis(messages, userProfile._id),
+        { userId: userProfile._id, refresh }
+      );
 
-      // Parse the AI response
-      const parsedAnalysis = this.parseAIResponse(analysis);
+      // Recorded so analysis versions can tell model and profile changes apart
+      parsedAnalysis.profileHash = crypto
+        .createHash('sha256')
+        .update(userProfileSummary)
+        .digest('hex');
+      // What the score was computed from, to flag it stale after profile edits
+      parsedAnalysis.profileSnapshot = buildProfileSnapshot(userProfile, {
+        resumeText,
+        resumeUploadId,
+      });
 
       apiMonitor.recordSuccess();
 
       return parsedAnalysis;
     } catch (error) {
-      apiMonitor.recordFailure(error);
+      apiMonitor.recordFailure(error, {
+        operation: 'analysis',
+        userId: userProfile?._id,
+      });
+
+      if (error instanceof AppError) {
+        throw error;
+      }
 
-      // Enhanced error handling for different error types
-      if (error instanceof OpenAI.APIError) {
+      // Enhanced error handling for provider API errors (all providers expose an HTTP status)
+      if (error.status) {
         // Handle rate limit errors (429)
         if (error.status === 429 || error.code === 'rate_limit_exceeded') {
           throw new Error(
-            `OpenAI API error: 429 You exceeded your current quota, please check your plan and billing details. For more information on this error, read the docs: https://platform.openai.com/docs/guides/error-codes/api-errors.`
+            'AI provider error: 429 You exceeded your current quota or rate limit, please check your plan and billing details.'
           );
         }
 
         // Handle insufficient quota
         if (error.code === 'insufficient_quota') {
           throw new Error(
-            'OpenAI API quota exceeded. Please check your billing settings or try again later.'
+            'AI provider quota exceeded. Please check your billing settings or try again later.'
           );
         }
 
         // Handle authentication errors
         if (error.status === 401) {
           throw new Error(
-            'OpenAI API authentication failed. Please check your API key.'
+            'AI provider authentication failed. Please check your API key.'
           );
         }
 
         // Handle invalid request errors
         if (error.status === 400) {
           throw new Error(
-            `OpenAI API error: Invalid request - ${error.message}`
+            `AI provider error: Invalid request - ${error.message}`
           );
         }
 
-        // Generic OpenAI API error
+        // Generic provider API error
         throw new Error(
-          `OpenAI API error: ${error.status} ${error.message || 'Failed to analyze job match'}`
+          `AI provider error: ${error.status} ${error.message || 'Failed to analyze job match'}`
         );
       }
 
       // Handle network errors
       if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
         throw new Error(
-          'Unable to connect to OpenAI API. Please check your internet connection.'
+          'Unable to connect to the AI provider. Please check your internet connection.'
         );
       }
 
@@ -156,6 +165,52 @@ class AIService {
     }
   }
 
+  /**
+   * Ask the model for an analysis, re-asking once if the response doesn't validate
+   * @param {Array} messages - Analysis prompt messages
+   * @param {string} userId - User the analysis is for (charged for the calls)
+   * @returns {Promise<Object>} - Normalized analysis with the provider and model used
+   */
+  async runAnalysis(messages, userId) {
+    let completion = await this.requestAnalysisCompletion(messages, userId);
+    let { value, error } = parseStructuredResponse(
+      completion.content,
+      analysisResultSchema
+    );
+    let parseStatus = 'clean';
+
+    // Repair pass: show the model its own output and the validation errors
+    if (error) {
+      console.warn('AI analysis failed validation, re-asking:', error);
+      const raw = completion.content;
+      completion = await this.requestAnalysisCompletion(
+        [
+          ...messages,
+          { role: 'assistant', content: raw },
+          { role: 'user', content: this.buildRepairPrompt(error) },
+        ],
+        userId
+      );
+      ({ value, error } = parseStructuredResponse(
+        completion.content,
+        analysisResultSchema
+      ));
+      parseStatus = 'repaired';
+    }
+
+    if (error) {
+      throw new AppError(
+        'The AI returned an analysis that could not be validated. Please try again.',
+        502
+      );
+    }
+
+    const analysis = this.normalizeAnalysis(value, parseStatus);
+    analysis.provider = completion.provider;
+    analysis.model = completion.model;
+    return analysis;
+  }
+
   /**
    * Fetch a resume from a URL and extract its text content.
    * Supports PDF files; falls back to plain text for other formats.
@@ -164,8 +219,10 @@ class AIService {
    */
   async fetchResumeText(url) {
     try {
-      const response = await axios.get(url, {
+      const response = await safeFetch(url, {
         responseType: 'arraybuffer',
+        allowedContentTypes: CONTENT_TYPES.document,
+        maxBytes: 10 * 1024 * 1024,
         timeout: 15000,
         headers: { Accept: '*/*' },
       });
@@ -195,6 +252,24 @@ class AIService {
     }
   }
 
+  /**
+   * Find the upload record behind the user's resume URL
+   * @param {Object} user - User document
+   * @returns {Promise<string|null>} - Upload ID, or null for external resume links
+   */
+  async findResumeUploadId(user) {
+    try {
+      const upload = await Upload.findOne({
+        url: user.documents.resume.url,
+        uploadedBy: user._id,
+      }).select('_id');
+      return upload ? upload._id : null;
+    } catch (error) {
+      console.warn('Failed to look up resume upload:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Build a comprehensive user profile summary
    */
@@ -316,6 +391,17 @@ class AIService {
     if (jobDetails.jobTitle) parts.push(`- Job Title: ${jobDetails.jobTitle}`);
     if (jobDetails.company) parts.push(`- Company: ${jobDetails.company}`);
     if (jobDetails.location) parts.push(`- Location: ${jobDetails.location}`);
+    if (jobDetails.isRemote) parts.push('- Remote: Yes');
+    if (jobDetails.employmentType?.length) {
+      parts.push(`- Employment Type: ${jobDetails.employmentType.join(', ')}`);
+    }
+    if (jobDetails.salary?.min) {
+      const { min, max, currency, period } = jobDetails.salary;
+      const range = max && max !== min ? `${min} - ${max}` : `${min}`;
+      parts.push(
+        `- Salary: ${range}${currency ? ` ${currency}` : ''}${period ? ` per ${period.toLowerCase()}` : ''}`
+      );
+    }
     if (jobDetails.jobDescription) {
       parts.push(`\n**Job Description:**`);
       parts.push(jobDetails.jobDescription);
@@ -326,7 +412,7 @@ class AIService {
   }
 
   /**
-   * Build the analysis prompt for OpenAI
+   * Build the analysis prompt for the model
    */
   buildAnalysisPrompt(userProfileSummary, jobPostingSummary) {
     return `
@@ -336,105 +422,98 @@ ${userProfileSummary}
 
 ${jobPostingSummary}
 
-Please analyze the match and provide a response in the following EXACT format:
-
-MATCHING_PERCENTAGE: [number between 0-100]
-
-STRENGTHS:
-- [strength 1]
-- [strength 2]
-- [strength 3]
-(list 3-5 key strengths that make this candidate a good fit)
-
-AREAS_TO_IMPROVE:
-- [area 1]
-- [area 2]
-- [area 3]
-(list 3-5 areas where the candidate could improve to better fit this role)
-
-RESUME_FEEDBACK:
-- [feedback 1]
-- [feedback 2]
-- [feedback 3]
-(list 3-5 feedbacks where the candidate could improve their resume to better align with most job postings in their field)
+Please analyze the match and respond with a single JSON object in the following EXACT structure:
+
+{
+  "matchingPercentage": number between 0-100,
+  "strengths": ["strength 1", "strength 2", "strength 3"],
+  "areasToImprove": ["area 1", "area 2", "area 3"],
+  "resumeFeedback": ["feedback 1", "feedback 2", "feedback 3"],
+  "detailedAnalysis": "string",
+  "scoreBreakdown": {
+    "skills": { "score": number between 0-100, "justification": "string" },
+    "experience": { "score": number between 0-100, "justification": "string" },
+    "education": { "score": number between 0-100, "justification": "string" },
+    "softSkills": { "score": number between 0-100, "justification": "string" }
+  }
+}
 
-DETAILED_ANALYSIS:
-[Provide a comprehensive paragraph (150-250 words) explaining:
-1. Overall fit assessment
-2. Why the matching percentage was assigned
-3. Key alignment points between the candidate and role
-4. Critical gaps or concerns
-5. Recommendations for the candidate]
+- "strengths": 3-5 key strengths that make this candidate a good fit
+- "areasToImprove": 3-5 areas where the candidate could improve to better fit this role
+- "resumeFeedback": 3-5 feedbacks where the candidate could improve their resume to better align with most job postings in their field
+- "detailedAnalysis": a comprehensive paragraph (150-250 words) explaining:
+  1. Overall fit assessment
+  2. Why the matching percentage was assigned
+  3. Key alignment points between the candidate and role
+  4. Critical gaps or concerns
+  5. Recommendations for the candidate
+- "scoreBreakdown": a separate 0-100 score for each dimension, each with a one or two sentence justification citing specifics from the profile and job posting:
+  - "skills": technical skills match (weight ${SCORE_WEIGHTS.skills}%)
+  - "experience": experience relevance (weight ${SCORE_WEIGHTS.experience}%)
+  - "education": education/certifications (weight ${SCORE_WEIGHTS.education}%)
+  - "softSkills": soft skills/preferences (weight ${SCORE_WEIGHTS.softSkills}%)
+  "matchingPercentage" must be consistent with these weighted scores
 
 Important:
 - Be specific and actionable in your feedback
 - Consider technical skills, experience level, cultural fit, and career trajectory
-- Base the matching percentage on: skills match (40%), experience relevance (30%), education/certifications (15%), and soft skills/preferences (15%)
-- Keep STRENGTHS and AREAS_TO_IMPROVE concise (one line each)
-- Make DETAILED_ANALYSIS comprehensive but focused
+- Base the matching percentage on: skills match (${SCORE_WEIGHTS.skills}%), experience relevance (${SCORE_WEIGHTS.experience}%), education/certifications (${SCORE_WEIGHTS.education}%), and soft skills/preferences (${SCORE_WEIGHTS.softSkills}%)
+- Keep strengths and areasToImprove concise (one line each)
+- Make detailedAnalysis comprehensive but focused
+- Respond with the JSON object only — no markdown, no code fences, no extra text
 `;
   }
 
   /**
-   * Parse the AI response into structured data
+   * Call the model for a job match analysis, with retry logic
+   * @param {Array} messages - Chat messages to send
+   * @param {string} userId - User the analysis is for
+   * @returns {Promise<Object>} - Completion ({ content, provider, model, usage })
    */
-  parseAIResponse(response) {
-    try {
-      // Extract matching percentage
-      const matchingPercentageMatch = response.match(
-        /MATCHING_PERCENTAGE:\s*(\d+)/i
-      );
-      const matchingPercentage = matchingPercentageMatch
-        ? parseInt(matchingPercentageMatch[1], 10)
-        : 50;
-
-      // Extract strengths
-      const strengthsMatch = response.match(
-        /STRENGTHS:(.*?)(?=AREAS_TO_IMPROVE:|$)/is
-      );
-      const strengths = strengthsMatch
-        ? this.extractListItems(strengthsMatch[1])
-        : [];
-
-      // Extract areas to improve
-      const areasMatch = response.match(
-        /AREAS_TO_IMPROVE:(.*?)(?=DETAILED_ANALYSIS:|$)/is
-      );
-      const areasToImprove = areasMatch
-        ? this.extractListItems(areasMatch[1])
-        : [];
+  async requestAnalysisCompletion(messages, userId) {
+    return llm.createChatCompletion('analysis', {
+      messages,
+      json: true,
+      userId,
+    });
+  }
 
-      // Extract resume feedback
-      const resumeFeedbackMatch = response.match(
-        /RESUME_FEEDBACK:(.*?)(?=DETAILED_ANALYSIS:|$)/is
-      );
-      const resumeFeedback = resumeFeedbackMatch
-        ? this.extractListItems(resumeFeedbackMatch[1])
-        : [];
+  /**
+   * Build the follow-up prompt asking the model to fix an invalid analysis
+   * @param {string} validationError - Why the previous response was rejected
+   */
+  buildRepairPrompt(validationError) {
+    return `Your previous response could not be used because it did not match the required JSON structure: ${validationError}
 
-      // Extract detailed analysis
-      const detailedMatch = response.match(/DETAILED_ANALYSIS:(.*?)$/is);
-      const detailedAnalysis = detailedMatch
-        ? detailedMatch[1].trim()
-        : response;
+Respond again with ONLY the corrected JSON object, using exactly the keys "matchingPercentage", "strengths", "areasToImprove", "resumeFeedback", "detailedAnalysis" and "scoreBreakdown" (with "skills", "experience", "education" and "softSkills" entries).`;
+  }
 
-      return {
-        matchingPercentage: Math.min(100, Math.max(0, matchingPercentage)),
-        strengths: strengths.slice(0, 5),
-        areasToImprove: areasToImprove.slice(0, 5),
-        resumeFeedback: resumeFeedback.slice(0, 5),
-        detailedAnalysis: detailedAnalysis.substring(0, 2000),
-      };
-    } catch (error) {
-      console.error('Error parsing AI response:', error);
-      // Return a fallback response
-      return {
-        matchingPercentage: 50,
-        strengths: ['Unable to parse specific strengths'],
-        areasToImprove: ['Unable to parse specific areas to improve'],
-        detailedAnalysis: response.substring(0, 2000),
-      };
-    }
+  /**
+   * Normalize a validated analysis into the shape stored on JobMatch
+   * @param {Object} analysis - Analysis that passed schema validation
+   * @param {string} parseStatus - 'clean' or 'repaired'
+   */
+  normalizeAnalysis(analysis, parseStatus) {
+    return {
+      matchingPercentage: Math.round(analysis.matchingPercentage),
+      strengths: analysis.strengths.slice(0, 5),
+      areasToImprove: analysis.areasToImprove.slice(0, 5),
+      resumeFeedback: analysis.resumeFeedback.slice(0, 5),
+      detailedAnalysis: analysis.detailedAnalysis.substring(0, 2000),
+      scoreBreakdown: Object.fromEntries(
+        Object.entries(SCORE_WEIGHTS).map(([dimension, weight]) => [
+          dimension,
+          {
+            score: Math.round(analysis.scoreBreakdown[dimension].score),
+            weight,
+            justification: analysis.scoreBreakdown[
+              dimension
+            ].justification.substring(0, 500),
+          },
+        ])
+      ),
+      parseStatus,
+    };
   }
 
   /**
@@ -464,103 +543,115 @@ Important:
   /**
    * Validate whether a URL is a legitimate job posting URL.
    * Returns false for non-job sites (e.g. youtube.com) and malformed URLs.
+   * Known sites come from the adapter registry (see adapters/index.js).
    */
   isValidJobURL(url) {
-    try {
-      const parsed = new URL(url);
+    return siteAdapters.isJobUrl(url);
+  }
 
-      // Only allow http/https URLs
-      if (!['http:', 'https:'].includes(parsed.protocol)) {
-        return false;
-      }
+  /**
+   * Generate job-specific details: personalized DM, email, interview questions, and tips
+   * @param {Object} userProfile - User's complete profile
+   * @param {Object} jobMatch - Existing job match document
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Generate new details even if cached ones exist
+   * @returns {Promise<Object>} - { jobSpecificMessage, jobSpecificEmail, jobSpecificInterviewQuestions, jobSpecificTips }
+   */
+  async generateJobSpecificDetails(userProfile, jobMatch, { refresh } = {}) {
+    const messages = this.buildJobSpecificMessages(userProfile, jobMatch);
 
-      const hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
-
-      // Known job board / ATS domains
-      const knownJobSites = [
-        'linkedin.com',
-        'indeed.com',
-        'glassdoor.com',
-        'monster.com',
-        'ziprecruiter.com',
-        'dice.com',
-        'simplyhired.com',
-        'careerbuilder.com',
-        'lever.co',
-        'greenhouse.io',
-        'workday.com',
-        'icims.com',
-        'taleo.net',
-        'smartrecruiters.com',
-        'jobvite.com',
-        'workable.com',
-        'bamboohr.com',
-        'breezy.hr',
-        'recruitee.com',
-        'ashbyhq.com',
-        'angel.co',
-        'wellfound.com',
-        'remoteok.com',
-        'weworkremotely.com',
-        'naukri.com',
-        'shine.com',
-        'foundit.in',
-        'internshala.com',
-        'hackerearth.com',
-        'builtin.com',
-        'idealist.org',
-        'flexjobs.com',
-        'twitter.com', // job postings sometimes shared here
-      ];
+    return cache.wrap(
+      'jobSpecificDetails',
+      this.jobSpecificCacheKey(userProfile, messages),
+      async () => {
+        const completion = await llm.createChatCompletion(
+          'jobSpecificDetails',
+          { messages, userId: userProfile._id }
+        );
+        return this.parseJobSpecificResponse(completion.content);
+      },
+      { userId: userProfile._id, refresh }
+    );
+  }
 
-      if (
-        knownJobSites.some(
-          (site) => hostname === site || hostname.endsWith('.' + site)
-        )
-      ) {
-        return true;
+  /**
+   * Stream job-specific details, yielding each section as soon as the model has finished it
+   * @param {Object} userProfile - User's complete profile
+   * @param {Object} jobMatch - Existing job match document
+   * @param {Object} [options] - See generateJobSpecificDetails()
+   * @yields {Object} - { section, value }, where section is a key of the generateJobSpecificDetails() result
+   * @returns {Promise<Object>} - The complete details, same shape as generateJobSpecificDetails()
+   */
+  async *streamJobSpecificDetails(userProfile, jobMatch, { refresh } = {}) {
+    const messages = this.buildJobSpecificMessages(userProfile, jobMatch);
+    const cacheKey = this.jobSpecificCacheKey(userProfile, messages);
+
+    // Cached details are sent all at once
+    const cached = refresh
+      ? null
+      : await cache.get('jobSpecificDetails', cacheKey);
+    if (cached) {
+      for (const [section, value] of Object.entries(cached)) {
+        yield { section, value };
       }
+      return cached;
+    }
 
-      // Check URL path for common job-related segments
-      const path = parsed.pathname.toLowerCase();
-      const jobPathPatterns = [
-        '/job/',
-        '/jobs/',
-        '/career/',
-        '/careers/',
-        '/position/',
-        '/positions/',
-        '/opening/',
-        '/openings/',
-        '/vacancy/',
-        '/vacancies/',
-        '/join-us/',
-        '/join/',
-        '/work-with-us/',
-        '/opportunities/',
-        '/apply/',
-        '/job-detail/',
-        '/jobdetail/',
-      ];
-
-      if (jobPathPatterns.some((pattern) => path.includes(pattern))) {
-        return true;
+    // Section markers in output order, with the result key each one fills
+    const sections = [
+      ['JOB_SPECIFIC_MESSAGE:', 'jobSpecificMessage'],
+      ['JOB_SPECIFIC_EMAIL:', 'jobSpecificEmail'],
+      ['JOB_SPECIFIC_INTERVIEW_QUESTIONS:', 'jobSpecificInterviewQuestions'],
+      ['JOB_SPECIFIC_TIPS:', 'jobSpecificTips'],
+    ];
+
+    let raw = '';
+    let emitted = 0;
+
+    for await (const delta of llm.streamChatCompletion('jobSpecificDetails', {
+      messages,
+      userId: userProfile._id,
+    })) {
+      raw += delta;
+
+      // A section is complete once the next section's marker has arrived
+      while (
+        emitted < sections.length - 1 &&
+        raw.toUpperCase().includes(sections[emitted + 1][0])
+      ) {
+        const key = sections[emitted][1];
+        yield { section: key, value: this.parseJobSpecificResponse(raw)[key] };
+        emitted++;
       }
+    }
 
-      return false;
-    } catch {
-      // URL constructor threw — not a valid URL at all
-      return false;
+    const details = this.parseJobSpecificResponse(raw);
+    for (; emitted < sections.length; emitted++) {
+      const key = sections[emitted][1];
+      yield { section: key, value: details[key] };
     }
+
+    await cache.set('jobSpecificDetails', cacheKey, details, {
+      userId: userProfile._id,
+    });
+    return details;
   }
 
   /**
-   * Generate job-specific details: personalized DM, email, interview questions, and tips
-   * @param {Object} userProfile - User's complete profile
-   * @param {Object} jobMatch - Existing job match document
-   * @returns {Promise<Object>} - { jobSpecificMessage, jobSpecificEmail, jobSpecificInterviewQuestions, jobSpecificTips }
+   * Cache key for job-specific details: the same prompt, user and model
+   */
+  jobSpecificCacheKey(userProfile, messages) {
+    return cache.key(
+      String(userProfile._id),
+      llm.getTaskRoute('jobSpecificDetails'),
+      messages
+    );
+  }
+
+  /**
+   * Build the chat messages for generating job-specific details
    */
-  async generateJobSpecificDetails(userProfile, jobMatch) {
+  buildJobSpecificMessages(userProfile, jobMatch) {
     const userProfileSummary = this.buildUserProfileSummary(userProfile);
     const jobPostingSummary = this.buildJobPostingSummary({
       jobTitle: jobMatch.jobTitle,
@@ -610,44 +701,17 @@ Important:
 - Keep each list item to one or two sentences maximum
 `;
 
-    const completion = await retryWithBackoff(
-      async () => {
-        return await this.openai.chat.completions.create({
-          model: openaiConfig.model,
-          messages: [
-            {
-              role: 'system',
-              content:
-                'You are an expert career coach specializing in personalized job application strategies, outreach messaging, and interview preparation.',
-            },
-            {
-              role: 'user',
-              content: prompt,
-            },
-          ],
-        });
+    return [
+      {
+        role: 'system',
+        content:
+          'You are an expert career coach specializing in personalized job application strategies, outreach messaging, and interview preparation.',
       },
       {
-        maxRetries: 3,
-        baseDelay: 2000,
-        maxDelay: 30000,
-        shouldRetry: (error) => {
-          apiMonitor.recordRetry();
-          return (
-            error?.response?.status === 429 ||
-            error?.status === 429 ||
-            error?.code === 'ECONNRESET' ||
-            error?.code === 'ETIMEDOUT' ||
-            error?.message?.includes('429') ||
-            error?.message?.includes('quota') ||
-            error?.message?.includes('rate limit')
-          );
-        },
-      }
-    );
-
-    const raw = completion.choices[0].message.content;
-    return this.parseJobSpecificResponse(raw);
+        role: 'user',
+        content: prompt,
+      },
+    ];
   }
 
   /**
@@ -678,10 +742,172 @@ Important:
   }
 
   /**
-   * Quick validation to check if OpenAI is configured
+   * Recommend which of several analyzed job matches to prioritise
+   * @param {Object} userProfile - User's complete profile
+   * @param {Array<Object>} jobMatches - Analyzed job match documents, in display order
+   * @returns {Promise<Object>} - { recommendedJobId, summary, ranking: [{ jobId, reason }], considerations }
+   */
+  async compareJobMatches(userProfile, jobMatches) {
+    const messages = this.buildComparisonMessages(userProfile, jobMatches);
+
+    let completion = await llm.createChatCompletion('comparison', {
+      messages,
+      json: true,
+      userId: userProfile._id,
+    });
+    let { value, error } = parseStructuredResponse(
+      completion.content,
+      comparisonResultSchema
+    );
+
+    // Repair pass, as for analyses
+    if (!error) {
+      error = this.checkComparisonJobNumbers(value, jobMatches.length);
+    }
+    if (error) {
+      console.warn('AI comparison failed validation, re-asking:', error);
+      const raw = completion.content;
+      completion = await llm.createChatCompletion('comparison', {
+        messages: [
+          ...messages,
+          { role: 'assistant', content: raw },
+          {
+            role: 'user',
+            content: `Your previous response could not be used: ${error}\n\nRespond again with ONLY the corrected JSON object, using job numbers 1 to ${jobMatches.length}.`,
+          },
+        ],
+        json: true,
+        userId: userProfile._id,
+      });
+      ({ value, error } = parseStructuredResponse(
+        completion.content,
+        comparisonResultSchema
+      ));
+      if (!error) {
+        error = this.checkComparisonJobNumbers(value, jobMatches.length);
+      }
+    }
+
+    if (error) {
+      throw new AppError(
+        'The AI returned a comparison that could not be validated. Please try again.',
+        502
+      );
+    }
+
+    const jobId = (number) => jobMatches[number - 1]._id;
+
+    // Jobs the model left out of its ranking go last, best score first
+    const ranked = new Set();
+    const ranking = [];
+    value.ranking.forEach(({ job, reason }) => {
+      if (ranked.has(job)) return;
+      ranked.add(job);
+      ranking.push({ jobId: jobId(job), reason });
+    });
+    jobMatches
+      .map((jobMatch, index) => ({ jobMatch, number: index + 1 }))
+      .filter(({ number }) => !ranked.has(number))
+      .sort(
+        (a, b) =>
+          (b.jobMatch.analysis?.matchingPercentage || 0) -
+          (a.jobMatch.analysis?.matchingPercentage || 0)
+      )
+      .forEach(({ jobMatch }) =>
+        ranking.push({ jobId: jobMatch._id, reason: null })
+      );
+
+    return {
+      recommendedJobId: jobId(value.recommendedJob),
+      summary: value.summary.substring(0, 2000),
+      ranking,
+      considerations: value.considerations.slice(0, 5),
+      provider: completion.provider,
+      model: completion.model,
+    };
+  }
+
+  /**
+   * Check that a comparison only refers to jobs that were in the prompt
+   * @returns {string|null} - Validation error, or null
+   */
+  checkComparisonJobNumbers(comparison, jobCount) {
+    const numbers = [
+      comparison.recommendedJob,
+      ...comparison.ranking.map(({ job }) => job),
+    ];
+    const unknown = numbers.filter((number) => number > jobCount);
+
+    return unknown.length
+      ? `Unknown job number(s) ${unknown.join(', ')}; there are only ${jobCount} jobs`
+      : null;
+  }
+
+  /**
+   * Build the chat messages for comparing job matches. Uses the same profile and
+   * job summaries as the individual analyses, plus each job's existing result.
+   */
+  buildComparisonMessages(userProfile, jobMatches) {
+    const userProfileSummary = this.buildUserProfileSummary(userProfile);
+
+    const jobSections = jobMatches.map((jobMatch, index) => {
+      const { analysis = {} } = jobMatch;
+      const parts = [
+        `### Job ${index + 1}`,
+        this.buildJobPostingSummary(jobMatch),
+        '\n**Existing Analysis:**',
+        `- Matching Percentage: ${analysis.matchingPercentage}%`,
+      ];
+      if (analysis.strengths?.length) {
+        parts.push(`- Strengths: ${analysis.strengths.join('; ')}`);
+      }
+      if (analysis.areasToImprove?.length) {
+        parts.push(`- Gaps: ${analysis.areasToImprove.join('; ')}`);
+      }
+      return parts.join('\n');
+    });
+
+    const prompt = `
+Compare the following ${jobMatches.length} jobs for this candidate and recommend which one to prioritise.
+
+${userProfileSummary}
+
+${jobSections.join('\n\n')}
+
+Respond with a single JSON object in the following EXACT structure:
+
+{
+  "recommendedJob": number of the job to prioritise,
+  "summary": "string",
+  "ranking": [{ "job": number, "reason": "string" }],
+  "considerations": ["consideration 1", "consideration 2"]
+}
+
+- "summary": 80-150 words explaining the recommendation, weighing fit, growth, salary and location/work mode against the candidate's preferences
+- "ranking": every job, best first, each with a one sentence reason
+- "considerations": 2-4 trade-offs or things the candidate should check before deciding
+- Refer to jobs only by their number (1 to ${jobMatches.length})
+- Respond with the JSON object only — no markdown, no code fences, no extra text
+`;
+
+    return [
+      {
+        role: 'system',
+        content:
+          'You are an expert career advisor helping a candidate decide between job opportunities. Be objective and ground every point in the profile and job details given. Respond ONLY with valid JSON (no markdown, no code fences).',
+      },
+      {
+        role: 'user',
+        content: prompt,
+      },
+    ];
+  }
+
+  /**
+   * Quick validation to check if the analysis provider is configured
    */
   isConfigured() {
-    return !!openaiConfig.apiKey;
+    return llm.isConfigured('analysis');
   }
 }
 
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+// Outcome of one URL or CSV row in a batch
+const batchItemSchema = new mongoose.Schema(
+  {
+    // Position in the request (URLs first, then CSV rows)
+    index: {
+      type: Number,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ['url', 'csv'],
+      required: true,
+    },
+    jobUrl: {
+      type: String,
+      trim: true,
+    },
+    jobTitle: {
+      type: String,
+      trim: true,
+    },
+    company: {
+      type: String,
+      trim: true,
+    },
+    // duplicate: already analyzed, so the existing analysis is used
+    // invalid: rejected before queueing (error says why)
+    status: {
+      type: String,
+      enum: ['queued', 'completed', 'failed', 'duplicate', 'invalid'],
+      required: true,
+    },
+    jobMatchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JobMatch',
+    },
+    matchingPercentage: {
+      type: Number,
+    },
+    error: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+const analysisBatchSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'completed'],
+      default: 'processing',
+    },
+    items: [batchItemSchema],
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+analysisBatchSchema.index({ userId: 1, createdAt: -1 });
+
+// Item counts by status
+analysisBatchSchema.virtual('summary').get(function () {
+  const summary = {
+    total: this.items.length,
+    queued: 0,
+    completed: 0,
+    failed: 0,
+    duplicate: 0,
+    invalid: 0,
+  };
+  this.items.forEach((item) => {
+    summary[item.status]++;
+  });
+  return summary;
+});
+
+// Static method to record the outcome of a batch item's analysis
+analysisBatchSchema.statics.recordItemResult = async function (
+  batchId,
+  jobMatchId,
+  result
+) {
+  const update = { 'items.$[item].status': result.status };
+  if (result.matchingPercentage != null) {
+    update['items.$[item].matchingPercentage'] = result.matchingPercentage;
+  }
+  if (result.error) {
+    update['items.$[item].error'] = result.error;
+  }
+
+  await this.updateOne(
+    { _id: batchId },
+    { $set: update },
+    { arrayFilters: [{ 'item.jobMatchId': jobMatchId }] }
+  );
+
+  // The batch is done once nothing is left in the queue
+  await this.updateOne(
+    { _id: batchId, status: 'processing', 'items.status': { $ne: 'queued' } },
+    { status: 'completed', completedAt: new Date() }
+  );
+};
+
+// Static method to find user's batches
+analysisBatchSchema.statics.findByUserId = function (userId, limit = 10) {
+  return this.find({ userId })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select('-__v');
+};
+
+module.exports = mongoose.model('AnalysisBatch', analysisBatchSchema);
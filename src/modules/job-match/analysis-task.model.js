@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+
+// Tasks stuck in 'processing' longer than this are assumed to belong to a dead worker
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+const analysisTaskSchema = new mongoose.Schema(
+  {
+    jobMatchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JobMatch',
+      required: [true, 'Job match ID is required'],
+      index: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+    // Unset for manually entered jobs (CSV rows), which are analyzed as stored
+    jobUrl: {
+      type: String,
+      trim: true,
+    },
+    // Applied when the scraped posting turns out to be analyzed already (see jobMatchService.resolveDuplicate)
+    duplicateStrategy: {
+      type: String,
+      enum: ['ask', 'reuse', 'analyze'],
+      default: 'analyze',
+    },
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AnalysisBatch',
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'completed', 'failed'],
+      default: 'queued',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    // Earliest time the task may be picked up (used for retry backoff)
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      trim: true,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for claiming the next runnable task
+analysisTaskSchema.index({ status: 1, runAt: 1 });
+
+// Completed/failed tasks are removed after 7 days
+analysisTaskSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 }
+);
+
+// Static method to atomically claim the next runnable task
+analysisTaskSchema.statics.claimNext = function (workerId) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        // Reclaim tasks whose worker died mid-processing, while attempts remain
+        {
+          status: 'processing',
+          lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+          $expr: { $lt: ['$attempts', '$maxAttempts'] },
+        },
+      ],
+    },
+    {
+      status: 'processing',
+      lockedAt: now,
+      lockedBy: workerId,
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Static method to fail a task whose worker died on its last attempt (e.g. the
+// browser was killed mid-scrape), so it is not reclaimed forever
+analysisTaskSchema.statics.failNextAbandoned = function () {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      status: 'processing',
+      lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] },
+    },
+    {
+      status: 'failed',
+      lockedAt: null,
+      lockedBy: null,
+      lastError: 'The analysis stopped unexpectedly too many times',
+      completedAt: now,
+    },
+    { new: true }
+  );
+};
+
+// Static method to mark a task as completed
+analysisTaskSchema.statics.markCompleted = function (taskId) {
+  return this.findByIdAndUpdate(taskId, {
+    status: 'completed',
+    lockedAt: null,
+    lockedBy: null,
+    completedAt: new Date(),
+  });
+};
+
+// Static method to record a failure, re-queueing with backoff while attempts remain
+analysisTaskSchema.statics.markFailed = function (task, error, retryable) {
+  const update = {
+    lockedAt: null,
+    lockedBy: null,
+    lastError: error.message,
+  };
+
+  if (retryable && task.attempts < task.maxAttempts) {
+    update.status = 'queued';
+    update.runAt = new Date(
+      Date.now() + 30000 * Math.pow(2, task.attempts - 1)
+    );
+  } else {
+    update.status = 'failed';
+    update.completedAt = new Date();
+  }
+
+  return this.findByIdAndUpdate(task._id, update, { new: true });
+};
+
+module.exports = mongoose.model('AnalysisTask', analysisTaskSchema);
+module.exports.LOCK_TIMEOUT_MS = LOCK_TIMEOUT_MS;
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const { profileSnapshotSchema } = require('./job-match.model');
+
+// Sub-score for a single dimension, as stored on JobMatch.analysis.scoreBreakdown
+const scoreDimensionSchema = new mongoose.Schema(
+  {
+    score: Number,
+    weight: Number,
+    justification: String,
+  },
+  { _id: false }
+);
+
+/**
+ * One analysis run of a job match. Versions are never modified once written,
+ * so earlier scores survive re-analysis.
+ */
+const analysisVersionSchema = new mongoose.Schema(
+  {
+    jobMatchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JobMatch',
+      required: [true, 'Job match ID is required'],
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+    // 1 for the first run of a job match, incremented on every re-run
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    matchingPercentage: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    strengths: [String],
+    areasToImprove: [String],
+    resumeFeedback: [String],
+    detailedAnalysis: String,
+    scoreBreakdown: {
+      skills: scoreDimensionSchema,
+      experience: scoreDimensionSchema,
+      education: scoreDimensionSchema,
+      softSkills: scoreDimensionSchema,
+    },
+    parseStatus: String,
+    provider: String,
+    model: String,
+    // Hash of the profile summary the model was given, to tell profile changes apart
+    profileHash: String,
+    profileSnapshot: profileSnapshotSchema,
+    analyzedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+analysisVersionSchema.index({ jobMatchId: 1, version: -1 }, { unique: true });
+
+// Versions are append-only
+analysisVersionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Analysis versions cannot be modified'));
+  }
+  next();
+});
+
+analysisVersionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'],
+  function (next) {
+    next(new Error('Analysis versions cannot be modified'));
+  }
+);
+
+// Static method to store a job match's current analysis as its next version
+analysisVersionSchema.statics.record = async function (jobMatch) {
+  const { analysis } = jobMatch;
+
+  for (let attempt = 0; ; attempt++) {
+    const latest = await this.findOne({ jobMatchId: jobMatch._id })
+      .sort({ version: -1 })
+      .select('version');
+
+    try {
+      return await this.create({
+        jobMatchId: jobMatch._id,
+        userId: jobMatch.userId,
+        version: (latest?.version || 0) + 1,
+        matchingPercentage: analysis.matchingPercentage,
+        strengths: analysis.strengths,
+        areasToImprove: analysis.areasToImprove,
+        resumeFeedback: analysis.resumeFeedback,
+        detailedAnalysis: analysis.detailedAnalysis,
+        scoreBreakdown: analysis.scoreBreakdown,
+        parseStatus: analysis.parseStatus,
+        provider: analysis.provider,
+        model: analysis.model,
+        profileHash: analysis.profileHash,
+        profileSnapshot: analysis.profileSnapshot,
+        analyzedAt: analysis.analyzedAt,
+      });
+    } catch (error) {
+      // Another run took this version number at the same time; take the next one
+      if (error.code !== 11000 || attempt >= 2) throw error;
+    }
+  }
+};
+
+// Static method to find a job match's versions, newest first
+analysisVersionSchema.statics.findByJobMatch = function (jobMatchId) {
+  return this.find({ jobMatchId }).sort({ version: -1 }).select('-__v');
+};
+
+module.exports = mongoose.model('AnalysisVersion', analysisVersionSchema);
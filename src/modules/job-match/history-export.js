@@ -0,0 +1,250 @@
+const PDFDocument = require('pdfkit');
+const { toCsvRow } = require('../../utils/csv');
+const { SCORE_WEIGHTS } = require('./ai.schemas');
+
+/**
+ * Streamed exports of a user's job match history. Each writer reads job
+ * matches one at a time from an aggregation cursor and waits for the response
+ * to drain, so large histories are never held in memory.
+ */
+
+const EXPORT_FORMATS = ['csv', 'json', 'pdf'];
+
+const SCORE_DIMENSIONS = Object.keys(SCORE_WEIGHTS);
+
+// Resolves once the response can take more data (or the client has gone)
+const drained = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+// Write a chunk, waiting when the response's buffer is full
+const write = (res, chunk) =>
+  res.write(chunk) ? Promise.resolve() : drained(res);
+
+/**
+ * The exported fields of a job match
+ * @param {Object} jobMatch - Job match (plain object from the aggregation)
+ * @returns {Object}
+ */
+const toExportRecord = (jobMatch) => {
+  const analysis = jobMatch.analysis || {};
+
+  return {
+    id: String(jobMatch._id),
+    jobTitle: jobMatch.jobTitle,
+    company: jobMatch.company,
+    location: jobMatch.location || null,
+    jobUrl: jobMatch.jobUrl || null,
+    status: jobMatch.status,
+    tags: jobMatch.tags || [],
+    applicationStage: jobMatch.application?.stage || null,
+    matchingPercentage: analysis.matchingPercentage ?? null,
+    scoreBreakdown: Object.fromEntries(
+      SCORE_DIMENSIONS.map((dimension) => [
+        dimension,
+        analysis.scoreBreakdown?.[dimension]?.score ?? null,
+      ])
+    ),
+    strengths: analysis.strengths || [],
+    gaps: analysis.areasToImprove || [],
+    resumeFeedback: analysis.resumeFeedback || [],
+    detailedAnalysis: analysis.detailedAnalysis || null,
+    jobSpecificMessage: analysis.jobSpecificMessage || null,
+    jobSpecificEmail: analysis.jobSpecificEmail || null,
+    interviewQuestions: analysis.jobSpecificInterviewQuestions || [],
+    tips: analysis.jobSpecificTips || [],
+    analyzedAt: analysis.analyzedAt || null,
+    createdAt: jobMatch.createdAt,
+  };
+};
+
+const CSV_COLUMNS = [
+  'id',
+  'jobTitle',
+  'company',
+  'location',
+  'jobUrl',
+  'status',
+  'tags',
+  'applicationStage',
+  'matchingPercentage',
+  ...SCORE_DIMENSIONS.map((dimension) => `${dimension}Score`),
+  'strengths',
+  'gaps',
+  'resumeFeedback',
+  'detailedAnalysis',
+  'jobSpecificMessage',
+  'jobSpecificEmail',
+  'interviewQuestions',
+  'tips',
+  'analyzedAt',
+  'createdAt',
+];
+
+// One CSV line per job match; lists become one item per line within the cell
+const toCsvValues = (record) =>
+  CSV_COLUMNS.map((column) => {
+    const dimension = column.replace(/Score$/, '');
+    if (column !== dimension && SCORE_DIMENSIONS.includes(dimension)) {
+      return record.scoreBreakdown[dimension];
+    }
+
+    const value = record[column];
+    if (Array.isArray(value)) return value.join('\n');
+    if (value instanceof Date) return value.toISOString();
+    return value;
+  });
+
+const writeCsv = async (cursor, res) => {
+  await write(res, toCsvRow(CSV_COLUMNS));
+
+  for await (const jobMatch of cursor) {
+    if (res.destroyed) break;
+    await write(res, toCsvRow(toCsvValues(toExportRecord(jobMatch))));
+  }
+
+  if (!res.destroyed) res.end();
+};
+
+// A JSON array written one element at a time
+const writeJson = async (cursor, res) => {
+  let count = 0;
+  await write(res, '[');
+
+  for await (const jobMatch of cursor) {
+    if (res.destroyed) break;
+    const json = JSON.stringify(toExportRecord(jobMatch), null, 2);
+    await write(res, `${count++ ? ',' : ''}\n${json}`);
+  }
+
+  if (!res.destroyed) res.end(count ? '\n]\n' : ']\n');
+};
+
+// Report section: a heading followed by a paragraph or a bulleted list
+const pdfSection = (doc, heading, content) => {
+  if (!content || (Array.isArray(content) && !content.length)) return;
+
+  doc.moveDown().font('Helvetica-Bold').fontSize(13).text(heading);
+  doc.moveDown(0.3).font('Helvetica').fontSize(10);
+  if (Array.isArray(content)) {
+    doc.list(content, { bulletRadius: 2, paragraphGap: 3 });
+  } else {
+    doc.text(content, { paragraphGap: 3 });
+  }
+};
+
+// One report per job match, each starting on a new page
+const pdfJobReport = (doc, record) => {
+  doc.font('Helvetica-Bold').fontSize(18).text(record.jobTitle);
+  doc
+    .font('Helvetica')
+    .fontSize(11)
+    .fillColor('#555555')
+    .text([record.company, record.location].filter(Boolean).join(' · '));
+  if (record.jobUrl) {
+    doc.fontSize(9).text(record.jobUrl, { link: record.jobUrl });
+  }
+  doc.fillColor('black');
+
+  doc.moveDown();
+  if (record.matchingPercentage != null) {
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(14)
+      .text(`Match: ${record.matchingPercentage}%`);
+    const breakdown = SCORE_DIMENSIONS.filter(
+      (dimension) => record.scoreBreakdown[dimension] != null
+    ).map((dimension) => `${dimension}: ${record.scoreBreakdown[dimension]}%`);
+    if (breakdown.length) {
+      doc.font('Helvetica').fontSize(10).text(breakdown.join('   '));
+    }
+  } else {
+    doc.font('Helvetica').fontSize(11).text(`Status: ${record.status}`);
+  }
+
+  const details = [
+    record.applicationStage && `Application stage: ${record.applicationStage}`,
+    record.tags.length && `Tags: ${record.tags.join(', ')}`,
+    record.analyzedAt &&
+      `Analyzed: ${new Date(record.analyzedAt).toISOString().slice(0, 10)}`,
+  ].filter(Boolean);
+  if (details.length) {
+    doc.moveDown(0.3).font('Helvetica').fontSize(9).text(details.join('   '));
+  }
+
+  pdfSection(doc, 'Strengths', record.strengths);
+  pdfSection(doc, 'Gaps', record.gaps);
+  pdfSection(doc, 'Resume feedback', record.resumeFeedback);
+  pdfSection(doc, 'Detailed analysis', record.detailedAnalysis);
+  pdfSection(doc, 'LinkedIn message', record.jobSpecificMessage);
+  pdfSection(doc, 'Email', record.jobSpecificEmail);
+  pdfSection(doc, 'Interview questions', record.interviewQuestions);
+  pdfSection(doc, 'Tips', record.tips);
+};
+
+const writePdf = async (cursor, res) => {
+  // Pages are written out as soon as the next one starts
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: 'Job match report' },
+  });
+  doc.pipe(res);
+
+  let count = 0;
+  for await (const jobMatch of cursor) {
+    if (res.destroyed) break;
+    if (count++) doc.addPage();
+    pdfJobReport(doc, toExportRecord(jobMatch));
+
+    if (res.writableNeedDrain) await drained(res);
+  }
+
+  if (res.destroyed) {
+    doc.unpipe(res);
+  } else if (!count) {
+    doc.font('Helvetica').fontSize(12).text('No job matches found.');
+  }
+
+  doc.end();
+};
+
+const WRITERS = {
+  csv: { contentType: 'text/csv; charset=utf-8', write: writeCsv },
+  json: { contentType: 'application/json; charset=utf-8', write: writeJson },
+  pdf: { contentType: 'application/pdf', write: writePdf },
+};
+
+/**
+ * Stream job matches to a response as a file download
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} cursor - Cursor over job matches (async iterable)
+ * @param {Object} res - Express response
+ * @returns {Promise<void>} - Resolves once every job match has been written
+ */
+const exportJobMatches = async (format, cursor, res) => {
+  const { contentType, write: writeFormat } = WRITERS[format];
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.status(200);
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="job-matches-${date}.${format}"`,
+    'Cache-Control': 'no-store',
+  });
+
+  await writeFormat(cursor, res);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportJobMatches,
+  toExportRecord,
+};
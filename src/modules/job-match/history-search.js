@@ -0,0 +1,378 @@
+const mongoose = require('mongoose');
+const AppError = require('../../utils/AppError');
+
+/**
+ * Aggregation pipelines behind the job match history search: full-text query,
+ * facet filters, facet counts and cursor pagination. Exports reuse the same
+ * filters (see buildExportPipeline).
+ *
+ * A page of results sorts and resumes on stored fields so that it is served
+ * from the { userId, <sort field>, _id } indexes; the total and facet counts
+ * scan every match, so they are a separate pipeline run only when asked for.
+ *
+ * Facet counts are disjunctive: each facet is counted with every filter
+ * applied except its own, so selecting "remote" still shows how many hybrid
+ * jobs there are.
+ */
+
+// Sort options and the field each one orders by. Unscored job matches have no
+// matchingPercentage (null), which sorts before every score.
+const SEARCH_SORTS = {
+  '-createdAt': { field: 'createdAt', direction: -1 },
+  createdAt: { field: 'createdAt', direction: 1 },
+  '-matchingPercentage': {
+    field: 'analysis.matchingPercentage',
+    direction: -1,
+    nullable: true,
+  },
+  matchingPercentage: {
+    field: 'analysis.matchingPercentage',
+    direction: 1,
+    nullable: true,
+  },
+  // Only with a text query. Text scores are not stored, so this one sorts on a
+  // computed field; the text index already narrows the set to the matches.
+  relevance: {
+    field: 'relevance',
+    computed: { $meta: 'textScore' },
+    direction: -1,
+  },
+};
+
+const WORK_MODES = ['remote', 'hybrid', 'on-site'];
+
+// Lower bounds of the score range facet; the last value is an exclusive upper bound
+const SCORE_BOUNDARIES = [0, 50, 70, 85, 101];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Same rules as getWorkMode() in job-match.service.js
+const location = { $toLower: { $ifNull: ['$location', ''] } };
+const workModeExpression = {
+  $switch: {
+    branches: [
+      {
+        case: {
+          $or: [
+            { $eq: ['$isRemote', true] },
+            { $regexMatch: { input: location, regex: 'remote' } },
+          ],
+        },
+        then: 'remote',
+      },
+      {
+        case: { $regexMatch: { input: location, regex: 'hybrid' } },
+        then: 'hybrid',
+      },
+      {
+        case: {
+          $and: [{ $ne: [location, ''] }, { $ne: [location, 'not specified'] }],
+        },
+        then: 'on-site',
+      },
+    ],
+    default: null,
+  },
+};
+
+// Value of the sort field on a result; dates travel as milliseconds
+const sortValue = (sort, item) => {
+  const { field } = SEARCH_SORTS[sort];
+  const value = field
+    .split('.')
+    .reduce((object, key) => (object == null ? object : object[key]), item);
+  if (value == null) return null;
+  return value instanceof Date ? value.getTime() : value;
+};
+
+/**
+ * Encode the position after a result for the next page
+ * @param {string} sort - Sort option the page was fetched with
+ * @param {Object} item - Last result
+ * @returns {string}
+ */
+const encodeCursor = (sort, item) =>
+  Buffer.from(
+    JSON.stringify({ s: sort, v: sortValue(sort, item), id: String(item._id) })
+  ).toString('base64url');
+
+/**
+ * Decode a cursor from encodeCursor()
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sort - Sort option of the current request
+ * @returns {Object} - { value, id }
+ */
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    decoded = null;
+  }
+
+  const { field, nullable } = SEARCH_SORTS[sort];
+  if (
+    !decoded ||
+    !(typeof decoded.v === 'number' || (decoded.v === null && nullable)) ||
+    !mongoose.Types.ObjectId.isValid(decoded.id)
+  ) {
+    throw new AppError('Invalid cursor', 400);
+  }
+  if (decoded.s !== sort) {
+    throw new AppError('Cursor was created with a different sort order', 400);
+  }
+
+  return {
+    value: field === 'createdAt' ? new Date(decoded.v) : decoded.v,
+    id: new mongoose.Types.ObjectId(decoded.id),
+  };
+};
+
+// Condition for the results after a cursor position
+const buildCursorMatch = (sort, { value, id }) => {
+  const { field, direction, nullable } = SEARCH_SORTS[sort];
+  const operator = direction === 1 ? '$gt' : '$lt';
+
+  // Range operators never match null, so unscored results are handled apart
+  if (value === null) {
+    const unscored = { [field]: null, _id: { [operator]: id } };
+    return direction === 1
+      ? { $or: [unscored, { [field]: { $ne: null } }] }
+      : unscored;
+  }
+
+  const after = [
+    { [field]: { [operator]: value } },
+    { [field]: value, _id: { [operator]: id } },
+  ];
+  if (nullable && direction === -1) {
+    after.push({ [field]: null });
+  }
+  return { $or: after };
+};
+
+// Conditions for each facet filter that was given, keyed by facet
+const buildFacetFilters = (filters) => {
+  const conditions = {};
+
+  if (filters.status?.length) {
+    conditions.status = { status: { $in: filters.status } };
+  }
+  if (filters.minScore != null || filters.maxScore != null) {
+    const range = {};
+    if (filters.minScore != null) range.$gte = filters.minScore;
+    if (filters.maxScore != null) range.$lte = filters.maxScore;
+    conditions.score = { 'analysis.matchingPercentage': range };
+  }
+  if (filters.from || filters.to) {
+    const range = {};
+    if (filters.from) range.$gte = new Date(filters.from);
+    if (filters.to) range.$lte = new Date(filters.to);
+    conditions.date = { createdAt: range };
+  }
+  if (filters.workMode?.length) {
+    conditions.workMode = {
+      $expr: { $in: [workModeExpression, filters.workMode] },
+    };
+  }
+  if (filters.tags?.length) {
+    conditions.tags = { tags: { $all: filters.tags } };
+  }
+
+  return conditions;
+};
+
+// $match stage for all facet filters except one (none when there is nothing to match)
+const matchExcept = (conditions, excluded) => {
+  const others = Object.keys(conditions)
+    .filter((facet) => facet !== excluded)
+    .map((facet) => conditions[facet]);
+  return others.length ? [{ $match: { $and: others } }] : [];
+};
+
+// $match stage every search starts with: the user's job matches, text query,
+// field filters and the given facet conditions
+const buildMatch = (userId, filters, conditions) => {
+  const match = { userId: new mongoose.Types.ObjectId(userId) };
+
+  // $text has to be in the pipeline's first stage
+  if (filters.q) {
+    match.$text = { $search: filters.q };
+  }
+
+  // Field filters (any of them may match, as before full-text search existed)
+  const fieldConditions = ['company', 'jobTitle', 'location']
+    .filter((field) => filters[field])
+    .map((field) => ({
+      [field]: { $regex: escapeRegex(filters[field]), $options: 'i' },
+    }));
+  if (fieldConditions.length) {
+    match.$or = fieldConditions;
+  }
+
+  if (conditions.length) {
+    match.$and = conditions;
+  }
+
+  return { $match: match };
+};
+
+/**
+ * Build the aggregation for one page of search results
+ * @param {string} userId - User ID
+ * @param {Object} filters - { q, company, jobTitle, location, status, minScore,
+ *   maxScore, from, to, workMode, tags }
+ * @param {Object} options - { sort, limit, cursor }
+ * @returns {Array} - Pipeline producing up to limit + 1 job matches
+ */
+const buildSearchPipeline = (userId, filters, { sort, limit, cursor }) => {
+  const { field, computed, direction } = SEARCH_SORTS[sort];
+  const conditions = Object.values(buildFacetFilters(filters));
+  const after = cursor
+    ? buildCursorMatch(sort, decodeCursor(cursor, sort))
+    : null;
+
+  // The text score only exists once computed, so its cursor has to wait
+  const stages = [
+    buildMatch(
+      userId,
+      filters,
+      after && !computed ? [...conditions, after] : conditions
+    ),
+  ];
+  if (computed) {
+    stages.push({ $addFields: { [field]: computed } });
+    if (after) stages.push({ $match: after });
+  }
+
+  return [
+    ...stages,
+    { $sort: { [field]: direction, _id: direction } },
+    // One extra to tell whether there is a next page
+    { $limit: limit + 1 },
+  ];
+};
+
+/**
+ * Build the aggregation counting every search result and each facet
+ * @param {string} userId - User ID
+ * @param {Object} filters - See buildSearchPipeline()
+ * @returns {Array} - Pipeline producing one document: { total, status, score,
+ *   date, workMode, tags }
+ */
+const buildFacetsPipeline = (userId, filters) => {
+  const conditions = buildFacetFilters(filters);
+
+  return [
+    buildMatch(userId, filters, []),
+    {
+      $facet: {
+        total: [...matchExcept(conditions), { $count: 'count' }],
+        status: [
+          ...matchExcept(conditions, 'status'),
+          { $group: { _id: '$status', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        score: [
+          ...matchExcept(conditions, 'score'),
+          {
+            $bucket: {
+              groupBy: '$analysis.matchingPercentage',
+              boundaries: SCORE_BOUNDARIES,
+              default: 'unscored',
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        date: [
+          ...matchExcept(conditions, 'date'),
+          {
+            $group: {
+              _id: {
+                $dateToString: { format: '%Y-%m', date: '$createdAt' },
+              },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: -1 } },
+        ],
+        workMode: [
+          ...matchExcept(conditions, 'workMode'),
+          { $group: { _id: workModeExpression, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        tags: [
+          ...matchExcept(conditions, 'tags'),
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 50 },
+        ],
+      },
+    },
+  ];
+};
+
+/**
+ * Build an aggregation returning every matching job match, without facets or
+ * pagination (for streaming exports)
+ * @param {string} userId - User ID
+ * @param {Object} filters - See buildSearchPipeline()
+ * @param {string} sort - Sort option
+ * @returns {Array} - Pipeline
+ */
+const buildExportPipeline = (userId, filters, sort) => {
+  const { field, computed, direction } = SEARCH_SORTS[sort];
+  const match = buildMatch(
+    userId,
+    filters,
+    Object.values(buildFacetFilters(filters))
+  );
+
+  if (!computed) {
+    return [match, { $sort: { [field]: direction, _id: direction } }];
+  }
+  return [
+    match,
+    { $addFields: { [field]: computed } },
+    { $sort: { [field]: direction, _id: direction } },
+    { $project: { [field]: 0 } },
+  ];
+};
+
+/**
+ * Shape the facet counts for the response
+ * @param {Object} result - Result document of buildFacetsPipeline()
+ * @returns {Object} - { status, score, date, workMode, tags }: lists of { value, count }
+ *   (score and date entries have their own bounds instead of a value)
+ */
+const formatFacets = (result) => {
+  const counts = (buckets) =>
+    buckets.map(({ _id, count }) => ({ value: _id, count }));
+
+  return {
+    status: counts(result.status),
+    score: result.score.map(({ _id, count }) => {
+      if (_id === 'unscored') return { min: null, max: null, count };
+      const index = SCORE_BOUNDARIES.indexOf(_id);
+      return { min: _id, max: SCORE_BOUNDARIES[index + 1] - 1, count };
+    }),
+    // One entry per month (YYYY-MM), newest first
+    date: counts(result.date).map(({ value, count }) => ({
+      month: value,
+      count,
+    })),
+    workMode: counts(result.workMode),
+    tags: counts(result.tags),
+  };
+};
+
+module.exports = {
+  SEARCH_SORTS,
+  WORK_MODES,
+  buildExportPipeline,
+  buildFacetsPipeline,
+  buildSearchPipeline,
+  encodeCursor,
+  formatFacets,
+};
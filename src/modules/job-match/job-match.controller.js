@@ -2,22 +2,76 @@ const jobMatchService = require('./job-match.service');
 const asyncHandler = require('../../utils/asyncHandler');
 const AppError = require('../../utils/AppError');
 const apiMonitor = require('../../utils/apiMonitor');
-const aiCache = require('../../utils/aiCache');
+const cache = require('../../utils/cache');
+const { openEventStream } = require('../../utils/sse');
+const { exportJobMatches } = require('./history-export');
+
+// Query list given comma-separated or by repeating the key
+const toList = (value) =>
+  []
+    .concat(value || [])
+    .flatMap((entry) => entry.split(','))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+// Search filters from the query string (see GET /api/job-match/search)
+const toSearchQuery = (params) => {
+  const query = {
+    status: toList(params.status),
+    workMode: toList(params.workMode),
+    tags: toList(params.tags).map((tag) => tag.toLowerCase()),
+  };
+  ['q', 'company', 'jobTitle', 'location', 'from', 'to'].forEach((key) => {
+    if (params[key]) query[key] = params[key];
+  });
+  ['minScore', 'maxScore'].forEach((key) => {
+    if (params[key] != null) query[key] = Number(params[key]);
+  });
+  return query;
+};
 
 class JobMatchController {
   /**
    * Analyze job match from URL
    * POST /api/job-match/analyze-url
+   * Pass `async: true` to queue the analysis and poll GET /:id/status instead.
+   * A posting analyzed before is analyzed again, unless duplicateStrategy is 'reuse' or 'ask' (409).
    */
   analyzeFromUrl = asyncHandler(async (req, res) => {
-    const { jobUrl } = req.body;
+    const { jobUrl, async: runAsync, duplicateStrategy } = req.body;
     const userId = req.user.id;
 
     if (!jobUrl) {
       throw new AppError('Job URL is required', 400);
     }
 
-    const result = await jobMatchService.analyzeFromUrl(userId, jobUrl);
+    if (runAsync) {
+      const jobMatch = await jobMatchService.queueAnalysisFromUrl(
+        userId,
+        jobUrl,
+        { duplicateStrategy }
+      );
+
+      // duplicateStrategy 'reuse' on a URL analyzed before: nothing was queued
+      if (jobMatch.status === 'analyzed') {
+        return res.status(200).json({
+          success: true,
+          message: 'Existing job match analysis reused',
+          data: jobMatch,
+        });
+      }
+
+      return res.status(202).json({
+        success: true,
+        message: 'Job match analysis queued',
+        data: jobMatch,
+        statusUrl: `${req.baseUrl}/${jobMatch._id}/status`,
+      });
+    }
+
+    const result = await jobMatchService.analyzeFromUrl(userId, jobUrl, {
+      duplicateStrategy,
+    });
 
     res.status(201).json({
       success: true,
@@ -29,9 +83,11 @@ class JobMatchController {
   /**
    * Analyze job match from manual entry
    * POST /api/job-match/analyze-manual
+   * Same duplicateStrategy handling as analyze-url
    */
   analyzeFromManual = asyncHandler(async (req, res) => {
-    const { jobTitle, company, location, jobDescription } = req.body;
+    const { jobTitle, company, location, jobDescription, duplicateStrategy } =
+      req.body;
     const userId = req.user.id;
 
     if (!jobTitle || !jobDescription) {
@@ -47,7 +103,8 @@ class JobMatchController {
 
     const result = await jobMatchService.analyzeFromManualEntry(
       userId,
-      jobDetails
+      jobDetails,
+      { duplicateStrategy }
     );
 
     res.status(201).json({
@@ -57,6 +114,76 @@ class JobMatchController {
     });
   });
 
+  /**
+   * Queue analyses for many jobs at once
+   * POST /api/job-match/batch
+   * Send { urls: [...] } as JSON, or multipart form data with a "csv" file
+   * (columns: title, company, location, description)
+   */
+  createBatch = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    const batch = await jobMatchService.createBatch(userId, {
+      urls: [].concat(req.body.urls || []),
+      csv: req.file ? req.file.buffer.toString('utf-8') : null,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Batch analysis queued',
+      data: batch,
+      statusUrl: `${req.baseUrl}/batch/${batch._id}`,
+    });
+  });
+
+  /**
+   * Get user's recent analysis batches
+   * GET /api/job-match/batch
+   */
+  getBatches = asyncHandler(async (req, res) => {
+    const batches = await jobMatchService.getBatches(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Batches retrieved successfully',
+      data: batches,
+    });
+  });
+
+  /**
+   * Get an analysis batch with per-item results
+   * GET /api/job-match/batch/:batchId
+   */
+  getBatch = asyncHandler(async (req, res) => {
+    const batch = await jobMatchService.getBatch(
+      req.params.batchId,
+      req.user.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Batch retrieved successfully',
+      data: batch,
+    });
+  });
+
+  /**
+   * Compare job matches side by side
+   * POST /api/job-match/compare
+   */
+  compare = asyncHandler(async (req, res) => {
+    const comparison = await jobMatchService.compareJobMatches(
+      req.user.id,
+      req.body.ids
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Job matches compared successfully',
+      data: comparison,
+    });
+  });
+
   /**
    * Get user's job match history
    * GET /api/job-match/history
@@ -84,20 +211,20 @@ class JobMatchController {
   /**
    * Search user's job match history
    * GET /api/job-match/search
+   * Full-text `q` plus facet filters; list filters (status, workMode, tags) are
+   * comma-separated. Pass pagination.nextCursor back as `cursor` for the next page.
+   * The total and facet counts come with the first page; `facets=true|false` overrides.
    */
   searchHistory = asyncHandler(async (req, res) => {
     const userId = req.user.id;
-    const { company, jobTitle, location, page, limit, sort } = req.query;
-
-    const query = {};
-    if (company) query.company = company;
-    if (jobTitle) query.jobTitle = jobTitle;
-    if (location) query.location = location;
+    const { limit, sort, cursor, facets } = req.query;
+    const query = toSearchQuery(req.query);
 
     const result = await jobMatchService.searchHistory(userId, query, {
-      page,
-      limit,
+      limit: limit ? parseInt(limit) : undefined,
       sort,
+      cursor,
+      facets: facets === undefined ? undefined : facets === 'true',
     });
 
     res.status(200).json({
@@ -105,9 +232,36 @@ class JobMatchController {
       message: 'Search results retrieved successfully',
       data: result.items,
       pagination: result.pagination,
+      facets: result.facets,
     });
   });
 
+  /**
+   * Export the user's job match history as a file
+   * GET /api/job-match/export?format=csv|json|pdf
+   * Takes the same filters and sort as GET /search; everything matching is streamed.
+   */
+  exportHistory = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const { format = 'csv', sort } = req.query;
+
+    const cursor = jobMatchService.exportHistory(
+      userId,
+      toSearchQuery(req.query),
+      { sort }
+    );
+
+    try {
+      await exportJobMatches(format, cursor, res);
+    } catch (error) {
+      // Before anything was sent, let the error handler send a normal response
+      if (!res.headersSent) throw error;
+
+      console.error('❌ Job match export failed:', error.message);
+      res.destroy(error);
+    }
+  });
+
   /**
    * Get job match by ID
    * GET /api/job-match/:id
@@ -117,6 +271,7 @@ class JobMatchController {
     const userId = req.user.id;
 
     const jobMatch = await jobMatchService.getById(id, userId);
+    await jobMatchService.flagStaleAnalyses(userId, jobMatch);
 
     res.status(200).json({
       success: true,
@@ -125,6 +280,40 @@ class JobMatchController {
     });
   });
 
+  /**
+   * Get the other job matches for the same posting
+   * GET /api/job-match/:id/duplicates
+   */
+  getDuplicates = asyncHandler(async (req, res) => {
+    const result = await jobMatchService.getDuplicates(
+      req.params.id,
+      req.user.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Duplicate job matches retrieved successfully',
+      data: result,
+    });
+  });
+
+  /**
+   * Get the status and progress of a job match analysis
+   * GET /api/job-match/:id/status
+   */
+  getStatus = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const status = await jobMatchService.getAnalysisStatus(id, userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Job match status retrieved successfully',
+      data: status,
+    });
+  });
+
   /**
    * Get user's high-match jobs
    * GET /api/job-match/high-matches
@@ -181,12 +370,15 @@ class JobMatchController {
   /**
    * Generate or regenerate job-specific details
    * GET /api/job-match/get-job-specific-details/:_id
+   * Details generated before for the same profile and job are reused unless `refresh=true`.
    */
   getJobSpecificDetails = asyncHandler(async (req, res) => {
     const { _id } = req.params;
     const userId = req.user.id;
 
-    const result = await jobMatchService.getJobSpecificDetails(_id, userId);
+    const result = await jobMatchService.getJobSpecificDetails(_id, userId, {
+      refresh: req.query.refresh === 'true',
+    });
 
     res.status(200).json({
       success: true,
@@ -195,6 +387,224 @@ class JobMatchController {
     });
   });
 
+  /**
+   * Generate job-specific details, streaming each section as Server-Sent Events
+   * GET /api/job-match/get-job-specific-details/:_id/stream
+   * Events: "section" ({ section, value }) per finished section, then "done"
+   * (the updated job match) or "error" ({ message, statusCode })
+   */
+  streamJobSpecificDetails = asyncHandler(async (req, res) => {
+    const { _id } = req.params;
+    const userId = req.user.id;
+    let stream = null;
+
+    try {
+      const result = await jobMatchService.streamJobSpecificDetails(
+        _id,
+        userId,
+        {
+          onStart: async () => {
+            stream = openEventStream(res);
+          },
+          onSection: async (section) => {
+            stream.send('section', section);
+          },
+        },
+        { refresh: req.query.refresh === 'true' }
+      );
+
+      stream.send('done', {
+        success: true,
+        message: 'Job-specific details generated successfully',
+        data: result,
+      });
+      stream.close();
+    } catch (error) {
+      // Before the stream opens, let the error handler send a normal response
+      if (!stream) throw error;
+
+      console.error('❌ Job-specific details stream failed:', error.message);
+      stream.send('error', {
+        success: false,
+        message: error.isOperational
+          ? error.message
+          : 'Failed to generate job-specific details',
+        statusCode: error.statusCode || 500,
+      });
+      stream.close();
+    }
+  });
+
+  /**
+   * List the analysis versions of a job match
+   * GET /api/job-match/:id/versions
+   */
+  getVersions = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const versions = await jobMatchService.getAnalysisVersions(id, userId);
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      data: versions,
+    });
+  });
+
+  /**
+   * Compare two analysis versions of a job match
+   * GET /api/job-match/:id/versions/diff?from=1&to=2
+   * Defaults to the latest version compared with the one before it
+   */
+  diffVersions = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const from = req.query.from ? parseInt(req.query.from) : undefined;
+    const to = req.query.to ? parseInt(req.query.to) : undefined;
+
+    const diff = await jobMatchService.diffAnalysisVersions(id, userId, {
+      from,
+      to,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: diff,
+    });
+  });
+
+  /**
+   * Move a job to an application stage
+   * PATCH /api/job-match/:id/stage
+   */
+  moveToStage = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { stage, note } = req.body;
+    const userId = req.user.id;
+
+    const result = await jobMatchService.moveToStage(id, userId, stage, note);
+
+    res.status(200).json({
+      success: true,
+      message: `Job moved to ${stage}`,
+      data: result,
+    });
+  });
+
+  /**
+   * Add a note to a job application
+   * POST /api/job-match/:id/notes
+   */
+  addNote = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const result = await jobMatchService.addApplicationNote(
+      id,
+      userId,
+      req.body.text
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added successfully',
+      data: result,
+    });
+  });
+
+  /**
+   * Delete a note from a job application
+   * DELETE /api/job-match/:id/notes/:noteId
+   */
+  deleteNote = asyncHandler(async (req, res) => {
+    const { id, noteId } = req.params;
+    const userId = req.user.id;
+
+    const result = await jobMatchService.deleteApplicationNote(
+      id,
+      userId,
+      noteId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Note deleted successfully',
+      data: result,
+    });
+  });
+
+  /**
+   * Set the next action for a job application
+   * PUT /api/job-match/:id/next-action
+   */
+  setNextAction = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { description, dueAt } = req.body;
+    const userId = req.user.id;
+
+    const result = await jobMatchService.setNextAction(id, userId, {
+      description,
+      dueAt,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Next action updated successfully',
+      data: result,
+    });
+  });
+
+  /**
+   * Clear the next action for a job application
+   * DELETE /api/job-match/:id/next-action
+   */
+  clearNextAction = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const result = await jobMatchService.setNextAction(id, userId, null);
+
+    res.status(200).json({
+      success: true,
+      message: 'Next action cleared successfully',
+      data: result,
+    });
+  });
+
+  /**
+   * Replace the tags on a job match
+   * PUT /api/job-match/:id/tags
+   */
+  setTags = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { tags } = req.body;
+    const userId = req.user.id;
+
+    const result = await jobMatchService.setTags(id, userId, tags);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tags updated successfully',
+      data: result,
+    });
+  });
+
+  /**
+   * Get the user's applications grouped by stage
+   * GET /api/job-match/board
+   */
+  getBoard = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    const result = await jobMatchService.getApplicationBoard(userId);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  });
+
   /**
    * Re-analyze an existing job match
    * POST /api/job-match/:id/reanalyze
@@ -229,13 +639,13 @@ class JobMatchController {
   });
 
   /**
-   * Get API health and monitoring statistics
+   * Get API health and monitoring statistics (admin only)
    * GET /api/job-match/monitor/health
    */
   getAPIHealth = asyncHandler(async (req, res) => {
     const health = apiMonitor.getHealth();
     const stats = apiMonitor.getStats();
-    const cacheStats = aiCache.getStats();
+    const cacheStats = await cache.getStats();
 
     res.status(200).json({
       success: true,
@@ -249,12 +659,28 @@ class JobMatchController {
   });
 
   /**
-   * Get recent API errors
+   * Remove a user's cached AI responses (admin only)
+   * DELETE /api/job-match/cache/users/:userId
+   */
+  purgeUserCache = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    const deleted = await cache.purgeUser(userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cached AI responses purged successfully',
+      data: { userId, deleted },
+    });
+  });
+
+  /**
+   * Get recent API errors (admin only)
    * GET /api/job-match/monitor/errors
    */
   getRecentErrors = asyncHandler(async (req, res) => {
-    const limit = parseInt(req.query.limit) || 10;
-    const errors = apiMonitor.getRecentErrors(limit);
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const errors = await apiMonitor.getRecentErrors(limit);
 
     res.status(200).json({
       success: true,
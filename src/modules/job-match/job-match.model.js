@@ -1,5 +1,102 @@
 const mongoose = require('mongoose');
 
+// Sub-score for a single dimension of the match (skills, experience, ...)
+const scoreDimensionSchema = new mongoose.Schema(
+  {
+    score: {
+      type: Number,
+      min: [0, 'Score cannot be negative'],
+      max: [100, 'Score cannot exceed 100'],
+    },
+    weight: {
+      type: Number,
+    },
+    justification: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+// Profile state an analysis was computed from (see profile-snapshot.js)
+const profileSnapshotSchema = new mongoose.Schema(
+  {
+    skills: [String],
+    softSkills: [String],
+    currentTitle: String,
+    industry: String,
+    experienceMonths: Number,
+    education: {
+      degree: String,
+      university: String,
+      graduationYear: Number,
+      certifications: [String],
+    },
+    resume: {
+      uploadId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Upload',
+      },
+      url: String,
+      fileName: String,
+      uploadedAt: Date,
+      textHash: String,
+    },
+    fingerprint: String,
+  },
+  { _id: false }
+);
+
+// Application pipeline, in order. rejected and withdrawn can follow any stage.
+const APPLICATION_STAGES = [
+  'saved',
+  'applied',
+  'screening',
+  'interviewing',
+  'offer',
+  'rejected',
+  'withdrawn',
+];
+
+// A single move between application stages
+const stageTransitionSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: APPLICATION_STAGES,
+    },
+    to: {
+      type: String,
+      enum: APPLICATION_STAGES,
+      required: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Note cannot be more than 1000 characters'],
+    },
+  },
+  { _id: false }
+);
+
+const applicationNoteSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Note text is required'],
+    trim: true,
+    maxlength: [5000, 'Note cannot be more than 5000 characters'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 const jobMatchSchema = new mongoose.Schema(
   {
     userId: {
@@ -35,6 +132,77 @@ const jobMatchSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // jobUrl without tracking parameters etc. (see adapters/index.js canonicalizeJobUrl)
+    canonicalUrl: {
+      type: String,
+      trim: true,
+    },
+    // Title/company key and description simhash (see posting-fingerprint.js)
+    fingerprint: {
+      key: {
+        type: String,
+      },
+      simhash: {
+        type: String,
+      },
+    },
+    // Earlier job match for the same posting, e.g. found on another site
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JobMatch',
+      default: null,
+    },
+    // Details from the posting's schema.org JobPosting markup, when present
+    salary: {
+      min: {
+        type: Number,
+      },
+      max: {
+        type: Number,
+      },
+      currency: {
+        type: String,
+        trim: true,
+      },
+      // schema.org unitText: HOUR, DAY, WEEK, MONTH or YEAR
+      period: {
+        type: String,
+        trim: true,
+      },
+    },
+    employmentType: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    datePosted: {
+      type: Date,
+    },
+    validThrough: {
+      type: Date,
+    },
+    isRemote: {
+      type: Boolean,
+    },
+    hiringOrganization: {
+      name: {
+        type: String,
+        trim: true,
+      },
+      url: {
+        type: String,
+        trim: true,
+      },
+      logo: {
+        type: String,
+        trim: true,
+      },
+    },
+    structuredDataSource: {
+      type: String,
+      enum: ['json-ld', 'microdata'],
+    },
     // AI Analysis Results
     analysis: {
       matchingPercentage: {
@@ -64,6 +232,29 @@ const jobMatchSchema = new mongoose.Schema(
         type: String,
         trim: true,
       },
+      // Per-dimension scores the matching percentage is weighted from
+      scoreBreakdown: {
+        skills: scoreDimensionSchema,
+        experience: scoreDimensionSchema,
+        education: scoreDimensionSchema,
+        softSkills: scoreDimensionSchema,
+      },
+      // 'clean' when the model's JSON validated first time, 'repaired' when it needed a re-ask
+      parseStatus: {
+        type: String,
+        enum: ['clean', 'repaired'],
+      },
+      provider: {
+        type: String,
+      },
+      model: {
+        type: String,
+      },
+      // Hash of the profile summary given to the model (see analysis-version.model.js)
+      profileHash: {
+        type: String,
+      },
+      profileSnapshot: profileSnapshotSchema,
       analyzedAt: {
         type: Date,
         default: Date.now,
@@ -89,12 +280,62 @@ const jobMatchSchema = new mongoose.Schema(
         },
       ],
     },
+    // Application tracking (unset until the job is added to the pipeline)
+    application: {
+      stage: {
+        type: String,
+        enum: APPLICATION_STAGES,
+      },
+      stageChangedAt: {
+        type: Date,
+      },
+      appliedAt: {
+        type: Date,
+      },
+      history: [stageTransitionSchema],
+      notes: [applicationNoteSchema],
+      nextAction: {
+        description: {
+          type: String,
+          trim: true,
+          maxlength: [500, 'Next action cannot be more than 500 characters'],
+        },
+        dueAt: {
+          type: Date,
+        },
+      },
+    },
+    // User-defined labels for filtering the history, stored lowercase
+    tags: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
     // Metadata
     status: {
       type: String,
       enum: ['pending', 'analyzed', 'error'],
       default: 'pending',
     },
+    // Progress of an asynchronous analysis (see analysis-task.model.js)
+    progress: {
+      stage: {
+        type: String,
+        enum: [
+          'queued',
+          'scraping',
+          'parsing_resume',
+          'analyzing',
+          'completed',
+          'failed',
+        ],
+      },
+      updatedAt: {
+        type: Date,
+      },
+    },
     error: {
       type: String,
       trim: true,
@@ -108,9 +349,36 @@ const jobMatchSchema = new mongoose.Schema(
 );
 
 // Indexes for better query performance
-jobMatchSchema.index({ userId: 1, createdAt: -1 });
 jobMatchSchema.index({ status: 1 });
 jobMatchSchema.index({ 'analysis.matchingPercentage': -1 });
+jobMatchSchema.index({ userId: 1, 'application.stage': 1 });
+jobMatchSchema.index({ userId: 1, canonicalUrl: 1 });
+jobMatchSchema.index({ userId: 1, 'fingerprint.key': 1 });
+jobMatchSchema.index({ duplicateOf: 1 });
+jobMatchSchema.index({ userId: 1, tags: 1 });
+// History lists and search pages sort on these (see history-search.js); _id breaks ties
+jobMatchSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+jobMatchSchema.index({ userId: 1, 'analysis.matchingPercentage': -1, _id: -1 });
+// Full-text search over the posting and its analysis (see jobMatchService.searchHistory)
+jobMatchSchema.index(
+  {
+    jobTitle: 'text',
+    company: 'text',
+    jobDescription: 'text',
+    'analysis.detailedAnalysis': 'text',
+    'analysis.strengths': 'text',
+    'analysis.areasToImprove': 'text',
+  },
+  {
+    name: 'job_match_text',
+    weights: {
+      jobTitle: 10,
+      company: 5,
+      'analysis.strengths': 2,
+      'analysis.areasToImprove': 2,
+    },
+  }
+);
 
 // Virtual field for display
 jobMatchSchema.virtual('shortDescription').get(function () {
@@ -120,6 +388,17 @@ jobMatchSchema.virtual('shortDescription').get(function () {
     : this.jobDescription;
 });
 
+// Whether the analysis predates a material profile change. Not stored: set by
+// jobMatchService.flagStaleAnalyses, null when unknown.
+jobMatchSchema
+  .virtual('analysisStale')
+  .get(function () {
+    return this.$locals.analysisStale ?? null;
+  })
+  .set(function (value) {
+    this.$locals.analysisStale = value;
+  });
+
 // Static method to find user's job matches
 jobMatchSchema.statics.findByUserId = function (userId, limit = 10) {
   return this.find({ userId })
@@ -139,3 +418,5 @@ jobMatchSchema.statics.findHighMatches = function (userId, minPercentage = 70) {
 };
 
 module.exports = mongoose.model('JobMatch', jobMatchSchema);
+module.exports.APPLICATION_STAGES = APPLICATION_STAGES;
+module.exports.profileSnapshotSchema = profileSnapshotSchema;
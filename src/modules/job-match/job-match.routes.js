@@ -2,7 +2,14 @@ const express = require('express');
 const jobMatchController = require('./job-match.controller');
 const jobMatchValidation = require('./job-match.validation');
 const auth = require('../../middleware/auth');
+const authorize = require('../../middleware/authorize');
+const aiQuota = require('../../middleware/aiQuota');
+const requireVerifiedEmail = require('../../middleware/requireVerifiedEmail');
 const { aiEndpointLimiter } = require('../../middleware/rateLimiter');
+const {
+  uploadCsv,
+  handleCsvUploadError,
+} = require('../../middleware/csvUpload');
 
 const router = express.Router();
 
@@ -13,6 +20,8 @@ router.use(auth);
 router.post(
   '/analyze-url',
   aiEndpointLimiter,
+  requireVerifiedEmail,
+  aiQuota,
   jobMatchValidation.validateAnalyzeUrl,
   jobMatchController.analyzeFromUrl
 );
@@ -21,29 +30,83 @@ router.post(
 router.post(
   '/analyze-manual',
   aiEndpointLimiter,
+  requireVerifiedEmail,
+  aiQuota,
   jobMatchValidation.validateAnalyzeManual,
   jobMatchController.analyzeFromManual
 );
 
+// Queue analyses for a list of URLs and/or an uploaded CSV (field "csv")
+router.post(
+  '/batch',
+  aiEndpointLimiter,
+  requireVerifiedEmail,
+  aiQuota,
+  uploadCsv.single('csv'),
+  handleCsvUploadError,
+  jobMatchValidation.validateBatch,
+  jobMatchController.createBatch
+);
+
+// Get user's recent batches, or one batch with per-item results
+router.get('/batch', jobMatchController.getBatches);
+router.get('/batch/:batchId', jobMatchController.getBatch);
+
+// Compare 2-5 analyzed job matches with an AI recommendation (with rate limiting)
+router.post(
+  '/compare',
+  aiEndpointLimiter,
+  requireVerifiedEmail,
+  aiQuota,
+  jobMatchValidation.validateCompare,
+  jobMatchController.compare
+);
+
 // Get user's job match history
 router.get('/history', jobMatchController.getUserHistory);
 
-// Search user's job match history by company, jobTitle, or location
+// Search user's job match history (full text, facet filters and counts)
 router.get(
   '/search',
   jobMatchValidation.validateSearch,
   jobMatchController.searchHistory
 );
 
+// Download the history (same filters as search) as CSV, JSON or a PDF report
+router.get(
+  '/export',
+  jobMatchValidation.validateExport,
+  jobMatchController.exportHistory
+);
+
 // Get user's high-match jobs
 router.get('/high-matches', jobMatchController.getHighMatches);
 
 // Get user's statistics
 router.get('/stats', jobMatchController.getStats);
 
-// Monitoring endpoints
-router.get('/monitor/health', jobMatchController.getAPIHealth);
-router.get('/monitor/errors', jobMatchController.getRecentErrors);
+// Get user's applications grouped by stage (kanban board)
+router.get('/board', jobMatchController.getBoard);
+
+// Monitoring endpoints (admins only; Prometheus metrics are served on /metrics)
+router.get(
+  '/monitor/health',
+  authorize('admin'),
+  jobMatchController.getAPIHealth
+);
+router.get(
+  '/monitor/errors',
+  authorize('admin'),
+  jobMatchController.getRecentErrors
+);
+
+// Drop a user's cached AI responses (admins only)
+router.delete(
+  '/cache/users/:userId',
+  authorize('admin'),
+  jobMatchValidation.validateUserIdParam,
+  jobMatchController.purgeUserCache
+);
 
 // Get all job matches that have job-specific details
 router.get(
@@ -55,14 +118,71 @@ router.get(
 router.get(
   '/get-job-specific-details/:_id',
   aiEndpointLimiter,
+  requireVerifiedEmail,
+  aiQuota,
   jobMatchController.getJobSpecificDetails
 );
 
+// Same as above, streaming each section as Server-Sent Events while it is generated
+router.get(
+  '/get-job-specific-details/:_id/stream',
+  aiEndpointLimiter,
+  requireVerifiedEmail,
+  aiQuota,
+  jobMatchController.streamJobSpecificDetails
+);
+
+// Get the status/progress of an (asynchronous) analysis
+router.get('/:id/status', jobMatchController.getStatus);
+
 // Get specific job match by ID
 router.get('/:id', jobMatchController.getById);
 
+// Other job matches for the same posting (found on another site or pasted manually)
+router.get('/:id/duplicates', jobMatchController.getDuplicates);
+
+// Analysis history: every run is kept as a version
+router.get('/:id/versions', jobMatchController.getVersions);
+router.get(
+  '/:id/versions/diff',
+  jobMatchValidation.validateVersionDiff,
+  jobMatchController.diffVersions
+);
+
 // Re-analyze a job match (with rate limiting)
-router.post('/:id/reanalyze', aiEndpointLimiter, jobMatchController.reanalyze);
+router.post(
+  '/:id/reanalyze',
+  aiEndpointLimiter,
+  requireVerifiedEmail,
+  aiQuota,
+  jobMatchController.reanalyze
+);
+
+// Application tracking: stage, notes and next action
+router.patch(
+  '/:id/stage',
+  jobMatchValidation.validateStage,
+  jobMatchController.moveToStage
+);
+router.post(
+  '/:id/notes',
+  jobMatchValidation.validateNote,
+  jobMatchController.addNote
+);
+router.delete('/:id/notes/:noteId', jobMatchController.deleteNote);
+router.put(
+  '/:id/next-action',
+  jobMatchValidation.validateNextAction,
+  jobMatchController.setNextAction
+);
+router.delete('/:id/next-action', jobMatchController.clearNextAction);
+
+// Tags for filtering the history
+router.put(
+  '/:id/tags',
+  jobMatchValidation.validateTags,
+  jobMatchController.setTags
+);
 
 // Delete a job match
 router.delete('/:id', jobMatchController.delete);
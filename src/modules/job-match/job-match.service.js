@@ -1,17 +1,127 @@
 const JobMatch = require('./job-match.model');
+const { APPLICATION_STAGES } = require('./job-match.model');
+const AnalysisTask = require('./analysis-task.model');
+const AnalysisVersion = require('./analysis-version.model');
+const AnalysisBatch = require('./analysis-batch.model');
 const User = require('../auth/user.model');
 const aiService = require('./ai.service');
 const scraperService = require('./scraper.service');
+const siteAdapters = require('./adapters');
+const {
+  fingerprintPosting,
+  isNearDuplicate,
+} = require('./posting-fingerprint');
 const AppError = require('../../utils/AppError');
+const { assertSafeUrl, BlockedUrlError } = require('../../utils/safeFetch');
+const { SCORE_WEIGHTS } = require('./ai.schemas');
+const { batchRowSchema, BATCH_MAX_ITEMS } = require('./job-match.validation');
+const { parseCsvRecords } = require('../../utils/csv');
+const {
+  buildExportPipeline,
+  buildFacetsPipeline,
+  buildSearchPipeline,
+  encodeCursor,
+  formatFacets,
+} = require('./history-search');
+const {
+  buildProfileSnapshot,
+  diffProfileSnapshots,
+  isSnapshotStale,
+} = require('./profile-snapshot');
+
+// Update for a job match upserted by URL. The { canonicalUrl, jobUrl } $or filter
+// is not copied into an inserted document, so the URLs are set on insert
+const withUrlsOnInsert = ({ jobUrl, canonicalUrl, ...update }) => ({
+  ...update,
+  $setOnInsert: { jobUrl, canonicalUrl },
+});
+
+// Analysis bullet points are compared ignoring case and spacing
+const normalize = (item) => item.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Compare two lists of analysis bullet points
+const diffLists = (before = [], after = []) => {
+  const beforeKeys = new Set(before.map(normalize));
+  const afterKeys = new Set(after.map(normalize));
+
+  return {
+    added: after.filter((item) => !beforeKeys.has(normalize(item))),
+    removed: before.filter((item) => !afterKeys.has(normalize(item))),
+    unchanged: after.filter((item) => beforeKeys.has(normalize(item))),
+  };
+};
+
+// Split one analysis list across several job matches into points they share and points unique to each
+const groupListsByJob = (jobMatches, field) => {
+  const groups = new Map();
+  jobMatches.forEach((jobMatch) => {
+    (jobMatch.analysis?.[field] || []).forEach((item) => {
+      const key = normalize(item);
+      if (!groups.has(key)) groups.set(key, { item, jobIds: [] });
+      const group = groups.get(key);
+      if (!group.jobIds.some((id) => id.equals(jobMatch._id))) {
+        group.jobIds.push(jobMatch._id);
+      }
+    });
+  });
+
+  const all = [...groups.values()];
+  return {
+    shared: all.filter((group) => group.jobIds.length > 1),
+    unique: jobMatches.map((jobMatch) => ({
+      jobId: jobMatch._id,
+      items: all
+        .filter(
+          (group) =>
+            group.jobIds.length === 1 && group.jobIds[0].equals(jobMatch._id)
+        )
+        .map((group) => group.item),
+    })),
+  };
+};
+
+// Best guess at a job's work mode from structured data and the location text
+const getWorkMode = (jobMatch) => {
+  const location = (jobMatch.location || '').toLowerCase();
+  if (jobMatch.isRemote || location.includes('remote')) return 'remote';
+  if (location.includes('hybrid')) return 'hybrid';
+  if (location && location !== 'not specified') return 'on-site';
+  return null;
+};
+
+/**
+ * Raised when a job posting was already analyzed and the caller asked to be
+ * told (duplicateStrategy 'ask'); details describe the existing job match
+ */
+class DuplicateJobMatchError extends AppError {
+  constructor({ jobMatch, matchedBy }) {
+    super(
+      'This job posting has already been analyzed. Send duplicateStrategy "reuse" to use the existing analysis or "analyze" to analyze it again.',
+      409
+    );
+    this.code = 'DUPLICATE_JOB_MATCH';
+    this.details = {
+      duplicateOf: jobMatch._id,
+      matchedBy,
+      jobTitle: jobMatch.jobTitle,
+      company: jobMatch.company,
+      jobUrl: jobMatch.jobUrl,
+      matchingPercentage: jobMatch.analysis?.matchingPercentage,
+      analyzedAt: jobMatch.analysis?.analyzedAt,
+    };
+  }
+}
 
 class JobMatchService {
   /**
    * Analyze job match from URL
    * @param {string} userId - User ID
    * @param {string} jobUrl - Job posting URL
+   * @param {Object} [options]
+   * @param {string} [options.duplicateStrategy] - What to do if the posting was analyzed before: 'analyze' it again (default), 'reuse' the analysis or 'ask' (409)
    * @returns {Promise<Object>} - Analysis result
    */
-  async analyzeFromUrl(userId, jobUrl) {
+  async analyzeFromUrl(userId, jobUrl, { duplicateStrategy = 'analyze' } = {}) {
     try {
       // Get user profile
       const user = await User.findById(userId);
@@ -19,63 +129,70 @@ class JobMatchService {
         throw new AppError('User not found', 404);
       }
 
-      // Scrape job details from URL
-      let jobDetails;
-      try {
-        jobDetails = await scraperService.scrapeJobPosting(jobUrl);
-      } catch (scrapeError) {
-        console.error('Scraping failed:', scrapeError.message);
-        throw new AppError(
-          `Unable to extract job details from the provided URL. The page may require login or block automated access. Please paste the job description manually instead. (${scrapeError.message})`,
-          422
-        );
+      // Same posting URL: no need to even scrape it unless a new analysis is wanted
+      const canonicalUrl = siteAdapters.canonicalizeJobUrl(jobUrl);
+      const sameUrl = await this.findDuplicate(userId, {
+        canonicalUrl,
+        jobUrl,
+      });
+      if (this.resolveDuplicate(sameUrl, duplicateStrategy)) {
+        return sameUrl.jobMatch;
       }
 
-      // Attach the original URL to job details
-      jobDetails.jobUrl = jobUrl;
-
-      // Perform AI analysis
-      const analysis = await aiService.analyzeJobMatch(user, jobDetails);
+      const { jobDetails, analysis, reused } = await this.scrapeAndAnalyze(
+        user,
+        jobUrl,
+        undefined,
+        { duplicateStrategy, excludeId: sameUrl?.jobMatch._id }
+      );
 
       // Save to database (update if URL already exists for this user)
       const jobMatch = await JobMatch.findOneAndUpdate(
-        { userId, jobUrl },
-        {
+        { userId, $or: [{ canonicalUrl }, { jobUrl }] },
+        withUrlsOnInsert({
           ...jobDetails,
           analysis: {
             ...analysis,
-            analyzedAt: new Date(),
+            analyzedAt: analysis.analyzedAt || new Date(),
           },
           status: 'analyzed',
           $unset: { error: '' },
-        },
+        }),
         { upsert: true, new: true, setDefaultsOnInsert: true }
       );
 
+      if (!reused) {
+        await this.recordAnalysisVersion(jobMatch);
+      }
+
       return jobMatch;
     } catch (error) {
+      if (error instanceof DuplicateJobMatchError) {
+        throw error;
+      }
+
       // Log the actual error for debugging
       console.error('Job match analysis error:', error.message);
 
-      // Check if it's an OpenAI authentication error (401)
+      // Check if it's an AI provider authentication error (401)
       if (
         error.message.includes('authentication failed') ||
         error.message.includes('401')
       ) {
         throw new AppError(
-          'OpenAI API authentication failed. Please check your API key configuration.',
+          'AI provider authentication failed. Please check your API key configuration.',
           500
         );
       }
 
-      // Check if it's an OpenAI quota/rate limit error (429)
+      // Check if it's an AI provider quota/rate limit error (429)
       if (
         error.message.includes('quota') ||
         error.message.includes('429') ||
         error.message.includes('rate limit')
       ) {
         throw new AppError(
-          'AI service is temporarily unavailable due to quota limits. Please check your OpenAI billing settings or try again later.',
+          'AI service is temporarily unavailable due to quota limits. Please check your AI provider billing settings or try again later.',
           429
         );
       }
@@ -94,13 +211,587 @@ class JobMatchService {
     }
   }
 
+  /**
+   * Scrape a job posting and run the AI analysis on it
+   * @param {Object} user - User document
+   * @param {string} jobUrl - Job posting URL
+   * @param {Function} [onProgress] - Called with each stage name as it starts
+   * @param {Object} [options]
+   * @param {string} [options.duplicateStrategy] - What to do if the same posting was analyzed under another URL
+   * @param {string} [options.excludeId] - Job match being analyzed, not to be counted as its own duplicate
+   * @returns {Promise<Object>} - { jobDetails, analysis, reused }, reused when an existing analysis was copied
+   */
+  async scrapeAndAnalyze(
+    user,
+    jobUrl,
+    onProgress = async () => {},
+    { duplicateStrategy = 'analyze', excludeId = null } = {}
+  ) {
+    await onProgress('scraping');
+
+    // Scrape job details from URL
+    let jobDetails;
+    try {
+      jobDetails = await scraperService.scrapeJobPosting(jobUrl);
+    } catch (scrapeError) {
+      console.error('Scraping failed:', scrapeError.message);
+
+      // Refused by the fetch policy (internal address, wrong content type, ...)
+      if (scrapeError instanceof BlockedUrlError) {
+        throw scrapeError;
+      }
+
+      throw new AppError(
+        `Unable to extract job details from the provided URL. The page may require login or block automated access. Please paste the job description manually instead. (${scrapeError.message})`,
+        422
+      );
+    }
+
+    // Attach the original URL to job details
+    jobDetails.jobUrl = jobUrl;
+    jobDetails.canonicalUrl = siteAdapters.canonicalizeJobUrl(jobUrl);
+    jobDetails.fingerprint = fingerprintPosting(jobDetails);
+
+    // The same posting may have been analyzed from another site or pasted manually
+    const duplicate = await this.findDuplicate(
+      user._id,
+      { fingerprint: jobDetails.fingerprint },
+      excludeId
+    );
+    jobDetails.duplicateOf = duplicate ? this.getOriginalId(duplicate) : null;
+    if (this.resolveDuplicate(duplicate, duplicateStrategy)) {
+      return {
+        jobDetails,
+        analysis: this.copyAnalysis(duplicate.jobMatch),
+        reused: true,
+      };
+    }
+
+    // Perform AI analysis
+    const analysis = await aiService.analyzeJobMatch(user, jobDetails, {
+      onProgress,
+    });
+
+    return { jobDetails, analysis, reused: false };
+  }
+
+  /**
+   * Find an analyzed job match of the user's for the same posting, first by
+   * URL, then by content fingerprint
+   * @param {string} userId - User ID
+   * @param {Object} posting - { canonicalUrl, jobUrl, fingerprint }, any of them
+   * @param {string} [excludeId] - Job match to leave out
+   * @returns {Promise<Object|null>} - { jobMatch, matchedBy: 'url' | 'content' }
+   */
+  async findDuplicate(
+    userId,
+    { canonicalUrl, jobUrl, fingerprint },
+    excludeId = null
+  ) {
+    const filter = {
+      userId,
+      status: 'analyzed',
+      'analysis.matchingPercentage': { $ne: null },
+    };
+    if (excludeId) {
+      filter._id = { $ne: excludeId };
+    }
+
+    // Older job matches have no canonicalUrl, so the raw URL is checked too
+    const urlConditions = [];
+    if (canonicalUrl) urlConditions.push({ canonicalUrl });
+    if (jobUrl) urlConditions.push({ jobUrl });
+    if (urlConditions.length > 0) {
+      const jobMatch = await JobMatch.findOne({
+        ...filter,
+        $or: urlConditions,
+      });
+      if (jobMatch) return { jobMatch, matchedBy: 'url' };
+    }
+
+    if (fingerprint?.key && fingerprint.simhash) {
+      const candidates = await JobMatch.find({
+        ...filter,
+        'fingerprint.key': fingerprint.key,
+      }).sort({ createdAt: 1 });
+      const jobMatch = candidates.find((candidate) =>
+        isNearDuplicate(fingerprint, candidate.fingerprint)
+      );
+      if (jobMatch) return { jobMatch, matchedBy: 'content' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply a duplicate strategy to the result of findDuplicate()
+   * @param {Object|null} duplicate - Found duplicate
+   * @param {string} strategy - 'ask', 'reuse' or 'analyze'
+   * @returns {boolean} - Whether to reuse the existing analysis
+   */
+  resolveDuplicate(duplicate, strategy) {
+    if (!duplicate) return false;
+    if (strategy === 'ask') {
+      throw new DuplicateJobMatchError(duplicate);
+    }
+    return strategy === 'reuse';
+  }
+
+  /**
+   * ID to link a duplicate to: the first job match seen for the posting
+   */
+  getOriginalId({ jobMatch }) {
+    return jobMatch.duplicateOf || jobMatch._id;
+  }
+
+  /**
+   * An existing job match's analysis, to store on a duplicate of it
+   */
+  copyAnalysis(jobMatch) {
+    return jobMatch.toObject().analysis;
+  }
+
+  /**
+   * Get the other job matches for the same posting
+   * @param {string} id - Job match ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { originalId, duplicates }
+   */
+  async getDuplicates(id, userId) {
+    const jobMatch = await this.getById(id, userId);
+    const originalId = jobMatch.duplicateOf || jobMatch._id;
+
+    const duplicates = await JobMatch.find({
+      userId,
+      _id: { $ne: jobMatch._id },
+      $or: [{ _id: originalId }, { duplicateOf: originalId }],
+    })
+      .sort({ createdAt: 1 })
+      .select(
+        'jobTitle company location jobUrl status duplicateOf analysis.matchingPercentage analysis.analyzedAt createdAt'
+      );
+
+    return { originalId, duplicates };
+  }
+
+  /**
+   * Queue an asynchronous job match analysis from URL
+   * @param {string} userId - User ID
+   * @param {string} jobUrl - Job posting URL
+   * @param {Object} [options]
+   * @param {string} [options.duplicateStrategy] - See analyzeFromUrl(). A posting found
+   *   to be a duplicate only after scraping fails the task with the 409 message under 'ask'.
+   * @returns {Promise<Object>} - Pending job match (or the existing one, when reused)
+   */
+  async queueAnalysisFromUrl(
+    userId,
+    jobUrl,
+    { duplicateStrategy = 'analyze' } = {}
+  ) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    // Refuse internal URLs now rather than failing later in the worker
+    await assertSafeUrl(jobUrl);
+
+    const canonicalUrl = siteAdapters.canonicalizeJobUrl(jobUrl);
+    const sameUrl = await this.findDuplicate(userId, { canonicalUrl, jobUrl });
+    if (this.resolveDuplicate(sameUrl, duplicateStrategy)) {
+      return sameUrl.jobMatch;
+    }
+
+    // Reuse the existing record if this URL was analyzed before
+    const jobMatch = await JobMatch.findOneAndUpdate(
+      { userId, $or: [{ canonicalUrl }, { jobUrl }] },
+      withUrlsOnInsert({
+        jobUrl,
+        canonicalUrl,
+        status: 'pending',
+        progress: { stage: 'queued', updatedAt: new Date() },
+        $unset: { error: '' },
+      }),
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await this.enqueueAnalysisTask(jobMatch, { jobUrl, duplicateStrategy });
+
+    return jobMatch;
+  }
+
+  /**
+   * Create an analysis task for a pending job match, unless one is already queued
+   * @param {Object} jobMatch - Pending job match
+   * @param {Object} [options]
+   * @param {string} [options.jobUrl] - URL to scrape (omit to analyze the stored details)
+   * @param {string} [options.batchId] - Batch the task belongs to
+   * @param {string} [options.duplicateStrategy] - Applied to duplicates found after scraping
+   */
+  async enqueueAnalysisTask(
+    jobMatch,
+    { jobUrl, batchId = null, duplicateStrategy = 'analyze' } = {}
+  ) {
+    // Don't queue the same job match twice
+    const activeTask = await AnalysisTask.exists({
+      jobMatchId: jobMatch._id,
+      status: { $in: ['queued', 'processing'] },
+    });
+    if (!activeTask) {
+      await AnalysisTask.create({
+        jobMatchId: jobMatch._id,
+        userId: jobMatch.userId,
+        jobUrl,
+        batchId,
+        duplicateStrategy,
+      });
+    }
+  }
+
+  /**
+   * Process a queued analysis task (called by the analysis worker)
+   * @param {Object} task - Claimed AnalysisTask document
+   * @returns {Promise<Object|null>} - Analyzed job match, or null if it was deleted
+   */
+  async processAnalysisTask(task) {
+    const jobMatch = await JobMatch.findById(task.jobMatchId);
+    if (!jobMatch) {
+      if (task.batchId) {
+        await AnalysisBatch.recordItemResult(task.batchId, task.jobMatchId, {
+          status: 'failed',
+          error: 'Job match was deleted',
+        });
+      }
+      return null;
+    }
+
+    const user = await User.findById(task.userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const setStage = (stage) =>
+      JobMatch.findByIdAndUpdate(jobMatch._id, {
+        progress: { stage, updatedAt: new Date() },
+      });
+
+    let jobDetails = {};
+    let analysis;
+    let reused = false;
+    if (task.jobUrl) {
+      ({ jobDetails, analysis, reused } = await this.scrapeAndAnalyze(
+        user,
+        task.jobUrl,
+        setStage,
+        { duplicateStrategy: task.duplicateStrategy, excludeId: jobMatch._id }
+      ));
+    } else {
+      // Manually entered job (e.g. a batch CSV row): analyze the stored details
+      analysis = await aiService.analyzeJobMatch(
+        user,
+        {
+          jobTitle: jobMatch.jobTitle,
+          company: jobMatch.company,
+          location: jobMatch.location,
+          jobDescription: jobMatch.jobDescription,
+        },
+        { onProgress: setStage }
+      );
+    }
+
+    const analyzed = await JobMatch.findByIdAndUpdate(
+      jobMatch._id,
+      {
+        ...jobDetails,
+        analysis: {
+          ...analysis,
+          analyzedAt: analysis.analyzedAt || new Date(),
+        },
+        status: 'analyzed',
+        progress: { stage: 'completed', updatedAt: new Date() },
+        $unset: { error: '' },
+      },
+      { new: true }
+    );
+
+    if (analyzed && !reused) {
+      await this.recordAnalysisVersion(analyzed);
+    }
+
+    if (task.batchId) {
+      await AnalysisBatch.recordItemResult(task.batchId, jobMatch._id, {
+        status: reused ? 'duplicate' : 'completed',
+        matchingPercentage: analyzed?.analysis?.matchingPercentage,
+      });
+    }
+
+    return analyzed;
+  }
+
+  /**
+   * Record a failed analysis task attempt on its job match
+   * @param {string} jobMatchId - Job match ID
+   * @param {Error} error - Error the attempt failed with
+   * @param {boolean} final - Whether the task has given up (no more retries)
+   * @param {string} [batchId] - Batch the task belongs to
+   */
+  async recordAnalysisTaskFailure(jobMatchId, error, final, batchId = null) {
+    // A retry is pending unless the task has given up
+    const update = {
+      progress: { stage: 'queued', updatedAt: new Date() },
+    };
+
+    if (final) {
+      update.status = 'error';
+      update.error = error.message;
+      update.progress.stage = 'failed';
+    }
+
+    await JobMatch.findByIdAndUpdate(jobMatchId, update);
+
+    if (final && batchId) {
+      await AnalysisBatch.recordItemResult(batchId, jobMatchId, {
+        status: 'failed',
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Queue analyses for a list of job URLs and/or CSV rows
+   * Postings already analyzed for this user are not queued again.
+   * @param {string} userId - User ID
+   * @param {Object} input
+   * @param {Array<string>} [input.urls] - Job posting URLs
+   * @param {string} [input.csv] - CSV text with title, company, location and description columns
+   * @returns {Promise<Object>} - The batch with per-item status
+   */
+  async createBatch(userId, { urls = [], csv = null }) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    let rows = [];
+    if (csv) {
+      try {
+        rows = parseCsvRecords(csv);
+      } catch (error) {
+        throw new AppError(
+          `Could not read the CSV file: ${error.message}`,
+          400
+        );
+      }
+    }
+
+    const total = urls.length + rows.length;
+    if (total === 0) {
+      throw new AppError(
+        'Provide job URLs or a CSV file with job details',
+        400
+      );
+    }
+    if (total > BATCH_MAX_ITEMS) {
+      throw new AppError(
+        `A batch can contain at most ${BATCH_MAX_ITEMS} jobs (got ${total})`,
+        400
+      );
+    }
+
+    const items = [];
+    const queued = [];
+
+    // URLs: skip repeats and postings this user already has an analysis for
+    const seenUrls = new Set();
+
+    for (const jobUrl of urls) {
+      const item = { index: items.length, source: 'url', jobUrl };
+      items.push(item);
+
+      const canonicalUrl = siteAdapters.canonicalizeJobUrl(jobUrl);
+      const existing = seenUrls.has(canonicalUrl)
+        ? null
+        : await this.findDuplicate(userId, { canonicalUrl, jobUrl });
+      if (seenUrls.has(canonicalUrl) || existing) {
+        item.status = 'duplicate';
+        item.jobMatchId = existing?.jobMatch._id;
+        item.matchingPercentage =
+          existing?.jobMatch.analysis?.matchingPercentage;
+        continue;
+      }
+      seenUrls.add(canonicalUrl);
+
+      if (!aiService.isValidJobURL(jobUrl)) {
+        item.status = 'invalid';
+        item.error = 'Not a recognised job posting URL';
+        continue;
+      }
+
+      try {
+        await assertSafeUrl(jobUrl);
+      } catch (error) {
+        // Anything else (e.g. a DNS hiccup) is left to the worker's retries
+        if (error instanceof BlockedUrlError) {
+          item.status = 'invalid';
+          item.error = error.message;
+          continue;
+        }
+      }
+
+      const jobMatch = await JobMatch.findOneAndUpdate(
+        { userId, $or: [{ canonicalUrl }, { jobUrl }] },
+        withUrlsOnInsert({
+          jobUrl,
+          canonicalUrl,
+          status: 'pending',
+          progress: { stage: 'queued', updatedAt: new Date() },
+          $unset: { error: '' },
+        }),
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      item.status = 'queued';
+      item.jobMatchId = jobMatch._id;
+      queued.push({ jobMatch, jobUrl });
+    }
+
+    // CSV rows: validated like manual entries, skipping postings already analyzed or listed
+    const seenFingerprints = [];
+
+    for (const row of rows) {
+      const jobDetails = {
+        jobTitle: row.title || row.jobtitle || '',
+        company: row.company || 'Not specified',
+        location: row.location || 'Not specified',
+        jobDescription: row.description || row.jobdescription || '',
+      };
+      const item = {
+        index: items.length,
+        source: 'csv',
+        jobTitle: jobDetails.jobTitle,
+        company: jobDetails.company,
+      };
+      items.push(item);
+
+      const { error } = batchRowSchema.validate(jobDetails);
+      if (error) {
+        item.status = 'invalid';
+        item.error = error.details[0].message;
+        continue;
+      }
+
+      const fingerprint = fingerprintPosting(jobDetails);
+      const listed = seenFingerprints.some((seen) =>
+        isNearDuplicate(fingerprint, seen)
+      );
+      const existing = listed
+        ? null
+        : await this.findDuplicate(userId, { fingerprint });
+      if (listed || existing) {
+        item.status = 'duplicate';
+        item.jobMatchId = existing?.jobMatch._id;
+        item.matchingPercentage =
+          existing?.jobMatch.analysis?.matchingPercentage;
+        continue;
+      }
+      seenFingerprints.push(fingerprint);
+
+      const jobMatch = await JobMatch.create({
+        userId,
+        ...jobDetails,
+        fingerprint,
+        status: 'pending',
+        progress: { stage: 'queued', updatedAt: new Date() },
+      });
+
+      item.status = 'queued';
+      item.jobMatchId = jobMatch._id;
+      queued.push({ jobMatch });
+    }
+
+    const batch = await AnalysisBatch.create({
+      userId,
+      items,
+      ...(queued.length === 0 && {
+        status: 'completed',
+        completedAt: new Date(),
+      }),
+    });
+
+    // The analysis worker works through these with bounded concurrency and retries on rate limits.
+    // Postings that turn out to be duplicates once scraped reuse the existing analysis.
+    for (const { jobMatch, jobUrl } of queued) {
+      await this.enqueueAnalysisTask(jobMatch, {
+        jobUrl,
+        batchId: batch._id,
+        duplicateStrategy: 'reuse',
+      });
+    }
+
+    return batch;
+  }
+
+  /**
+   * Get an analysis batch with per-item results
+   * @param {string} batchId - Batch ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<Object>} - The batch
+   */
+  async getBatch(batchId, userId) {
+    const batch = await AnalysisBatch.findById(batchId).select('-__v');
+
+    if (!batch) {
+      throw new AppError('Batch not found', 404);
+    }
+
+    // Verify ownership
+    if (batch.userId.toString() !== userId.toString()) {
+      throw new AppError('Unauthorized access to this batch', 403);
+    }
+
+    return batch;
+  }
+
+  /**
+   * Get user's most recent analysis batches
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Batches, newest first
+   */
+  async getBatches(userId) {
+    return AnalysisBatch.findByUserId(userId, 20);
+  }
+
+  /**
+   * Get the status and progress of a job match analysis
+   * @param {string} id - Job match ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<Object>} - Status details
+   */
+  async getAnalysisStatus(id, userId) {
+    const jobMatch = await this.getById(id, userId);
+
+    return {
+      id: jobMatch._id,
+      status: jobMatch.status,
+      progress: jobMatch.progress,
+      error: jobMatch.error,
+      updatedAt: jobMatch.updatedAt,
+    };
+  }
+
   /**
    * Analyze job match from manual entry
    * @param {string} userId - User ID
    * @param {Object} jobDetails - Manually entered job details
+   * @param {Object} [options]
+   * @param {string} [options.duplicateStrategy] - See analyzeFromUrl()
    * @returns {Promise<Object>} - Analysis result
    */
-  async analyzeFromManualEntry(userId, jobDetails) {
+  async analyzeFromManualEntry(
+    userId,
+    jobDetails,
+    { duplicateStrategy = 'analyze' } = {}
+  ) {
     try {
       // Get user profile
       const user = await User.findById(userId);
@@ -113,44 +804,61 @@ class JobMatchService {
         throw new AppError('Job title and description are required', 400);
       }
 
+      // The same posting may have been analyzed already, from a URL or pasted before
+      const fingerprint = fingerprintPosting(jobDetails);
+      const duplicate = await this.findDuplicate(userId, { fingerprint });
+      const reused = this.resolveDuplicate(duplicate, duplicateStrategy);
+
       // Perform AI analysis
-      const analysis = await aiService.analyzeJobMatch(user, jobDetails);
+      const analysis = reused
+        ? this.copyAnalysis(duplicate.jobMatch)
+        : await aiService.analyzeJobMatch(user, jobDetails);
 
       // Save to database
       const jobMatch = await JobMatch.create({
         userId,
         ...jobDetails,
+        fingerprint,
+        duplicateOf: duplicate ? this.getOriginalId(duplicate) : null,
         analysis: {
           ...analysis,
-          analyzedAt: new Date(),
+          analyzedAt: analysis.analyzedAt || new Date(),
         },
         status: 'analyzed',
       });
 
+      if (!reused) {
+        await this.recordAnalysisVersion(jobMatch);
+      }
+
       return jobMatch;
     } catch (error) {
+      if (error instanceof DuplicateJobMatchError) {
+        throw error;
+      }
+
       // Log the actual error for debugging
       console.error('Job match analysis error (manual):', error.message);
 
-      // Check if it's an OpenAI authentication error (401)
+      // Check if it's an AI provider authentication error (401)
       if (
         error.message.includes('authentication failed') ||
         error.message.includes('401')
       ) {
         throw new AppError(
-          'OpenAI API authentication failed. Please check your API key configuration.',
+          'AI provider authentication failed. Please check your API key configuration.',
           500
         );
       }
 
-      // Check if it's an OpenAI quota/rate limit error (429)
+      // Check if it's an AI provider quota/rate limit error (429)
       if (
         error.message.includes('quota') ||
         error.message.includes('429') ||
         error.message.includes('rate limit')
       ) {
         throw new AppError(
-          'AI service is temporarily unavailable due to quota limits. Please check your OpenAI billing settings or try again later.',
+          'AI service is temporarily unavailable due to quota limits. Please check your AI provider billing settings or try again later.',
           429
         );
       }
@@ -217,6 +925,8 @@ class JobMatchService {
         JobMatch.countDocuments({ userId, status: 'analyzed' }),
       ]);
 
+    await this.flagStaleAnalyses(userId, items);
+
     return {
       items,
       pagination: {
@@ -235,54 +945,93 @@ class JobMatchService {
   }
 
   /**
-   * Search user's job match history by company, jobTitle, or location
+   * Search user's job match history: full-text query, facet filters and
+   * facet counts, paginated with a cursor
    * @param {string} userId - User ID
-   * @param {Object} query - Search parameters
-   * @param {Object} options - Pagination options
-   * @returns {Promise<Object>} - Matching job entries with pagination
+   * @param {Object} query - { q, company, jobTitle, location, status, minScore,
+   *   maxScore, from, to, workMode, tags }; status defaults to analyzed only
+   * @param {Object} options - { sort, limit, cursor, facets }; sort defaults to
+   *   relevance with a text query and newest first without. The total and facet
+   *   counts come with the first page only, unless facets says otherwise.
+   * @returns {Promise<Object>} - Matching job entries with pagination and facets
+   *   (total and facets are null when not counted)
    */
   async searchHistory(userId, query, options = {}) {
-    const { page = 1, limit = 10, sort = '-createdAt' } = options;
-    const skip = (page - 1) * limit;
+    const { limit = 10, cursor, facets = !cursor } = options;
+    const { filters, sort } = this.getSearchCriteria(query, options.sort);
 
-    const filter = { userId, status: 'analyzed' };
-    const orConditions = [];
+    const [results, counts] = await Promise.all([
+      JobMatch.aggregate(
+        buildSearchPipeline(userId, filters, {
+          sort,
+          limit: parseInt(limit),
+          cursor,
+        })
+      ),
+      facets ? JobMatch.aggregate(buildFacetsPipeline(userId, filters)) : null,
+    ]);
 
-    if (query.company) {
-      orConditions.push({ company: { $regex: query.company, $options: 'i' } });
-    }
-    if (query.jobTitle) {
-      orConditions.push({
-        jobTitle: { $regex: query.jobTitle, $options: 'i' },
-      });
-    }
-    if (query.location) {
-      orConditions.push({
-        location: { $regex: query.location, $options: 'i' },
-      });
-    }
+    const hasMore = results.length > limit;
+    const page = results.slice(0, limit);
+    const nextCursor = hasMore
+      ? encodeCursor(sort, page[page.length - 1])
+      : null;
 
-    if (orConditions.length > 0) {
-      filter.$or = orConditions;
-    }
+    // Drop the text score the pipeline added for relevance sorting
+    const items = page.map((jobMatch) => {
+      delete jobMatch.relevance;
+      return JobMatch.hydrate(jobMatch);
+    });
 
-    const [items, total] = await Promise.all([
-      JobMatch.find(filter)
-        .sort(sort)
-        .skip(skip)
-        .limit(parseInt(limit))
-        .select('-__v'),
-      JobMatch.countDocuments(filter),
-    ]);
+    await this.flagStaleAnalyses(userId, items);
 
     return {
       items,
       pagination: {
-        page: parseInt(page),
         limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit),
+        total: counts ? counts[0].total[0]?.count || 0 : null,
+        sort,
+        nextCursor,
+        hasMore,
       },
+      facets: counts ? formatFacets(counts[0]) : null,
+    };
+  }
+
+  /**
+   * Stream the user's job matches for an export, filtered and sorted like
+   * searchHistory() but without pagination
+   * @param {string} userId - User ID
+   * @param {Object} query - See searchHistory()
+   * @param {Object} [options] - { sort }
+   * @returns {Object} - Aggregation cursor over plain job match objects
+   */
+  exportHistory(userId, query, options = {}) {
+    const { filters, sort } = this.getSearchCriteria(query, options.sort);
+
+    return JobMatch.aggregate(
+      buildExportPipeline(userId, filters, sort)
+    ).cursor({ batchSize: 100 });
+  }
+
+  /**
+   * Search filters and sort order with their defaults applied
+   * @param {Object} query - Search parameters
+   * @param {string} [sort] - Requested sort option
+   * @returns {Object} - { filters, sort }
+   */
+  getSearchCriteria(query, sort) {
+    const order = sort || (query.q ? 'relevance' : '-createdAt');
+    if (order === 'relevance' && !query.q) {
+      throw new AppError('Sorting by relevance requires a search query', 400);
+    }
+
+    return {
+      filters: {
+        ...query,
+        status: query.status?.length ? query.status : ['analyzed'],
+      },
+      sort: order,
     };
   }
 
@@ -314,7 +1063,34 @@ class JobMatchService {
    * @returns {Promise<Array>} - High-match jobs
    */
   async getHighMatches(userId, minPercentage = 70) {
-    return await JobMatch.findHighMatches(userId, minPercentage);
+    const highMatches = await JobMatch.findHighMatches(userId, minPercentage);
+    return this.flagStaleAnalyses(userId, highMatches);
+  }
+
+  /**
+   * Set analysisStale on job matches whose analysis was computed from a
+   * profile that has materially changed since
+   * @param {string} userId - User ID
+   * @param {Object|Array} jobMatches - Job match document(s) of that user
+   * @returns {Promise<Object|Array>} - The same job match document(s)
+   */
+  async flagStaleAnalyses(userId, jobMatches) {
+    const list = [].concat(jobMatches);
+    if (!list.length) return jobMatches;
+
+    const user = await User.findById(userId);
+    const currentFingerprint = user
+      ? buildProfileSnapshot(user).fingerprint
+      : null;
+
+    list.forEach((jobMatch) => {
+      jobMatch.analysisStale = isSnapshotStale(
+        jobMatch.analysis?.profileSnapshot,
+        currentFingerprint
+      );
+    });
+
+    return jobMatches;
   }
 
   /**
@@ -336,6 +1112,24 @@ class JobMatchService {
     }
 
     await JobMatch.findByIdAndDelete(id);
+    await AnalysisVersion.deleteMany({ jobMatchId: jobMatch._id });
+
+    // The oldest remaining duplicate becomes the original for the rest
+    const [nextOriginal] = await JobMatch.find({ duplicateOf: jobMatch._id })
+      .sort({ createdAt: 1 })
+      .limit(1)
+      .select('_id');
+    if (nextOriginal) {
+      await JobMatch.updateOne(
+        { _id: nextOriginal._id },
+        { duplicateOf: null }
+      );
+      await JobMatch.updateMany(
+        { duplicateOf: jobMatch._id },
+        { duplicateOf: nextOriginal._id }
+      );
+    }
+
     return jobMatch;
   }
 
@@ -364,16 +1158,35 @@ class JobMatchService {
             $group: {
               _id: null,
               avgPercentage: { $avg: '$analysis.matchingPercentage' },
+              ...Object.fromEntries(
+                Object.keys(SCORE_WEIGHTS).map((dimension) => [
+                  dimension,
+                  { $avg: `$analysis.scoreBreakdown.${dimension}.score` },
+                ])
+              ),
             },
           },
         ]),
       ]);
 
+    // Average sub-score per dimension (null when no analysis has a breakdown yet)
+    const scoreBreakdown = Object.fromEntries(
+      Object.entries(SCORE_WEIGHTS).map(([dimension, weight]) => [
+        dimension,
+        {
+          avgScore: avgMatchResult[0]?.[dimension] ?? null,
+          weight,
+        },
+      ])
+    );
+
     return {
       totalJobs,
       analyzed,
       highMatches,
       avgMatch: avgMatchResult[0]?.avgPercentage || 0,
+      scoreBreakdown,
+      applications: await this.getApplicationFunnel(userId),
       recentAnalyses: await JobMatch.countDocuments({
         userId,
         createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
@@ -381,13 +1194,253 @@ class JobMatchService {
     };
   }
 
+  /**
+   * Move a job match to an application stage
+   * @param {string} id - Job match ID
+   * @param {string} userId - User ID
+   * @param {string} stage - Target stage (see APPLICATION_STAGES)
+   * @param {string} [note] - Optional note recorded with the transition
+   * @returns {Promise<Object>} - Updated job match
+   */
+  async moveToStage(id, userId, stage, note) {
+    const jobMatch = await this.getById(id, userId);
+    const from = jobMatch.application?.stage;
+
+    if (from === stage) {
+      throw new AppError(`Job is already in the ${stage} stage`, 400);
+    }
+
+    const now = new Date();
+    jobMatch.application.stage = stage;
+    jobMatch.application.stageChangedAt = now;
+    jobMatch.application.history.push({
+      from,
+      to: stage,
+      changedAt: now,
+      note,
+    });
+
+    // First time the job reaches "applied" or beyond
+    const appliedIndex = APPLICATION_STAGES.indexOf('applied');
+    const offerIndex = APPLICATION_STAGES.indexOf('offer');
+    const stageIndex = APPLICATION_STAGES.indexOf(stage);
+    if (
+      !jobMatch.application.appliedAt &&
+      stageIndex >= appliedIndex &&
+      stageIndex <= offerIndex
+    ) {
+      jobMatch.application.appliedAt = now;
+    }
+
+    await jobMatch.save();
+
+    return jobMatch;
+  }
+
+  /**
+   * Add a note to a job application
+   * @param {string} id - Job match ID
+   * @param {string} userId - User ID
+   * @param {string} text - Note text
+   * @returns {Promise<Object>} - Updated job match
+   */
+  async addApplicationNote(id, userId, text) {
+    const jobMatch = await this.getById(id, userId);
+
+    jobMatch.application.notes.push({ text });
+    await jobMatch.save();
+
+    return jobMatch;
+  }
+
+  /**
+   * Delete a note from a job application
+   * @param {string} id - Job match ID
+   * @param {string} userId - User ID
+   * @param {string} noteId - Note ID
+   * @returns {Promise<Object>} - Updated job match
+   */
+  async deleteApplicationNote(id, userId, noteId) {
+    const jobMatch = await this.getById(id, userId);
+
+    const note = jobMatch.application.notes.id(noteId);
+    if (!note) {
+      throw new AppError('Note not found', 404);
+    }
+
+    note.deleteOne();
+    await jobMatch.save();
+
+    return jobMatch;
+  }
+
+  /**
+   * Set or clear the next action for a job application
+   * @param {string} id - Job match ID
+   * @param {string} userId - User ID
+   * @param {Object|null} nextAction - { description, dueAt }, or null to clear
+   * @returns {Promise<Object>} - Updated job match
+   */
+  async setNextAction(id, userId, nextAction) {
+    const jobMatch = await this.getById(id, userId);
+
+    jobMatch.application.nextAction = nextAction || undefined;
+    await jobMatch.save();
+
+    return jobMatch;
+  }
+
+  /**
+   * Replace the tags on a job match
+   * @param {string} id - Job match ID
+   * @param {string} userId - User ID
+   * @param {Array<string>} tags - New tags (case-insensitive, duplicates dropped)
+   * @returns {Promise<Object>} - Updated job match
+   */
+  async setTags(id, userId, tags) {
+    const jobMatch = await this.getById(id, userId);
+
+    jobMatch.tags = [...new Set(tags.map((tag) => tag.trim().toLowerCase()))];
+    await jobMatch.save();
+
+    return jobMatch;
+  }
+
+  /**
+   * Get the user's applications grouped by stage (kanban board)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { columns: [{ stage, count, jobs }] }
+   */
+  async getApplicationBoard(userId) {
+    const jobs = await JobMatch.find({
+      userId,
+      'application.stage': { $exists: true },
+    })
+      .sort({ 'application.stageChangedAt': -1 })
+      .select(
+        'jobTitle company location jobUrl analysis.matchingPercentage application.stage application.stageChangedAt application.appliedAt application.nextAction'
+      );
+
+    const columns = APPLICATION_STAGES.map((stage) => {
+      const stageJobs = jobs.filter((job) => job.application.stage === stage);
+      return { stage, count: stageJobs.length, jobs: stageJobs };
+    });
+
+    return { columns, total: jobs.length };
+  }
+
+  /**
+   * Application funnel: how many jobs reached each pipeline stage, and the
+   * conversion rate from each stage to the next
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { byStage, funnel }
+   */
+  async getApplicationFunnel(userId) {
+    const jobs = await JobMatch.find({
+      userId,
+      'application.stage': { $exists: true },
+    })
+      .select('application.stage application.history.to')
+      .lean();
+
+    // rejected/withdrawn are exits, not funnel steps
+    const funnelStages = APPLICATION_STAGES.slice(
+      0,
+      APPLICATION_STAGES.indexOf('offer') + 1
+    );
+
+    const byStage = Object.fromEntries(
+      APPLICATION_STAGES.map((stage) => [stage, 0])
+    );
+    const reached = funnelStages.map(() => 0);
+
+    for (const job of jobs) {
+      byStage[job.application.stage]++;
+
+      // Reaching a stage implies the earlier ones, even if they were skipped
+      const visited = [
+        job.application.stage,
+        ...(job.application.history || []).map((transition) => transition.to),
+      ];
+      const furthest = Math.max(
+        ...visited.map((stage) => funnelStages.indexOf(stage))
+      );
+      for (let i = 0; i <= furthest; i++) {
+        reached[i]++;
+      }
+    }
+
+    const funnel = funnelStages.slice(0, -1).map((stage, i) => ({
+      from: stage,
+      to: funnelStages[i + 1],
+      reached: reached[i],
+      converted: reached[i + 1],
+      // Percentage, null when no job has reached the "from" stage
+      conversionRate: reached[i]
+        ? Math.round((reached[i + 1] / reached[i]) * 1000) / 10
+        : null,
+    }));
+
+    return { byStage, funnel };
+  }
+
   /**
    * Generate or regenerate job-specific details for a job match
    * @param {string} id - Job match ID
    * @param {string} userId - User ID
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Generate new details even if cached ones exist
    * @returns {Promise<Object>} - Updated job match with job-specific details
    */
-  async getJobSpecificDetails(id, userId) {
+  async getJobSpecificDetails(id, userId, { refresh } = {}) {
+    const { jobMatch, user } = await this.loadForJobSpecificDetails(id, userId);
+
+    const details = await aiService.generateJobSpecificDetails(user, jobMatch, {
+      refresh,
+    });
+
+    return this.saveJobSpecificDetails(jobMatch, details);
+  }
+
+  /**
+   * Generate job-specific details, reporting each section as it is produced
+   * Ownership is checked before onStart is called, so callers can still
+   * respond with a normal error until then.
+   * @param {string} id - Job match ID
+   * @param {string} userId - User ID
+   * @param {Object} handlers
+   * @param {Function} handlers.onStart - Called once the job match has been loaded
+   * @param {Function} handlers.onSection - Called with { section, value } for each finished section
+   * @param {Object} [options] - See getJobSpecificDetails()
+   * @returns {Promise<Object>} - Updated job match with job-specific details
+   */
+  async streamJobSpecificDetails(
+    id,
+    userId,
+    { onStart, onSection },
+    { refresh } = {}
+  ) {
+    const { jobMatch, user } = await this.loadForJobSpecificDetails(id, userId);
+
+    await onStart(jobMatch);
+
+    const stream = aiService.streamJobSpecificDetails(user, jobMatch, {
+      refresh,
+    });
+    let next = await stream.next();
+    while (!next.done) {
+      await onSection(next.value);
+      next = await stream.next();
+    }
+
+    // The generator's return value is the complete set of details
+    return this.saveJobSpecificDetails(jobMatch, next.value);
+  }
+
+  /**
+   * Load a job match and its owner for generating job-specific details
+   */
+  async loadForJobSpecificDetails(id, userId) {
     const jobMatch = await JobMatch.findById(id);
 
     if (!jobMatch) {
@@ -403,8 +1456,13 @@ class JobMatchService {
       throw new AppError('User not found', 404);
     }
 
-    const details = await aiService.generateJobSpecificDetails(user, jobMatch);
+    return { jobMatch, user };
+  }
 
+  /**
+   * Store generated job-specific details on a job match
+   */
+  async saveJobSpecificDetails(jobMatch, details) {
     jobMatch.analysis.jobSpecificMessage = details.jobSpecificMessage;
     jobMatch.analysis.jobSpecificEmail = details.jobSpecificEmail;
     jobMatch.analysis.jobSpecificInterviewQuestions =
@@ -456,14 +1514,26 @@ class JobMatchService {
     // Get user profile
     const user = await User.findById(userId);
 
-    // Perform AI analysis again
-    const analysis = await aiService.analyzeJobMatch(user, {
-      jobTitle: jobMatch.jobTitle,
-      company: jobMatch.company,
-      location: jobMatch.location,
-      jobDescription: jobMatch.jobDescription,
-      jobUrl: jobMatch.jobUrl,
-    });
+    // Job matches analyzed before versioning existed keep their old result as version 1
+    if (
+      jobMatch.status === 'analyzed' &&
+      !(await AnalysisVersion.exists({ jobMatchId: jobMatch._id }))
+    ) {
+      await this.recordAnalysisVersion(jobMatch);
+    }
+
+    // Perform AI analysis again (a cached result would just repeat the last run)
+    const analysis = await aiService.analyzeJobMatch(
+      user,
+      {
+        jobTitle: jobMatch.jobTitle,
+        company: jobMatch.company,
+        location: jobMatch.location,
+        jobDescription: jobMatch.jobDescription,
+        jobUrl: jobMatch.jobUrl,
+      },
+      { refresh: true }
+    );
 
     // Update job match
     jobMatch.analysis = {
@@ -474,9 +1544,177 @@ class JobMatchService {
     jobMatch.error = undefined;
 
     await jobMatch.save();
+    await this.recordAnalysisVersion(jobMatch);
 
     return jobMatch;
   }
+
+  /**
+   * Store a job match's current analysis as a new immutable version
+   * @param {Object} jobMatch - Analyzed job match document
+   * @returns {Promise<Object|null>} - The version, or null if there was no model run
+   */
+  async recordAnalysisVersion(jobMatch) {
+    // Rejected URLs never reach the model, so there is nothing to version
+    if (jobMatch.analysis?.matchingPercentage == null) {
+      return null;
+    }
+
+    return AnalysisVersion.record(jobMatch);
+  }
+
+  /**
+   * List the analysis versions of a job match, newest first
+   * @param {string} id - Job match ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Analysis versions
+   */
+  async getAnalysisVersions(id, userId) {
+    const jobMatch = await this.getById(id, userId);
+
+    return AnalysisVersion.findByJobMatch(jobMatch._id);
+  }
+
+  /**
+   * Compare two analysis versions of a job match
+   * @param {string} id - Job match ID
+   * @param {string} userId - User ID
+   * @param {Object} [options]
+   * @param {number} [options.from] - Older version (default: the one before `to`)
+   * @param {number} [options.to] - Newer version (default: latest)
+   * @returns {Promise<Object>} - Score, sub-score and list changes between the two runs
+   */
+  async diffAnalysisVersions(id, userId, { from, to } = {}) {
+    const jobMatch = await this.getById(id, userId);
+    const versions = await AnalysisVersion.findByJobMatch(jobMatch._id);
+
+    const toVersion = to ? versions.find((v) => v.version === to) : versions[0];
+    if (!toVersion) {
+      throw new AppError(
+        to ? `Analysis version ${to} not found` : 'No analysis versions yet',
+        404
+      );
+    }
+
+    const fromNumber = from || toVersion.version - 1;
+    const fromVersion = versions.find((v) => v.version === fromNumber);
+    if (!fromVersion) {
+      throw new AppError(
+        from
+          ? `Analysis version ${from} not found`
+          : 'At least two analysis versions are needed to compare',
+        404
+      );
+    }
+
+    const summary = (version) => ({
+      version: version.version,
+      analyzedAt: version.analyzedAt,
+      matchingPercentage: version.matchingPercentage,
+      provider: version.provider,
+      model: version.model,
+    });
+
+    return {
+      from: summary(fromVersion),
+      to: summary(toVersion),
+      scoreChange:
+        toVersion.matchingPercentage - fromVersion.matchingPercentage,
+      scoreBreakdown: Object.fromEntries(
+        Object.keys(SCORE_WEIGHTS).map((dimension) => {
+          const before = fromVersion.scoreBreakdown?.[dimension]?.score ?? null;
+          const after = toVersion.scoreBreakdown?.[dimension]?.score ?? null;
+          return [
+            dimension,
+            {
+              from: before,
+              to: after,
+              change: before === null || after === null ? null : after - before,
+            },
+          ];
+        })
+      ),
+      strengths: diffLists(fromVersion.strengths, toVersion.strengths),
+      areasToImprove: diffLists(
+        fromVersion.areasToImprove,
+        toVersion.areasToImprove
+      ),
+      resumeFeedback: diffLists(
+        fromVersion.resumeFeedback,
+        toVersion.resumeFeedback
+      ),
+      profileChanged: fromVersion.profileHash !== toVersion.profileHash,
+      profileChanges: diffProfileSnapshots(
+        fromVersion.profileSnapshot,
+        toVersion.profileSnapshot
+      ),
+      modelChanged:
+        fromVersion.provider !== toVersion.provider ||
+        fromVersion.model !== toVersion.model,
+    };
+  }
+
+  /**
+   * Compare 2-5 analyzed job matches side by side, with an AI recommendation
+   * @param {string} userId - User ID
+   * @param {Array<string>} ids - Job match IDs, in display order
+   * @returns {Promise<Object>} - { jobs, strengths, gaps, recommendation }
+   */
+  async compareJobMatches(userId, ids) {
+    const found = await JobMatch.find({ _id: { $in: ids } });
+    const byId = new Map(found.map((jobMatch) => [jobMatch.id, jobMatch]));
+
+    const jobMatches = ids.map((id) => {
+      const jobMatch = byId.get(id);
+      if (!jobMatch) {
+        throw new AppError(`Job match ${id} not found`, 404);
+      }
+      // Verify ownership
+      if (jobMatch.userId.toString() !== userId.toString()) {
+        throw new AppError('Unauthorized access to this job match', 403);
+      }
+      if (
+        jobMatch.status !== 'analyzed' ||
+        jobMatch.analysis?.matchingPercentage == null
+      ) {
+        throw new AppError(
+          `Job match ${id} has not been analyzed yet, so it cannot be compared`,
+          400
+        );
+      }
+      return jobMatch;
+    });
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const recommendation = await aiService.compareJobMatches(user, jobMatches);
+
+    return {
+      jobs: jobMatches.map((jobMatch) => ({
+        id: jobMatch._id,
+        jobTitle: jobMatch.jobTitle,
+        company: jobMatch.company,
+        location: jobMatch.location,
+        workMode: getWorkMode(jobMatch),
+        employmentType: jobMatch.employmentType,
+        salary: jobMatch.salary?.min != null ? jobMatch.salary : null,
+        matchingPercentage: jobMatch.analysis.matchingPercentage,
+        scoreBreakdown: Object.fromEntries(
+          Object.keys(SCORE_WEIGHTS).map((dimension) => [
+            dimension,
+            jobMatch.analysis.scoreBreakdown?.[dimension]?.score ?? null,
+          ])
+        ),
+        applicationStage: jobMatch.application?.stage || null,
+      })),
+      strengths: groupListsByJob(jobMatches, 'strengths'),
+      gaps: groupListsByJob(jobMatches, 'areasToImprove'),
+      recommendation,
+    };
+  }
 }
 
 module.exports = new JobMatchService();
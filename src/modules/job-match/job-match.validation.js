@@ -1,4 +1,19 @@
 const Joi = require('joi');
+const { APPLICATION_STAGES } = require('./job-match.model');
+const { SEARCH_SORTS, WORK_MODES } = require('./history-search');
+const { EXPORT_FORMATS } = require('./history-export');
+
+// What to do when a posting was analyzed before (see jobMatchService.resolveDuplicate)
+const DUPLICATE_STRATEGIES = ['ask', 'reuse', 'analyze'];
+
+const duplicateStrategySchema = Joi.string()
+  .valid(...DUPLICATE_STRATEGIES)
+  .messages({
+    'any.only': `duplicateStrategy must be one of: ${DUPLICATE_STRATEGIES.join(', ')}`,
+  });
+
+// Maximum URLs + CSV rows accepted in one batch
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 50;
 
 const validate = (schema) => {
   return (req, res, next) => {
@@ -20,6 +35,8 @@ const analyzeUrlSchema = Joi.object({
     'string.uri': 'Please provide a valid URL',
     'any.required': 'Job URL is required',
   }),
+  async: Joi.boolean().default(false),
+  duplicateStrategy: duplicateStrategySchema,
 });
 
 // Analyze from manual entry validation schema
@@ -39,10 +56,116 @@ const analyzeManualSchema = Joi.object({
     'string.min': 'Job description must be at least 50 characters long',
     'any.required': 'Job description is required',
   }),
+  duplicateStrategy: duplicateStrategySchema,
+});
+
+// Batch analysis validation schema (a CSV file may be uploaded instead of, or as well as, URLs)
+// A multipart form with a single urls field sends it as a plain string
+const batchUrlSchema = Joi.string().uri().messages({
+  'string.uri': 'Each URL must be a valid URL',
+});
+
+const batchSchema = Joi.object({
+  urls: Joi.alternatives().try(
+    Joi.array()
+      .items(batchUrlSchema)
+      .max(BATCH_MAX_ITEMS)
+      .messages({
+        'array.max': `A batch can contain at most ${BATCH_MAX_ITEMS} jobs`,
+      }),
+    batchUrlSchema
+  ),
+});
+
+// Job match comparison validation schema
+const compareSchema = Joi.object({
+  ids: Joi.array()
+    .items(
+      Joi.string()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .messages({ 'string.pattern.base': 'Invalid ID format' })
+    )
+    .min(2)
+    .max(5)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'Select at least 2 job matches to compare',
+      'array.max': 'At most 5 job matches can be compared at once',
+      'array.unique': 'Each job match can only be compared once',
+      'any.required': 'Job match IDs are required',
+    }),
+});
+
+// Move to application stage validation schema
+const stageSchema = Joi.object({
+  stage: Joi.string()
+    .valid(...APPLICATION_STAGES)
+    .required()
+    .messages({
+      'any.only': `Stage must be one of: ${APPLICATION_STAGES.join(', ')}`,
+      'any.required': 'Stage is required',
+    }),
+  note: Joi.string().max(1000).allow('').messages({
+    'string.max': 'Note cannot be more than 1000 characters long',
+  }),
+});
+
+// Application note validation schema
+const noteSchema = Joi.object({
+  text: Joi.string().trim().min(1).max(5000).required().messages({
+    'string.empty': 'Note text is required',
+    'string.max': 'Note cannot be more than 5000 characters long',
+    'any.required': 'Note text is required',
+  }),
+});
+
+// Next action validation schema
+const nextActionSchema = Joi.object({
+  description: Joi.string().trim().min(1).max(500).required().messages({
+    'string.empty': 'Next action description is required',
+    'string.max': 'Next action cannot be more than 500 characters long',
+    'any.required': 'Next action description is required',
+  }),
+  dueAt: Joi.date().iso().messages({
+    'date.format': 'Due date must be an ISO 8601 date',
+  }),
+});
+
+const tagSchema = Joi.string().trim().min(1).max(50).messages({
+  'string.empty': 'Tags cannot be empty',
+  'string.max': 'Tags cannot be more than 50 characters long',
+});
+
+// Analysis version diff validation schema (query params)
+const versionDiffSchema = Joi.object({
+  from: Joi.number().integer().min(1).messages({
+    'number.base': 'from must be a version number',
+  }),
+  to: Joi.number().integer().min(1).messages({
+    'number.base': 'to must be a version number',
+  }),
 });
 
 // Search history validation schema (query params)
+// Query list given comma-separated (tags=a,b) or by repeating the key (tags=a&tags=b)
+const queryList = (item) =>
+  Joi.alternatives().try(
+    Joi.array().items(item),
+    Joi.string().custom((value, helpers) => {
+      const key = helpers.state.path[helpers.state.path.length - 1];
+      for (const entry of value.split(',')) {
+        const { error } = item.label(key).validate(entry.trim());
+        if (error) return helpers.message(error.details[0].message);
+      }
+      return value;
+    })
+  );
+
 const searchSchema = Joi.object({
+  q: Joi.string().trim().max(200).allow('').messages({
+    'string.max': 'Search query cannot be more than 200 characters long',
+  }),
   company: Joi.string().max(200).allow('').messages({
     'string.max': 'Company name cannot be more than 200 characters long',
   }),
@@ -52,9 +175,61 @@ const searchSchema = Joi.object({
   location: Joi.string().max(200).allow('').messages({
     'string.max': 'Location cannot be more than 200 characters long',
   }),
-  page: Joi.number().integer().min(1).default(1),
+  status: queryList(Joi.string().valid('pending', 'analyzed', 'error')),
+  minScore: Joi.number().min(0).max(100),
+  maxScore: Joi.number()
+    .min(0)
+    .max(100)
+    .when('minScore', {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref('minScore')).messages({
+        'number.min': 'maxScore cannot be less than minScore',
+      }),
+    }),
+  from: Joi.date().iso().messages({
+    'date.format': 'from must be an ISO 8601 date',
+  }),
+  to: Joi.date()
+    .iso()
+    .messages({
+      'date.format': 'to must be an ISO 8601 date',
+    })
+    .when('from', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('from')).messages({
+        'date.min': 'to cannot be before from',
+      }),
+    }),
+  workMode: queryList(Joi.string().valid(...WORK_MODES)),
+  tags: queryList(tagSchema),
+  cursor: Joi.string().max(500),
+  facets: Joi.boolean(),
   limit: Joi.number().integer().min(1).max(100).default(10),
-  sort: Joi.string().default('-createdAt'),
+  sort: Joi.string()
+    .valid(...Object.keys(SEARCH_SORTS))
+    .messages({
+      'any.only': `sort must be one of: ${Object.keys(SEARCH_SORTS).join(', ')}`,
+    }),
+});
+
+// Export: the search filters, without pagination
+const exportSchema = searchSchema
+  .keys({
+    format: Joi.string()
+      .valid(...EXPORT_FORMATS)
+      .default('csv')
+      .messages({
+        'any.only': `format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+      }),
+  })
+  .fork(['cursor', 'facets', 'limit'], (schema) => schema.forbidden());
+
+// Tags validation schema
+const tagsSchema = Joi.object({
+  tags: Joi.array().items(tagSchema).max(20).required().messages({
+    'array.max': 'A job match cannot have more than 20 tags',
+    'any.required': 'Tags are required',
+  }),
 });
 
 // ID parameter validation
@@ -68,6 +243,17 @@ const idSchema = Joi.object({
     }),
 });
 
+// User ID route parameter validation
+const userIdParamSchema = Joi.object({
+  userId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid user ID format',
+      'any.required': 'User ID is required',
+    }),
+});
+
 // Query validation for listing
 const querySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
@@ -91,10 +277,36 @@ const validateQuery = (schema) => {
   };
 };
 
+const validateParams = (schema) => {
+  return (req, res, next) => {
+    const { error } = schema.validate(req.params);
+    if (error) {
+      const message = error.details[0].message;
+      return res.status(400).json({
+        success: false,
+        message,
+      });
+    }
+    next();
+  };
+};
+
 module.exports = {
   validateAnalyzeUrl: validate(analyzeUrlSchema),
   validateAnalyzeManual: validate(analyzeManualSchema),
+  validateBatch: validate(batchSchema),
+  validateCompare: validate(compareSchema),
   validateId: validate(idSchema),
   validateQueryParams: validate(querySchema),
   validateSearch: validateQuery(searchSchema),
+  validateExport: validateQuery(exportSchema),
+  validateVersionDiff: validateQuery(versionDiffSchema),
+  validateStage: validate(stageSchema),
+  validateNote: validate(noteSchema),
+  validateNextAction: validate(nextActionSchema),
+  validateTags: validate(tagsSchema),
+  validateUserIdParam: validateParams(userIdParamSchema),
+  // CSV rows in a batch are checked like manual entries
+  batchRowSchema: analyzeManualSchema,
+  BATCH_MAX_ITEMS,
 };
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+/**
+ * Content fingerprints for spotting the same job posting behind different
+ * URLs or pasted manually. Two postings are near-duplicates when their
+ * title/company key is equal and their description simhashes are close.
+ */
+
+// Simhashes this many bits apart (of 64) or fewer are treated as the same text.
+// Loose, because the same posting on two sites differs in boilerplate; the
+// title/company key has to match as well.
+const MAX_SIMHASH_DISTANCE = 10;
+
+// Descriptions shorter than this (in words) are too short to compare reliably
+const MIN_WORDS = 20;
+
+// Legal suffixes that vary between listings of the same employer
+const COMPANY_SUFFIXES =
+  /\b(inc|incorporated|llc|ltd|limited|plc|gmbh|ag|sa|sas|bv|corp|corporation|co|company|pvt|private)\b/g;
+
+const normalizeWords = (text) =>
+  (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[^a-z0-9+#]+/g, ' ')
+    .trim();
+
+const normalizeTitle = (title) =>
+  normalizeWords((title || '').replace(/\([^)]*\)/g, ' '));
+
+const normalizeCompany = (company) => {
+  const normalized = normalizeWords(company);
+  if (normalized === 'not specified') return '';
+  return normalized.replace(COMPANY_SUFFIXES, ' ').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * 64-bit simhash of a text over 3-word shingles
+ * @param {string} text - Text to hash
+ * @returns {string|null} - 16 hex characters, or null if the text is too short
+ */
+const simhash = (text) => {
+  const words = normalizeWords(text).split(' ').filter(Boolean);
+  if (words.length < MIN_WORDS) return null;
+
+  const weights = new Array(64).fill(0);
+  for (let i = 0; i + 3 <= words.length; i++) {
+    const hash = crypto
+      .createHash('md5')
+      .update(words.slice(i, i + 3).join(' '))
+      .digest()
+      .readBigUInt64BE(0);
+
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  let result = 0n;
+  weights.forEach((weight, bit) => {
+    if (weight > 0) result |= 1n << BigInt(bit);
+  });
+
+  return result.toString(16).padStart(16, '0');
+};
+
+/**
+ * Number of differing bits between two simhashes
+ * @param {string} a - Simhash (hex)
+ * @param {string} b - Simhash (hex)
+ * @returns {number}
+ */
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+/**
+ * Fingerprint a job posting
+ * @param {Object} jobDetails - { jobTitle, company, jobDescription }
+ * @returns {Object|null} - { key, simhash }, or null without a title
+ */
+const fingerprintPosting = ({ jobTitle, company, jobDescription }) => {
+  const title = normalizeTitle(jobTitle);
+  if (!title) return null;
+
+  return {
+    key: `${normalizeCompany(company)}|${title}`,
+    simhash: simhash(jobDescription),
+  };
+};
+
+/**
+ * Whether two fingerprints describe the same posting
+ * @param {Object} a - Fingerprint
+ * @param {Object} b - Fingerprint
+ * @returns {boolean}
+ */
+const isNearDuplicate = (a, b) =>
+  Boolean(
+    a?.key &&
+    a.key === b?.key &&
+    a.simhash &&
+    b.simhash &&
+    hammingDistance(a.simhash, b.simhash) <= MAX_SIMHASH_DISTANCE
+  );
+
+module.exports = {
+  MAX_SIMHASH_DISTANCE,
+  fingerprintPosting,
+  isNearDuplicate,
+  hammingDistance,
+  simhash,
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+/**
+ * Compact copies of the profile state an analysis was computed from.
+ * The fingerprint only covers fields that affect matching (not name, email or
+ * hobbies), so cosmetic profile edits don't mark analyses as stale.
+ */
+
+// Fields compared when deciding whether a profile has materially changed
+const MATERIAL_FIELDS = [
+  'skills',
+  'softSkills',
+  'currentTitle',
+  'industry',
+  'experienceMonths',
+  'education.degree',
+  'education.university',
+  'education.graduationYear',
+  'education.certifications',
+  'resume.url',
+];
+
+const sha256 = (value) =>
+  crypto.createHash('sha256').update(value).digest('hex');
+
+const normalizeText = (value) =>
+  typeof value === 'string' && value.trim()
+    ? value.trim().replace(/\s+/g, ' ')
+    : null;
+
+// Sorted list without case-insensitive duplicates (the first spelling is kept)
+const normalizeList = (list = []) => {
+  const unique = new Map();
+  (list || [])
+    .map(normalizeText)
+    .filter(Boolean)
+    .forEach((item) => {
+      if (!unique.has(item.toLowerCase())) unique.set(item.toLowerCase(), item);
+    });
+
+  return [...unique.values()].sort((a, b) =>
+    a.toLowerCase().localeCompare(b.toLowerCase())
+  );
+};
+
+const getPath = (object, path) =>
+  path.split('.').reduce((value, key) => value?.[key], object);
+
+// Comparable form of a field (lists and text ignore case)
+const comparable = (value) => {
+  if (Array.isArray(value)) return value.map((item) => item.toLowerCase());
+  if (typeof value === 'string') return value.toLowerCase();
+  return value ?? null;
+};
+
+/**
+ * Hash of a snapshot's material fields
+ * @param {Object} snapshot - Profile snapshot
+ * @returns {string}
+ */
+const fingerprint = (snapshot) =>
+  sha256(
+    JSON.stringify(
+      MATERIAL_FIELDS.map((field) => comparable(getPath(snapshot, field)))
+    )
+  );
+
+/**
+ * Build a profile snapshot from a user document
+ * @param {Object} user - User document
+ * @param {Object} [options]
+ * @param {string} [options.resumeText] - Resume text the model was given
+ * @param {string} [options.resumeUploadId] - Upload the resume URL belongs to
+ * @returns {Object} - Snapshot including its fingerprint
+ */
+const buildProfileSnapshot = (
+  user,
+  { resumeText = null, resumeUploadId = null } = {}
+) => {
+  const professional = user?.professionalInfo || {};
+  const education = user?.education || {};
+  const resume = user?.documents?.resume || {};
+
+  const hasExperience =
+    professional.experienceYears != null ||
+    professional.experienceMonths != null;
+
+  const snapshot = {
+    skills: normalizeList(user?.otherInfo?.skills),
+    softSkills: normalizeList(user?.otherInfo?.softSkills),
+    currentTitle: normalizeText(professional.currentTitle),
+    industry: normalizeText(professional.industry),
+    experienceMonths: hasExperience
+      ? (professional.experienceYears || 0) * 12 +
+        (professional.experienceMonths || 0)
+      : null,
+    education: {
+      degree: normalizeText(education.degree),
+      university: normalizeText(education.university),
+      graduationYear: education.graduationYear ?? null,
+      certifications: normalizeList(education.certifications),
+    },
+    resume: {
+      uploadId: resumeUploadId,
+      url: resume.url || null,
+      fileName: resume.fileName || null,
+      uploadedAt: resume.uploadedAt || null,
+      // Not part of the fingerprint: it would need the resume re-downloaded to check
+      textHash: resumeText ? sha256(resumeText) : null,
+    },
+  };
+
+  snapshot.fingerprint = fingerprint(snapshot);
+  return snapshot;
+};
+
+/**
+ * Material fields that differ between two snapshots
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @returns {Array<string>} - Changed field paths (see MATERIAL_FIELDS)
+ */
+const diffProfileSnapshots = (before, after) => {
+  if (!before || !after) return [];
+
+  return MATERIAL_FIELDS.filter(
+    (field) =>
+      JSON.stringify(comparable(getPath(before, field))) !==
+      JSON.stringify(comparable(getPath(after, field)))
+  );
+};
+
+/**
+ * Whether an analysis was computed from a profile that has since materially changed
+ * @param {Object} analysisSnapshot - Snapshot stored with the analysis
+ * @param {string} currentFingerprint - Fingerprint of the user's current profile
+ * @returns {boolean|null} - null when the analysis predates snapshots
+ */
+const isSnapshotStale = (analysisSnapshot, currentFingerprint) => {
+  if (!analysisSnapshot?.fingerprint || !currentFingerprint) return null;
+  return analysisSnapshot.fingerprint !== currentFingerprint;
+};
+
+module.exports = {
+  MATERIAL_FIELDS,
+  buildProfileSnapshot,
+  diffProfileSnapshots,
+  isSnapshotStale,
+};
@@ -1,143 +1,162 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
-const puppeteer = require('puppeteer');
+const {
+  safeFetch,
+  assertSafeUrl,
+  BlockedUrlError,
+  CONTENT_TYPES,
+} = require('../../utils/safeFetch');
+const browserPool = require('../../utils/browserPool');
+const { jobScrapes } = require('../../utils/metrics');
+const { wait } = require('../../utils/retryWithBackoff');
+const siteAdapters = require('./adapters');
 
 class ScraperService {
+  /**
+   * Extract job details from a site's public JSON API (see adapters/)
+   * @param {string} url - The job posting URL
+   * @param {Object} adapter - Site adapter with an api definition
+   * @returns {Promise<Object>} - Extracted job details
+   */
+  async scrapeWithApi(url, adapter) {
+    try {
+      const response = await safeFetch(adapter.api.url(url), {
+        responseType: 'json',
+        allowedContentTypes: CONTENT_TYPES.json,
+        headers: { Accept: 'application/json' },
+      });
+
+      const jobDetails = adapter.api.parse(response.data, url);
+      jobDetails.jobDescription = this.htmlToText(jobDetails.jobDescription);
+
+      return jobDetails;
+    } catch (error) {
+      throw new Error(`${adapter.name} API lookup failed: ${error.message}`);
+    }
+  }
+
   /**
    * Extract job details from a URL using cheerio (for static content)
    * @param {string} url - The job posting URL
+   * @param {Object} [adapter] - Site adapter (looked up from the URL by default)
    * @returns {Promise<Object>} - Extracted job details
    */
-  async scrapeWithCheerio(url) {
+  async scrapeWithCheerio(url, adapter = siteAdapters.getAdapter(url)) {
     try {
-      const response = await axios.get(url, {
+      const response = await safeFetch(url, {
+        allowedContentTypes: CONTENT_TYPES.html,
         headers: {
           'User-Agent':
             'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
         },
-        timeout: 10000,
       });
 
-      const $ = cheerio.load(response.data);
-      const html = response.data;
-
-      // Try to extract common job posting elements
-      const jobDetails = {
-        jobTitle: this.extractJobTitle($, html),
-        company: this.extractCompany($, html),
-        location: this.extractLocation($, html),
-        jobDescription: this.extractDescription($, html),
-      };
-
-      return jobDetails;
+      return this.extractFromHtml(response.data, adapter);
     } catch (error) {
+      if (error instanceof BlockedUrlError) throw error;
       throw new Error(`Cheerio scraping failed: ${error.message}`);
     }
   }
 
+  /**
+   * Extract job details from a page's HTML
+   * @param {string} html - Page HTML
+   * @param {Object} adapter - Site adapter whose selectors to use
+   * @returns {Object} - Extracted job details
+   */
+  extractFromHtml(html, adapter) {
+    const $ = cheerio.load(html);
+
+    // Prefer schema.org JobPosting markup, fall back to the adapter's selectors
+    const structured = this.extractStructuredData($);
+
+    return {
+      ...structured,
+      jobTitle: structured.jobTitle || this.extractJobTitle($, adapter),
+      company: structured.company || this.extractCompany($, adapter),
+      location: structured.location || this.extractLocation($, adapter),
+      jobDescription:
+        structured.jobDescription || this.extractDescription($, adapter),
+    };
+  }
+
   /**
    * Extract job details using Puppeteer (for dynamic content)
    * @param {string} url - The job posting URL
+   * @param {Object} [adapter] - Site adapter (looked up from the URL by default)
    * @returns {Promise<Object>} - Extracted job details
    */
-  async scrapeWithPuppeteer(url) {
-    let browser;
-    try {
-      browser = await puppeteer.launch({
-        headless: 'new',
-        args: ['--no-sandbox', '--disable-setuid-sandbox'],
-      });
+  async scrapeWithPuppeteer(url, adapter = siteAdapters.getAdapter(url)) {
+    // The pool also checks every request the page makes (see browserPool.js)
+    await assertSafeUrl(url);
 
-      const page = await browser.newPage();
-      await page.setUserAgent(
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+    try {
+      return await browserPool.withPage((page) =>
+        this.extractFromPage(page, url, adapter)
       );
+    } catch (error) {
+      throw new Error(`Puppeteer scraping failed: ${error.message}`);
+    }
+  }
 
-      await page.goto(url, {
-        waitUntil: 'networkidle2',
-        timeout: 30000,
-      });
+  /**
+   * Load a job posting in a pooled Puppeteer page and extract its details
+   */
+  async extractFromPage(page, url, adapter) {
+    await page.setUserAgent(
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+    );
+
+    await page.goto(url, {
+      waitUntil: 'networkidle2',
+      timeout: 30000,
+    });
+
+    // Wait a bit for dynamic content to load
+    await wait(2000);
+
+    const selectors = {
+      jobTitle: siteAdapters.getSelectors(adapter, 'jobTitle'),
+      company: siteAdapters.getSelectors(adapter, 'company'),
+      location: siteAdapters.getSelectors(adapter, 'location'),
+      jobDescription: siteAdapters.getSelectors(adapter, 'jobDescription'),
+    };
 
-      // Wait a bit for dynamic content to load
-      await page.waitForTimeout(2000);
+    const jobDetails = await page.evaluate((selectors) => {
+      // Helper function to get text content
+      const getText = (selector) => {
+        const element = document.querySelector(selector);
+        return element ? element.textContent.trim() : '';
+      };
 
-      const jobDetails = await page.evaluate(() => {
-        // Helper function to get text content
-        const getText = (selector) => {
-          const element = document.querySelector(selector);
-          return element ? element.textContent.trim() : '';
-        };
+      // Helper function to get text from multiple selectors
+      const getTextMultiple = (list) => {
+        for (const selector of list) {
+          const text = getText(selector);
+          if (text) return text;
+        }
+        return '';
+      };
 
-        // Helper function to get text from multiple selectors
-        const getTextMultiple = (selectors) => {
-          for (const selector of selectors) {
-            const text = getText(selector);
-            if (text) return text;
-          }
-          return '';
-        };
+      return {
+        jobTitle: getTextMultiple(selectors.jobTitle),
+        company: getTextMultiple(selectors.company),
+        location: getTextMultiple(selectors.location),
+        jobDescription: getTextMultiple(selectors.jobDescription),
+      };
+    }, selectors);
 
-        return {
-          jobTitle: getTextMultiple([
-            // LinkedIn
-            'h1.top-card-layout__title',
-            'h1.topcard__title',
-            'h1.job-details-jobs-unified-top-card__job-title',
-            // Indeed
-            'h1.jobsearch-JobInfoHeader-title',
-            '[data-testid="jobTitle"]',
-            // Generic
-            'h1.job-title',
-            'h1[class*="title"]',
-            'h1[class*="job"]',
-            'h1',
-          ]),
-          company: getTextMultiple([
-            // LinkedIn
-            'a.topcard__org-name-link',
-            'a[data-tracking-control-name*="company"]',
-            // Indeed
-            '[data-testid="company-name"]',
-            'a[data-tn-element="companyName"]',
-            // Generic
-            '.company-name',
-            '[class*="company"]',
-          ]),
-          location: getTextMultiple([
-            // LinkedIn
-            '.topcard__flavor--bullet',
-            'span.job-details-jobs-unified-top-card__bullet',
-            // Indeed
-            '[data-testid="job-location"]',
-            '[data-tn-element="jobLocation"]',
-            // Generic
-            '.location',
-            '[class*="location"]',
-          ]),
-          jobDescription: getTextMultiple([
-            // LinkedIn
-            '#job-details',
-            '.description__text',
-            '.jobs-description__content',
-            // Indeed
-            '#jobDescriptionText',
-            '[data-testid="jobDescription"]',
-            // Generic
-            '.job-description',
-            '[class*="description"]',
-            'div[id*="description"]',
-          ]),
-        };
-      });
+    // JSON-LD is often injected client-side, so check the rendered page too
+    const structured = this.extractStructuredData(
+      cheerio.load(await page.content())
+    );
 
-      return jobDetails;
-    } catch (error) {
-      throw new Error(`Puppeteer scraping failed: ${error.message}`);
-    } finally {
-      if (browser) {
-        await browser.close();
-      }
-    }
+    return {
+      ...structured,
+      jobTitle: structured.jobTitle || jobDetails.jobTitle,
+      company: structured.company || jobDetails.company,
+      location: structured.location || jobDetails.location,
+      jobDescription: structured.jobDescription || jobDetails.jobDescription,
+    };
   }
 
   /**
@@ -152,16 +171,37 @@ class ScraperService {
         throw new Error('Invalid URL provided');
       }
 
-      // Try cheerio first (faster)
-      let jobDetails = await this.scrapeWithCheerio(url);
+      const adapter = siteAdapters.getAdapter(url);
+      let jobDetails = null;
+
+      // Sites with a public JSON API don't need the page at all
+      if (adapter.api && adapter.api.url(url)) {
+        try {
+          jobDetails = await this.measureScrape('api', () =>
+            this.scrapeWithApi(url, adapter)
+          );
+        } catch (apiError) {
+          console.warn(apiError.message);
+        }
+      }
+
+      // Then cheerio (faster). Sites that refuse plain HTTP clients (403, an
+      // unexpected content type...) are left to puppeteer, which checks the URL again
+      if (!this.hasEssentialDetails(jobDetails)) {
+        try {
+          jobDetails = await this.measureScrape('cheerio', () =>
+            this.scrapeWithCheerio(url, adapter)
+          );
+        } catch (cheerioError) {
+          console.warn(cheerioError.message);
+        }
+      }
 
       // If cheerio didn't get enough data, try puppeteer
-      if (
-        !jobDetails.jobTitle ||
-        !jobDetails.jobDescription ||
-        jobDetails.jobDescription.length < 50
-      ) {
-        jobDetails = await this.scrapeWithPuppeteer(url);
+      if (!this.hasEssentialDetails(jobDetails)) {
+        jobDetails = await this.measureScrape('puppeteer', () =>
+          this.scrapeWithPuppeteer(url, adapter)
+        );
       }
 
       // Validate extracted data
@@ -176,92 +216,334 @@ class ScraperService {
 
       return jobDetails;
     } catch (error) {
+      // Policy refusals keep their own message and 422 status
+      if (error instanceof BlockedUrlError) throw error;
       throw new Error(`Failed to scrape job posting: ${error.message}`);
     }
   }
 
   /**
-   * Extract job title from HTML
+   * Run one scrape method, counting its outcome (job_scrapes_total metric)
+   * @param {string} method - 'api', 'cheerio' or 'puppeteer'
+   * @param {Function} scrape - Async function returning job details
+   * @returns {Promise<Object>} - Job details from scrape
    */
-  extractJobTitle($, html) {
-    const selectors = [
-      // LinkedIn
-      'h1.top-card-layout__title',
-      'h1.topcard__title',
-      'h1.job-details-jobs-unified-top-card__job-title',
-      // Indeed
-      'h1.jobsearch-JobInfoHeader-title',
-      '[data-testid="jobTitle"]',
-      // Generic
-      'h1.job-title',
-      'h1[class*="title"]',
-      'h1[class*="job"]',
-      '.job-title',
-      'h1',
-    ];
+  async measureScrape(method, scrape) {
+    try {
+      const jobDetails = await scrape();
+      jobScrapes.inc({
+        method,
+        outcome: this.hasEssentialDetails(jobDetails)
+          ? 'success'
+          : 'incomplete',
+      });
+      return jobDetails;
+    } catch (error) {
+      jobScrapes.inc({ method, outcome: 'failure' });
+      throw error;
+    }
+  }
 
-    for (const selector of selectors) {
-      const text = $(selector).first().text().trim();
-      if (text && text.length > 0 && text.length < 200) {
-        return text;
+  /**
+   * Whether scraped job details have enough to analyze
+   */
+  hasEssentialDetails(jobDetails) {
+    return Boolean(
+      jobDetails &&
+      jobDetails.jobTitle &&
+      jobDetails.jobDescription &&
+      jobDetails.jobDescription.length >= 50
+    );
+  }
+
+  /**
+   * Extract job details from schema.org JobPosting markup (JSON-LD, then microdata)
+   * @param {Object} $ - Loaded cheerio document
+   * @returns {Object} - Job details found in the markup, empty if there is none
+   */
+  extractStructuredData($) {
+    let posting = this.findJsonLdJobPosting($);
+    let source = 'json-ld';
+
+    if (!posting) {
+      posting = this.findMicrodataJobPosting($);
+      source = 'microdata';
+    }
+
+    if (!posting) return {};
+
+    const details = this.normalizeJobPosting(posting);
+    details.structuredDataSource = source;
+    return details;
+  }
+
+  /**
+   * Find the first JobPosting object in the page's JSON-LD scripts
+   */
+  findJsonLdJobPosting($) {
+    const isJobPosting = (node) => {
+      const type = node && node['@type'];
+      return Array.isArray(type)
+        ? type.includes('JobPosting')
+        : type === 'JobPosting';
+    };
+
+    // JSON-LD may be a single object, an array, or wrapped in @graph
+    const search = (node) => {
+      if (!node || typeof node !== 'object') return null;
+      if (Array.isArray(node)) {
+        for (const item of node) {
+          const found = search(item);
+          if (found) return found;
+        }
+        return null;
+      }
+      if (isJobPosting(node)) return node;
+      return node['@graph'] ? search(node['@graph']) : null;
+    };
+
+    const scripts = $('script[type="application/ld+json"]').toArray();
+    for (const script of scripts) {
+      const text = $(script).text().trim();
+      if (!text) continue;
+
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        // Some sites emit raw newlines inside strings, which JSON.parse rejects
+        try {
+          data = JSON.parse(text.replace(/[\r\n\t]+/g, ' '));
+        } catch (retryError) {
+          continue;
+        }
       }
+
+      const posting = search(data);
+      if (posting) return posting;
     }
 
-    // Try to find in meta tags
-    const ogTitle = $('meta[property="og:title"]').attr('content');
-    if (ogTitle) return ogTitle;
+    return null;
+  }
 
-    return '';
+  /**
+   * Find a microdata JobPosting (itemtype="https://schema.org/JobPosting")
+   * and convert it to the same shape as JSON-LD
+   */
+  findMicrodataJobPosting($) {
+    const scope = $('[itemscope][itemtype*="schema.org/JobPosting"]').first();
+    if (!scope.length) return null;
+
+    const readScope = (scopeEl) => {
+      const result = {};
+
+      scopeEl
+        .find('[itemprop]')
+        .filter(
+          (i, el) => $(el).parent().closest('[itemscope]')[0] === scopeEl[0]
+        )
+        .each((i, el) => {
+          const $el = $(el);
+          const name = $el.attr('itemprop');
+
+          let value;
+          if ($el.is('[itemscope]')) {
+            value = readScope($el);
+          } else {
+            value =
+              $el.attr('content') ||
+              $el.attr('datetime') ||
+              $el.attr('href') ||
+              $el.attr('src') ||
+              (name === 'description' ? $el.html() : $el.text().trim());
+          }
+
+          // Repeated properties (e.g. employmentType) become arrays
+          if (result[name] === undefined) {
+            result[name] = value;
+          } else {
+            result[name] = [].concat(result[name], value);
+          }
+        });
+
+      return result;
+    };
+
+    return readScope(scope);
   }
 
   /**
-   * Extract company name from HTML
+   * Convert a schema.org JobPosting object into job details
    */
-  extractCompany($, html) {
-    const selectors = [
-      // LinkedIn
-      'a.topcard__org-name-link',
-      '.top-card-layout__card a[data-tracking-control-name*="company"]',
-      'a[data-tracking-control-name*="company"]',
-      // Indeed
-      '[data-testid="company-name"]',
-      'a[data-tn-element="companyName"]',
-      // Generic
-      '.company-name',
-      '[class*="company"]',
-      '[data-company]',
-    ];
+  normalizeJobPosting(posting) {
+    const first = (value) => (Array.isArray(value) ? value[0] : value);
+    const nameOf = (value) => {
+      value = first(value);
+      return typeof value === 'object' && value ? value.name : value;
+    };
 
-    for (const selector of selectors) {
-      const text = $(selector).first().text().trim();
-      if (text && text.length > 0 && text.length < 200) {
-        return text;
+    const details = {
+      jobTitle: nameOf(posting.title) || nameOf(posting.name) || '',
+      jobDescription: this.htmlToText(first(posting.description)),
+      location: this.formatJobLocation(posting.jobLocation),
+    };
+
+    const organization = first(posting.hiringOrganization);
+    if (organization) {
+      details.hiringOrganization = { name: organization };
+      if (typeof organization === 'object') {
+        details.hiringOrganization = {
+          name: organization.name,
+          url: organization.sameAs || organization.url,
+          logo: nameOf(organization.logo?.url || organization.logo),
+        };
       }
+      details.company = details.hiringOrganization.name;
     }
 
-    return '';
+    const salary = this.parseSalary(
+      first(posting.baseSalary) || first(posting.estimatedSalary)
+    );
+    if (salary) details.salary = salary;
+
+    if (posting.employmentType) {
+      details.employmentType = []
+        .concat(posting.employmentType)
+        .flatMap((type) => String(type).split(','))
+        .map((type) =>
+          type
+            .trim()
+            .toUpperCase()
+            .replace(/[\s-]+/g, '_')
+        )
+        .filter(Boolean);
+    }
+
+    const datePosted = this.parseDate(first(posting.datePosted));
+    if (datePosted) details.datePosted = datePosted;
+
+    const validThrough = this.parseDate(first(posting.validThrough));
+    if (validThrough) details.validThrough = validThrough;
+
+    // TELECOMMUTE is schema.org's marker for remote roles
+    const locationTypes = [].concat(posting.jobLocationType || []);
+    if (locationTypes.length || posting.applicantLocationRequirements) {
+      details.isRemote =
+        locationTypes.some((type) => /telecommute/i.test(type)) ||
+        Boolean(posting.applicantLocationRequirements);
+    }
+
+    if (details.isRemote && !details.location) {
+      details.location = 'Remote';
+    }
+
+    return details;
   }
 
   /**
-   * Extract location from HTML
+   * Format a schema.org jobLocation (Place or list of Places) as text
+   */
+  formatJobLocation(jobLocation) {
+    const places = [].concat(jobLocation || []);
+
+    const formatted = places
+      .map((place) => {
+        const address = place?.address || place;
+        if (typeof address === 'string') return address.trim();
+        if (!address || typeof address !== 'object') return '';
+
+        const country = address.addressCountry;
+        return [
+          address.addressLocality,
+          address.addressRegion,
+          typeof country === 'object' ? country?.name : country,
+        ]
+          .filter(Boolean)
+          .join(', ');
+      })
+      .filter(Boolean);
+
+    return [...new Set(formatted)].join(' / ');
+  }
+
+  /**
+   * Parse a schema.org MonetaryAmount into { min, max, currency, period }
+   */
+  parseSalary(amount) {
+    if (amount === undefined || amount === null || amount === '') return null;
+
+    const toNumber = (value) => {
+      if (value === undefined || value === null || value === '') return null;
+      const number = Number(String(value).replace(/[^0-9.]/g, ''));
+      return Number.isFinite(number) ? number : null;
+    };
+
+    if (typeof amount !== 'object') {
+      const value = toNumber(amount);
+      return value === null ? null : { min: value, max: value };
+    }
+
+    const quantity =
+      typeof amount.value === 'object' && amount.value ? amount.value : amount;
+    const single = toNumber(quantity.value);
+    const min = toNumber(quantity.minValue) ?? single;
+    const max = toNumber(quantity.maxValue) ?? single ?? min;
+
+    if (min === null && max === null) return null;
+
+    return {
+      min: min ?? max,
+      max,
+      currency: amount.currency || quantity.currency,
+      period: (quantity.unitText || amount.unitText)?.toUpperCase(),
+    };
+  }
+
+  /**
+   * Parse a date string, returning null when it is not a valid date
    */
-  extractLocation($, html) {
-    const selectors = [
-      // LinkedIn
-      '.topcard__flavor--bullet',
-      '.top-card-layout__first-subline .topcard__flavor--bullet',
-      'span.job-details-jobs-unified-top-card__bullet',
-      // Indeed
-      '[data-testid="job-location"]',
-      '[data-tn-element="jobLocation"]',
-      // Generic
-      '.location',
-      '[class*="location"]',
-    ];
+  parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
 
+  /**
+   * Convert an HTML fragment (possibly entity-encoded) to plain text
+   */
+  htmlToText(html) {
+    if (!html || typeof html !== 'string') return '';
+
+    // Block-level tags become line breaks so paragraphs don't run together
+    const toText = (fragment) =>
+      cheerio
+        .load(
+          fragment.replace(/<\/?(p|div|br|li|ul|ol|h[1-6])[^>]*>/gi, '\n$&'),
+          null,
+          false
+        )
+        .text();
+
+    let text = toText(html);
+    // Descriptions are sometimes HTML-escaped twice
+    if (/<[a-z][^>]*>/i.test(text)) {
+      text = toText(text);
+    }
+
+    return text.trim();
+  }
+
+  /**
+   * Get the first matching selector's text, within the given length limits
+   */
+  extractFirstMatch(
+    $,
+    selectors,
+    { minLength = 1, maxLength = Infinity } = {}
+  ) {
     for (const selector of selectors) {
       const text = $(selector).first().text().trim();
-      if (text && text.length > 0 && text.length < 200) {
+      if (text.length >= minLength && text.length < maxLength) {
         return text;
       }
     }
@@ -270,32 +552,64 @@ class ScraperService {
   }
 
   /**
-   * Extract job description from HTML
+   * Extract job title from HTML
    */
-  extractDescription($, html) {
-    const selectors = [
-      // LinkedIn
-      '#job-details',
-      '.description__text',
-      '.jobs-description__content',
-      'div[class*="jobs-description"]',
-      // Indeed
-      '#jobDescriptionText',
-      '[data-testid="jobDescription"]',
-      '[data-testid="job-description"]',
-      // Generic
-      '.job-description',
-      '[class*="description"]',
-      'div[id*="description"]',
-    ];
+  extractJobTitle($, adapter) {
+    const text = this.extractFirstMatch(
+      $,
+      siteAdapters.getSelectors(adapter, 'jobTitle'),
+      { maxLength: 200 }
+    );
+    if (text) return text;
 
-    for (const selector of selectors) {
-      const text = $(selector).first().text().trim();
-      if (text && text.length > 50) {
-        return text;
-      }
+    // Try to find in meta tags
+    const ogTitle = $('meta[property="og:title"]').attr('content');
+    if (ogTitle) return ogTitle;
+
+    return '';
+  }
+
+  /**
+   * Extract company name from HTML
+   */
+  extractCompany($, adapter) {
+    const selectors = siteAdapters.getSelectors(adapter, 'company');
+
+    // Logos carry the company name in their alt text ("Acme logo")
+    for (const selector of selectors.filter((s) => s.includes('img'))) {
+      const alt = ($(selector).first().attr('alt') || '').trim();
+      if (alt) return alt.replace(/\s+logo$/i, '');
     }
 
+    // Some boards render the name as "at Acme"
+    return this.extractFirstMatch($, selectors, { maxLength: 200 }).replace(
+      /^at\s+/i,
+      ''
+    );
+  }
+
+  /**
+   * Extract location from HTML
+   */
+  extractLocation($, adapter) {
+    return this.extractFirstMatch(
+      $,
+      siteAdapters.getSelectors(adapter, 'location'),
+      { maxLength: 200 }
+    );
+  }
+
+  /**
+   * Extract job description from HTML
+   */
+  extractDescription($, adapter) {
+    const text = this.extractFirstMatch(
+      $,
+      siteAdapters.getSelectors(adapter, 'jobDescription'),
+      { minLength: 51 }
+    );
+    if (text) return text;
+
     // If no description found, try to get all paragraph text
     const paragraphs = $('p')
       .map((i, el) => $(el).text().trim())
@@ -310,12 +624,35 @@ class ScraperService {
    * Clean and normalize extracted job details
    */
   cleanJobDetails(jobDetails) {
-    return {
+    const cleaned = {
       jobTitle: this.cleanText(jobDetails.jobTitle),
       company: this.cleanText(jobDetails.company) || 'Not specified',
       location: this.cleanText(jobDetails.location) || 'Not specified',
       jobDescription: this.cleanText(jobDetails.jobDescription, 10000),
     };
+
+    // Structured data fields are only present when the page had JobPosting markup
+    if (jobDetails.salary) cleaned.salary = jobDetails.salary;
+    if (jobDetails.employmentType?.length) {
+      cleaned.employmentType = jobDetails.employmentType;
+    }
+    if (jobDetails.datePosted) cleaned.datePosted = jobDetails.datePosted;
+    if (jobDetails.validThrough) cleaned.validThrough = jobDetails.validThrough;
+    if (jobDetails.isRemote !== undefined) {
+      cleaned.isRemote = jobDetails.isRemote;
+    }
+    if (jobDetails.hiringOrganization) {
+      cleaned.hiringOrganization = {
+        name: this.cleanText(jobDetails.hiringOrganization.name, 200),
+        url: jobDetails.hiringOrganization.url,
+        logo: jobDetails.hiringOrganization.logo,
+      };
+    }
+    if (jobDetails.structuredDataSource) {
+      cleaned.structuredDataSource = jobDetails.structuredDataSource;
+    }
+
+    return cleaned;
   }
 
   /**
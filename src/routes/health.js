@@ -1,6 +1,7 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const { getModuleInfo } = require('../utils/routeLoader');
+const browserPool = require('../utils/browserPool');
 
 const router = express.Router();
 
@@ -16,6 +17,7 @@ router.get('/', (req, res) => {
       name: mongoose.connection.name || 'unknown',
     },
     memory: process.memoryUsage(),
+    browserPool: browserPool.getStats(),
     modules: getModuleInfo(),
   };
 
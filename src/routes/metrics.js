@@ -0,0 +1,38 @@
+const express = require('express');
+const crypto = require('crypto');
+const { register } = require('../utils/metrics');
+
+const router = express.Router();
+
+// Scrapers authenticate with METRICS_TOKEN as a bearer token, when it is set
+const isAuthorized = (req) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return true;
+
+  const provided = Buffer.from(
+    req.header('Authorization')?.replace('Bearer ', '') || ''
+  );
+  const expected = Buffer.from(token);
+  return (
+    provided.length === expected.length &&
+    crypto.timingSafeEqual(provided, expected)
+  );
+};
+
+router.get('/', async (req, res, next) => {
+  if (!isAuthorized(req)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid metrics token',
+    });
+  }
+
+  try {
+    res.set('Content-Type', register.contentType);
+    res.send(await register.metrics());
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
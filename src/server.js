@@ -4,6 +4,11 @@ loadEnvConfig();
 const app = require('./app');
 const connectDB = require('./config/database');
 const { startSessionCleanup } = require('./utils/sessionCleanup');
+const {
+  startAnalysisWorker,
+  stopAnalysisWorker,
+} = require('./utils/analysisWorker');
+const browserPool = require('./utils/browserPool');
 
 const PORT = process.env.PORT || 5001;
 
@@ -13,6 +18,9 @@ connectDB();
 // Start session cleanup scheduler (runs every hour)
 startSessionCleanup();
 
+// Start the asynchronous job analysis worker
+startAnalysisWorker();
+
 // Start server
 const server = app.listen(PORT, () => {
   console.log(`🚀 Server is running on port ${PORT}`);
@@ -37,7 +45,9 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM received. Shutting down gracefully...');
-  server.close(() => {
+  stopAnalysisWorker();
+  server.close(async () => {
+    await browserPool.shutdown();
     console.log('✅ Process terminated');
   });
 });
@@ -0,0 +1,133 @@
+const os = require('os');
+const AnalysisTask = require('../modules/job-match/analysis-task.model');
+const jobMatchService = require('../modules/job-match/job-match.service');
+
+/**
+ * Background worker for asynchronous job match analyses
+ * Claims queued AnalysisTask documents from MongoDB, so queued work survives restarts
+ */
+
+const workerId = `${os.hostname()}:${process.pid}`;
+
+let timer = null;
+let polling = false;
+let activeTasks = 0;
+let maxConcurrency = 2;
+
+// Client errors (bad URL, page not scrapable, user gone) won't succeed on retry
+const isRetryable = (error) =>
+  !error.statusCode || error.statusCode >= 500 || error.statusCode === 429;
+
+/**
+ * Run a single claimed task and record its outcome
+ */
+const runTask = async (task) => {
+  try {
+    await jobMatchService.processAnalysisTask(task);
+    await AnalysisTask.markCompleted(task._id);
+  } catch (error) {
+    console.error(
+      `❌ Analysis task ${task._id} failed (attempt ${task.attempts}/${task.maxAttempts}):`,
+      error.message
+    );
+    const updated = await AnalysisTask.markFailed(
+      task,
+      error,
+      isRetryable(error)
+    );
+    await jobMatchService.recordAnalysisTaskFailure(
+      task.jobMatchId,
+      error,
+      updated.status === 'failed',
+      task.batchId
+    );
+  }
+};
+
+/**
+ * Fail tasks whose worker died on their last attempt, and their job matches with them
+ */
+const failAbandonedTasks = async () => {
+  let task;
+  while ((task = await AnalysisTask.failNextAbandoned())) {
+    console.error(
+      `❌ Analysis task ${task._id} abandoned after ${task.attempts} attempts`
+    );
+    await jobMatchService.recordAnalysisTaskFailure(
+      task.jobMatchId,
+      new Error(task.lastError),
+      true,
+      task.batchId
+    );
+  }
+};
+
+/**
+ * Claim and start tasks until the concurrency limit is reached or the queue is empty
+ */
+const pollQueue = async () => {
+  if (polling) return;
+  polling = true;
+
+  try {
+    await failAbandonedTasks();
+
+    while (activeTasks < maxConcurrency) {
+      const task = await AnalysisTask.claimNext(workerId);
+      if (!task) break;
+
+      activeTasks++;
+      runTask(task)
+        .catch((error) =>
+          console.error(
+            '❌ Error recording analysis task result:',
+            error.message
+          )
+        )
+        .finally(() => {
+          activeTasks--;
+        });
+    }
+  } catch (error) {
+    console.error('❌ Error polling analysis queue:', error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Start the analysis worker
+ * @param {Object} options
+ * @param {number} options.concurrency - Maximum analyses processed at once
+ * @param {number} options.intervalMs - How often to poll the queue
+ */
+const startAnalysisWorker = ({
+  concurrency = parseInt(process.env.ANALYSIS_WORKER_CONCURRENCY) || 2,
+  intervalMs = parseInt(process.env.ANALYSIS_WORKER_INTERVAL_MS) || 2000,
+} = {}) => {
+  if (timer) return;
+
+  maxConcurrency = concurrency;
+  timer = setInterval(pollQueue, intervalMs);
+
+  console.log(
+    `✅ Analysis worker started (concurrency ${concurrency}, polling every ${intervalMs / 1000}s)`
+  );
+};
+
+/**
+ * Stop polling for new tasks. In-flight tasks keep running; if the process
+ * exits first they are reclaimed by another worker once their lock expires.
+ */
+const stopAnalysisWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startAnalysisWorker,
+  stopAnalysisWorker,
+  pollQueue,
+};
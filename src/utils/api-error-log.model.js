@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// How long logged errors are kept
+const RETENTION_DAYS = parseInt(process.env.ERROR_LOG_RETENTION_DAYS) || 30;
+
+// AI provider error recorded by apiMonitor (see utils/apiMonitor.js)
+const apiErrorLogSchema = new mongoose.Schema(
+  {
+    message: {
+      type: String,
+      required: true,
+    },
+    // HTTP status of the provider response, or of the AppError raised
+    status: {
+      type: Number,
+      default: null,
+    },
+    code: {
+      type: String,
+      default: null,
+    },
+    // What was being done, e.g. the LLM task type
+    operation: {
+      type: String,
+      default: null,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// MongoDB removes entries after the retention period
+apiErrorLogSchema.index(
+  { createdAt: -1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('ApiErrorLog', apiErrorLogSchema);
@@ -1,6 +1,9 @@
+const ApiErrorLog = require('./api-error-log.model');
+
 /**
  * API Usage Monitoring Utility
- * Tracks OpenAI API calls and provides usage statistics
+ * Tracks OpenAI API calls and provides usage statistics. Counters are per
+ * process; errors are also persisted (see api-error-log.model.js).
  */
 
 class APIMonitor {
@@ -39,8 +42,11 @@ class APIMonitor {
   /**
    * Record a failed API call
    * @param {Error} error - The error that occurred
+   * @param {Object} [context]
+   * @param {string} [context.operation] - What was being done, e.g. the LLM task type
+   * @param {string} [context.userId] - User the call was made for
    */
-  recordFailure(error) {
+  recordFailure(error, context = {}) {
     this.stats.failedCalls++;
     this.stats.lastError = new Date();
 
@@ -63,6 +69,17 @@ class APIMonitor {
 
     this.stats.errors.unshift(errorEntry);
 
+    // Persisted in the background; a failed write only loses the log entry
+    ApiErrorLog.create({
+      message: error.message || 'Unknown error',
+      status: error.status || error.statusCode || null,
+      code: typeof error.code === 'string' ? error.code : null,
+      operation: context.operation || null,
+      userId: context.userId || null,
+    }).catch((logError) => {
+      console.warn('Failed to persist API error:', logError.message);
+    });
+
     // Keep only last N errors
     if (this.stats.errors.length > this.maxErrors) {
       this.stats.errors = this.stats.errors.slice(0, this.maxErrors);
@@ -112,12 +129,22 @@ class APIMonitor {
   }
 
   /**
-   * Get recent errors
+   * Get recent errors from the persisted log (from this process's memory if
+   * the database can't be read)
    * @param {number} limit - Number of recent errors to return
-   * @returns {Array} - Recent error entries
+   * @returns {Promise<Array>} - Recent error entries, newest first
    */
-  getRecentErrors(limit = 10) {
-    return this.stats.errors.slice(0, limit);
+  async getRecentErrors(limit = 10) {
+    try {
+      return await ApiErrorLog.find()
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .select('-__v')
+        .lean();
+    } catch (error) {
+      console.warn('Failed to read the API error log:', error.message);
+      return this.stats.errors.slice(0, limit);
+    }
   }
 
   /**
@@ -0,0 +1,279 @@
+const puppeteer = require('puppeteer');
+const { isSafeUrl } = require('./safeFetch');
+const { puppeteerPageDuration } = require('./metrics');
+
+// Resource types that never help extract job details
+const BLOCKED_RESOURCE_TYPES = new Set(['image', 'media', 'font']);
+
+// Analytics/ad hosts whose requests are aborted
+const BLOCKED_HOSTS = [
+  'google-analytics.com',
+  'googletagmanager.com',
+  'doubleclick.net',
+  'googlesyndication.com',
+  'facebook.net',
+  'connect.facebook.com',
+  'hotjar.com',
+  'segment.io',
+  'segment.com',
+  'mixpanel.com',
+  'amplitude.com',
+  'fullstory.com',
+  'clarity.ms',
+  'bat.bing.com',
+  'ads.linkedin.com',
+  'snap.licdn.com',
+];
+
+const isBlockedHost = (url) => {
+  try {
+    const { hostname } = new URL(url);
+    return BLOCKED_HOSTS.some(
+      (host) => hostname === host || hostname.endsWith('.' + host)
+    );
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Shared Puppeteer browser with a bounded number of open pages
+ * Requests beyond the limit wait in a queue instead of launching more Chromium
+ */
+class BrowserPool {
+  constructor({
+    maxPages = parseInt(process.env.BROWSER_POOL_MAX_PAGES) || 3,
+    maxQueue = parseInt(process.env.BROWSER_POOL_MAX_QUEUE) || 20,
+    queueTimeout = parseInt(process.env.BROWSER_POOL_QUEUE_TIMEOUT_MS) || 30000,
+    pageTimeout = parseInt(process.env.BROWSER_POOL_PAGE_TIMEOUT_MS) || 45000,
+    // Chromium leaks memory over time, so it is relaunched periodically
+    maxPagesPerBrowser = parseInt(process.env.BROWSER_POOL_RECYCLE_AFTER) ||
+      100,
+  } = {}) {
+    this.maxPages = maxPages;
+    this.maxQueue = maxQueue;
+    this.queueTimeout = queueTimeout;
+    this.pageTimeout = pageTimeout;
+    this.maxPagesPerBrowser = maxPagesPerBrowser;
+
+    this.browser = null;
+    this.launching = null;
+    this.pagesSinceLaunch = 0;
+    this.activePages = 0;
+    this.queue = [];
+    this.closing = false;
+
+    this.stats = {
+      launches: 0,
+      pagesServed: 0,
+      pageTimeouts: 0,
+      queueRejections: 0,
+      blockedRequests: 0,
+      unsafeRequests: 0,
+    };
+  }
+
+  /**
+   * Get the shared browser, launching it on first use
+   */
+  async getBrowser() {
+    if (this.browser && this.browser.connected) {
+      return this.browser;
+    }
+
+    if (!this.launching) {
+      this.launching = puppeteer
+        .launch({
+          headless: true,
+          args: [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+          ],
+        })
+        .then((browser) => {
+          this.browser = browser;
+          this.pagesSinceLaunch = 0;
+          this.stats.launches++;
+          browser.on('disconnected', () => {
+            if (this.browser === browser) this.browser = null;
+          });
+          return browser;
+        })
+        .finally(() => {
+          this.launching = null;
+        });
+    }
+
+    return this.launching;
+  }
+
+  /**
+   * Wait for a free page slot
+   */
+  acquireSlot() {
+    if (this.closing) {
+      return Promise.reject(new Error('Browser pool is shutting down'));
+    }
+
+    if (this.activePages < this.maxPages) {
+      this.activePages++;
+      return Promise.resolve();
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      this.stats.queueRejections++;
+      return Promise.reject(
+        new Error('Too many pages are being scraped, please try again shortly')
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.queue = this.queue.filter((item) => item !== waiter);
+        this.stats.queueRejections++;
+        reject(new Error('Timed out waiting for a free browser page'));
+      }, this.queueTimeout);
+      this.queue.push(waiter);
+    });
+  }
+
+  /**
+   * Hand a released slot to the next waiter, or free it
+   */
+  releaseSlot() {
+    const next = this.queue.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve();
+      return;
+    }
+
+    this.activePages--;
+
+    // Relaunch an old browser once nothing is using it
+    if (
+      this.activePages === 0 &&
+      this.browser &&
+      this.pagesSinceLaunch >= this.maxPagesPerBrowser
+    ) {
+      const browser = this.browser;
+      this.browser = null;
+      browser.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Block images, fonts, media, known trackers and requests to internal
+   * addresses (redirects and subresources included)
+   */
+  async configurePage(page) {
+    await page.setRequestInterception(true);
+    page.on('request', async (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+
+      const url = request.url();
+      const inline = url.startsWith('data:') || url.startsWith('blob:');
+
+      if (
+        BLOCKED_RESOURCE_TYPES.has(request.resourceType()) ||
+        isBlockedHost(url)
+      ) {
+        this.stats.blockedRequests++;
+        request.abort();
+        return;
+      }
+
+      if (!inline && !(await isSafeUrl(url))) {
+        this.stats.unsafeRequests++;
+        request.abort('accessdenied');
+        return;
+      }
+
+      request.continue();
+    });
+
+    page.setDefaultTimeout(this.pageTimeout);
+    page.setDefaultNavigationTimeout(this.pageTimeout);
+  }
+
+  /**
+   * Run a function with a pooled page, closing the page afterwards
+   * @param {Function} fn - Async function receiving the Puppeteer page
+   * @returns {Promise<*>} - Whatever fn resolves to
+   */
+  async withPage(fn) {
+    await this.acquireSlot();
+
+    let page;
+    let timer;
+    let outcome = 'failure';
+    const stopTimer = puppeteerPageDuration.startTimer();
+    try {
+      const browser = await this.getBrowser();
+      page = await browser.newPage();
+      this.pagesSinceLaunch++;
+      this.stats.pagesServed++;
+      await this.configurePage(page);
+
+      // Hard limit for the whole job, not just individual navigations
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          this.stats.pageTimeouts++;
+          outcome = 'timeout';
+          reject(new Error(`Page timed out after ${this.pageTimeout / 1000}s`));
+        }, this.pageTimeout);
+      });
+
+      const result = await Promise.race([fn(page), timeout]);
+      outcome = 'success';
+      return result;
+    } finally {
+      clearTimeout(timer);
+      stopTimer({ outcome });
+      if (page) {
+        await page.close().catch(() => {});
+      }
+      this.releaseSlot();
+    }
+  }
+
+  /**
+   * Pool utilisation, reported on /api/health
+   */
+  getStats() {
+    return {
+      browserConnected: Boolean(this.browser && this.browser.connected),
+      activePages: this.activePages,
+      maxPages: this.maxPages,
+      queued: this.queue.length,
+      maxQueue: this.maxQueue,
+      ...this.stats,
+    };
+  }
+
+  /**
+   * Reject queued requests and close the browser
+   */
+  async shutdown() {
+    this.closing = true;
+
+    for (const waiter of this.queue.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is shutting down'));
+    }
+
+    const browser = this.browser || (await this.launching?.catch(() => null));
+    this.browser = null;
+    if (browser) {
+      await browser.close().catch(() => {});
+    }
+  }
+}
+
+// Create singleton instance
+const browserPool = new BrowserPool();
+
+module.exports = browserPool;
+module.exports.BrowserPool = BrowserPool;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Cached AI response (see utils/cache/stores/mongo.store.js)
+const cacheEntrySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // LLM task type the response belongs to
+    namespace: {
+      type: String,
+      required: true,
+    },
+    // User the response was generated for, so it can be purged
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// MongoDB removes entries once expiresAt has passed
+cacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+cacheEntrySchema.index({ userId: 1 });
+
+module.exports = mongoose.model('CacheEntry', cacheEntrySchema);
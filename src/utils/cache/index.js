@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const cacheConfig = require('../../config/cache');
+const metrics = require('../metrics');
+const MemoryStore = require('./stores/memory.store');
+const MongoStore = require('./stores/mongo.store');
+const RedisStore = require('./stores/redis.store');
+
+/**
+ * AI response cache
+ * Entries are grouped by namespace (the LLM task type) and tagged with the
+ * user they were generated for. Values must be JSON-serialisable. A failing
+ * backend never fails the request: reads count as misses and writes are skipped.
+ */
+
+const storeClasses = {
+  memory: MemoryStore,
+  mongo: MongoStore,
+  redis: RedisStore,
+};
+
+let store = null;
+
+// Hit/miss counters per namespace, since the process started
+const counts = {};
+
+// Prometheus outcome label for each counter
+const OUTCOMES = { hits: 'hit', misses: 'miss', errors: 'error' };
+
+const record = (namespace, outcome) => {
+  counts[namespace] = counts[namespace] || { hits: 0, misses: 0, errors: 0 };
+  counts[namespace][outcome]++;
+  metrics.aiCacheRequests.inc({ namespace, outcome: OUTCOMES[outcome] });
+};
+
+/**
+ * The configured store, created on first use
+ * @returns {Object}
+ */
+const getStore = () => {
+  if (!store) {
+    const StoreClass = storeClasses[cacheConfig.driver];
+    if (!StoreClass) {
+      throw new Error(`Unknown cache driver: ${cacheConfig.driver}`);
+    }
+    store = new StoreClass(cacheConfig.stores[cacheConfig.driver]);
+  }
+  return store;
+};
+
+/**
+ * Build a cache key from everything that determines a response
+ * @param {...*} parts - JSON-serialisable values (user ID, model, prompt messages...)
+ * @returns {string} - sha256 hex digest
+ */
+const key = (...parts) =>
+  crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+
+/**
+ * Get a cached value
+ * @param {string} namespace - Namespace (LLM task type)
+ * @param {string} cacheKey - Key from key()
+ * @returns {Promise<*|null>} - The value, or null on a miss
+ */
+const get = async (namespace, cacheKey) => {
+  try {
+    const value = await getStore().get(`${namespace}:${cacheKey}`);
+    record(namespace, value == null ? 'misses' : 'hits');
+    return value;
+  } catch (error) {
+    console.warn(`AI cache read failed (${namespace}):`, error.message);
+    record(namespace, 'errors');
+    record(namespace, 'misses');
+    return null;
+  }
+};
+
+/**
+ * Cache a value
+ * @param {string} namespace - Namespace (LLM task type)
+ * @param {string} cacheKey - Key from key()
+ * @param {*} value - Value to cache
+ * @param {Object} [options]
+ * @param {string} [options.userId] - User the value was generated for
+ * @param {number} [options.ttl] - Milliseconds (default: config/cache.js for the namespace)
+ */
+const set = async (namespace, cacheKey, value, options = {}) => {
+  try {
+    await getStore().set(`${namespace}:${cacheKey}`, value, {
+      ttl: options.ttl || cacheConfig.getTtl(namespace),
+      userId: options.userId || null,
+      namespace,
+    });
+  } catch (error) {
+    console.warn(`AI cache write failed (${namespace}):`, error.message);
+    record(namespace, 'errors');
+  }
+};
+
+/**
+ * Return the cached value, or compute and cache it
+ * @param {string} namespace - Namespace (LLM task type)
+ * @param {string} cacheKey - Key from key()
+ * @param {Function} compute - Async function producing the value on a miss
+ * @param {Object} [options] - set() options, plus:
+ * @param {boolean} [options.refresh] - Skip the lookup and replace the cached value
+ * @returns {Promise<*>}
+ */
+const wrap = async (namespace, cacheKey, compute, options = {}) => {
+  if (!options.refresh) {
+    const cached = await get(namespace, cacheKey);
+    if (cached != null) return cached;
+  }
+
+  const value = await compute();
+  await set(namespace, cacheKey, value, options);
+  return value;
+};
+
+/**
+ * Remove every entry generated for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Entries removed
+ */
+const purgeUser = (userId) => getStore().deleteByUser(String(userId));
+
+/**
+ * Remove every entry
+ */
+const clear = () => getStore().clear();
+
+/**
+ * Backend details and hit/miss counts per namespace
+ * @returns {Promise<Object>}
+ */
+const getStats = async () => {
+  const namespaces = Object.fromEntries(
+    Object.entries(counts).map(([namespace, namespaceCounts]) => {
+      const lookups = namespaceCounts.hits + namespaceCounts.misses;
+      return [
+        namespace,
+        {
+          ...namespaceCounts,
+          // Percentage of lookups served from the cache
+          hitRate: lookups
+            ? Math.round((namespaceCounts.hits / lookups) * 1000) / 10
+            : null,
+        },
+      ];
+    })
+  );
+
+  let backend;
+  try {
+    backend = await getStore().getStats();
+  } catch (error) {
+    backend = { error: error.message };
+  }
+
+  return {
+    driver: getStore().name,
+    defaultTtl: cacheConfig.defaultTtl,
+    ...backend,
+    namespaces,
+  };
+};
+
+module.exports = {
+  key,
+  get,
+  set,
+  wrap,
+  purgeUser,
+  clear,
+  getStats,
+};
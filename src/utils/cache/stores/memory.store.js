@@ -0,0 +1,71 @@
+/**
+ * In-process cache store. Lost on restart and not shared between instances;
+ * meant for tests and single-instance development.
+ */
+class MemoryStore {
+  constructor(config = {}) {
+    this.name = 'memory';
+    this.maxEntries = config.maxEntries || 1000;
+    this.entries = new Map();
+
+    // Sweep expired entries every 10 minutes, without keeping the process alive
+    this.sweeper = setInterval(() => this.clearExpired(), 10 * 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (Date.now() > entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Copies, so callers can't change what is cached
+    return structuredClone(entry.value);
+  }
+
+  async set(key, value, { ttl, userId = null, namespace = null }) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value: structuredClone(value),
+      expiresAt: Date.now() + ttl,
+      userId: userId && String(userId),
+      namespace,
+    });
+
+    // Maps keep insertion order, so the first entry is the oldest
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async deleteByUser(userId) {
+    let deleted = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.userId === String(userId)) {
+        this.entries.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  clearExpired() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (now > entry.expiresAt) this.entries.delete(key);
+    }
+  }
+
+  async getStats() {
+    return { entries: this.entries.size, maxEntries: this.maxEntries };
+  }
+}
+
+module.exports = MemoryStore;
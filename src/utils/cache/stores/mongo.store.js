@@ -0,0 +1,49 @@
+const CacheEntry = require('../cache-entry.model');
+
+/**
+ * Cache store in a MongoDB collection with a TTL index. Shared between
+ * instances and kept across restarts.
+ */
+class MongoStore {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  async get(key) {
+    // The TTL monitor only runs once a minute, so expiry is checked here too
+    const entry = await CacheEntry.findOne({
+      key,
+      expiresAt: { $gt: new Date() },
+    }).lean();
+
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, { ttl, userId = null, namespace }) {
+    await CacheEntry.updateOne(
+      { key },
+      {
+        namespace,
+        userId,
+        value,
+        expiresAt: new Date(Date.now() + ttl),
+      },
+      { upsert: true }
+    );
+  }
+
+  async deleteByUser(userId) {
+    const result = await CacheEntry.deleteMany({ userId });
+    return result.deletedCount;
+  }
+
+  async clear() {
+    await CacheEntry.deleteMany({});
+  }
+
+  async getStats() {
+    return { entries: await CacheEntry.estimatedDocumentCount() };
+  }
+}
+
+module.exports = MongoStore;
@@ -0,0 +1,80 @@
+/**
+ * Cache store in Redis. Entries expire with Redis' own TTLs; a set per user
+ * lists their keys so they can be purged.
+ */
+class RedisStore {
+  constructor(config) {
+    this.name = 'redis';
+    this.keyPrefix = config.keyPrefix;
+
+    // Only needed with CACHE_DRIVER=redis
+    const Redis = require('ioredis');
+    this.client = new Redis(config.url, { maxRetriesPerRequest: 2 });
+    this.client.on('error', (error) => {
+      console.error('❌ Redis cache error:', error.message);
+    });
+  }
+
+  entryKey(key) {
+    return `${this.keyPrefix}${key}`;
+  }
+
+  userKey(userId) {
+    return `${this.keyPrefix}user:${userId}`;
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.entryKey(key));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, value, { ttl, userId = null }) {
+    const transaction = this.client
+      .multi()
+      .set(this.entryKey(key), JSON.stringify(value), 'PX', ttl);
+
+    if (userId) {
+      // The user's key list lives as long as their longest-lived entry
+      // (NX sets the first expiry, GT only ever extends it; Redis 7+)
+      transaction
+        .sadd(this.userKey(userId), this.entryKey(key))
+        .pexpire(this.userKey(userId), ttl, 'NX')
+        .pexpire(this.userKey(userId), ttl, 'GT');
+    }
+
+    await transaction.exec();
+  }
+
+  async deleteByUser(userId) {
+    const keys = await this.client.smembers(this.userKey(userId));
+    if (!keys.length) return 0;
+
+    const [[, deleted]] = await this.client
+      .multi()
+      .del(...keys)
+      .del(this.userKey(userId))
+      .exec();
+    return deleted;
+  }
+
+  async clear() {
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.client.scan(
+        cursor,
+        'MATCH',
+        `${this.keyPrefix}*`,
+        'COUNT',
+        500
+      );
+      if (keys.length) await this.client.del(...keys);
+      cursor = next;
+    } while (cursor !== '0');
+  }
+
+  async getStats() {
+    return { status: this.client.status };
+  }
+}
+
+module.exports = RedisStore;
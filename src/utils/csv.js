@@ -0,0 +1,98 @@
+/**
+ * Minimal CSV parsing and writing (RFC 4180: quoted fields, escaped quotes, CRLF)
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV content
+ * @param {string} [delimiter] - Field delimiter
+ * @returns {Array<Array<string>>}
+ */
+const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Excel prefixes UTF-8 exports with a byte order mark
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by header
+ * @param {string} text - CSV content
+ * @returns {Array<Object>} - One object per data row; headers are trimmed and lowercased
+ */
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map((key) => key.trim().toLowerCase());
+
+  return rows.map((fields) =>
+    Object.fromEntries(
+      keys.map((key, index) => [key, (fields[index] || '').trim()])
+    )
+  );
+};
+
+/**
+ * Format one CSV line
+ * @param {Array} values - Field values (null and undefined become empty fields)
+ * @returns {string} - Line ending in CRLF
+ */
+const toCsvRow = (values) =>
+  values
+    .map((value) => {
+      let field = value == null ? '' : String(value);
+      // Spreadsheets run fields starting with these as formulas
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(field)) {
+        field = `'${field}`;
+      }
+      return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+    })
+    .join(',') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsvRow,
+};
@@ -13,7 +13,7 @@ function getKey() {
 }
 
 /**
- * Encrypts a numeric value.
+ * Encrypts a value (numbers are stored as their string form).
  * Returns a string in the format: <iv_hex>:<authTag_hex>:<ciphertext_hex>
  */
 function encrypt(value) {
@@ -29,9 +29,9 @@ function encrypt(value) {
 
 /**
  * Decrypts a value produced by encrypt().
- * Returns the original number.
+ * Returns the original value as a string.
  */
-function decrypt(encryptedValue) {
+function decryptString(encryptedValue) {
   const parts = encryptedValue.split(':');
   if (parts.length !== 3) throw new Error('Invalid encrypted value format');
   const [ivHex, authTagHex, dataHex] = parts;
@@ -45,7 +45,15 @@ function decrypt(encryptedValue) {
     decipher.update(Buffer.from(dataHex, 'hex')),
     decipher.final(),
   ]);
-  return Number(decrypted.toString('utf8'));
+  return decrypted.toString('utf8');
+}
+
+/**
+ * Decrypts a numeric value produced by encrypt().
+ * Returns the original number.
+ */
+function decrypt(encryptedValue) {
+  return Number(decryptString(encryptedValue));
 }
 
 /**
@@ -55,4 +63,4 @@ function isEncrypted(value) {
   return typeof value === 'string' && value.split(':').length === 3;
 }
 
-module.exports = { encrypt, decrypt, isEncrypted };
+module.exports = { encrypt, decrypt, decryptString, isEncrypted };
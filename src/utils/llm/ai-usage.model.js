@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// One LLM call, for per-user usage accounting and quotas (see utils/llm/usage.js)
+const aiUsageSchema = new mongoose.Schema(
+  {
+    // User the call was made for (null for calls not made on a user's behalf)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Feature that triggered the call (defaults to the task type)
+    feature: {
+      type: String,
+      required: true,
+    },
+    task: {
+      type: String,
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    model: {
+      type: String,
+      required: true,
+    },
+    promptTokens: {
+      type: Number,
+      default: 0,
+    },
+    completionTokens: {
+      type: Number,
+      default: 0,
+    },
+    totalTokens: {
+      type: Number,
+      default: 0,
+    },
+    // Estimated cost in USD (null when the model's pricing is unknown)
+    cost: {
+      type: Number,
+      default: null,
+    },
+    streamed: {
+      type: Boolean,
+      default: false,
+    },
+    // Token counts were estimated from the text because the provider did not report them
+    estimated: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+aiUsageSchema.index({ userId: 1, createdAt: -1 });
+
+// Static method to total a user's usage since a date, per feature, with the
+// part since `dayStart` counted separately
+aiUsageSchema.statics.summarize = function (userId, since, dayStart) {
+  const today = (value) => ({
+    $cond: [{ $gte: ['$createdAt', dayStart] }, value, 0],
+  });
+
+  return this.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        createdAt: { $gte: since },
+      },
+    },
+    {
+      $group: {
+        _id: '$feature',
+        requests: { $sum: 1 },
+        tokens: { $sum: '$totalTokens' },
+        cost: { $sum: { $ifNull: ['$cost', 0] } },
+        dailyRequests: { $sum: today(1) },
+        dailyTokens: { $sum: today('$totalTokens') },
+        dailyCost: { $sum: today({ $ifNull: ['$cost', 0] }) },
+      },
+    },
+    { $sort: { tokens: -1 } },
+  ]);
+};
+
+module.exports = mongoose.model('AiUsage', aiUsageSchema);
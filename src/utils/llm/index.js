@@ -0,0 +1,237 @@
+const llmConfig = require('../../config/llm');
+const { retryWithBackoff } = require('../retryWithBackoff');
+const apiMonitor = require('../apiMonitor');
+const metrics = require('../metrics');
+const usage = require('./usage');
+const OpenAIProvider = require('./providers/openai.provider');
+const AzureOpenAIProvider = require('./providers/azure-openai.provider');
+const AnthropicProvider = require('./providers/anthropic.provider');
+const OpenAICompatibleProvider = require('./providers/openai-compatible.provider');
+const FakeProvider = require('./providers/fake.provider');
+
+/**
+ * LLM provider layer
+ * Routes each task type to the provider/model configured in config/llm.js and
+ * records every call for usage accounting (see usage.js)
+ */
+
+const providerClasses = {
+  openai: OpenAIProvider,
+  'azure-openai': AzureOpenAIProvider,
+  anthropic: AnthropicProvider,
+  local: OpenAICompatibleProvider,
+  fake: FakeProvider,
+};
+
+// Provider instances are created on first use and shared across tasks
+const instances = {};
+
+/**
+ * Get a provider instance by name
+ * @param {string} name - Provider name (openai, azure-openai, anthropic, local, fake)
+ * @returns {Object} - Provider instance
+ */
+const getProviderByName = (name) => {
+  if (!instances[name]) {
+    const ProviderClass = providerClasses[name];
+    if (!ProviderClass) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    instances[name] = new ProviderClass(llmConfig.providers[name]);
+  }
+  return instances[name];
+};
+
+/**
+ * Resolve the provider and model configured for a task type
+ * @param {string} task - Task type (see config/llm.js)
+ * @returns {{ provider: Object, model: string }}
+ */
+const resolveTask = (task) => {
+  const taskConfig = llmConfig.tasks[task];
+  if (!taskConfig) {
+    throw new Error(`Unknown LLM task type: ${task}`);
+  }
+
+  const provider = getProviderByName(taskConfig.provider);
+  return { provider, model: taskConfig.model || provider.defaultModel };
+};
+
+// Retry on rate limit errors (429) or network errors
+const isRetryableError = (error) =>
+  error?.response?.status === 429 ||
+  error?.status === 429 ||
+  error?.code === 'ECONNRESET' ||
+  error?.code === 'ETIMEDOUT' ||
+  error?.message?.includes('429') ||
+  error?.message?.includes('quota') ||
+  error?.message?.includes('rate limit');
+
+// Prometheus metrics for a finished call (see utils/metrics.js)
+const observeCall = (labels, stopTimer, outcome, tokens) => {
+  stopTimer({ outcome });
+  metrics.llmRequests.inc({ ...labels, outcome });
+  if (tokens) {
+    metrics.llmTokens.inc({ ...labels, type: 'prompt' }, tokens.promptTokens);
+    metrics.llmTokens.inc(
+      { ...labels, type: 'completion' },
+      tokens.completionTokens
+    );
+  }
+};
+
+/**
+ * Run a chat completion for a task type, with retry logic
+ * @param {string} task - Task type (see config/llm.js)
+ * @param {Object} request
+ * @param {Array} request.messages - Chat messages ({ role, content })
+ * @param {boolean} [request.json] - Ask for a JSON object response
+ * @param {string} [request.userId] - User the call is made for: checked against their quota and charged for it
+ * @param {string} [request.feature] - Feature the call is recorded under (default: the task type)
+ * @param {Object} [retryOptions] - Overrides for retryWithBackoff
+ * @returns {Promise<Object>} - { content, provider, model, usage }
+ */
+const createChatCompletion = async (task, request, retryOptions = {}) => {
+  const { provider, model } = resolveTask(task);
+  const { userId, feature = task, ...providerRequest } = request;
+
+  if (userId) {
+    await usage.assertWithinQuota(userId);
+  }
+
+  const labels = { provider: provider.name, task };
+  const stopTimer = metrics.llmRequestDuration.startTimer(labels);
+
+  let result;
+  try {
+    result = await retryWithBackoff(
+      () => provider.complete({ ...providerRequest, model, task }),
+      {
+        maxRetries: 3,
+        baseDelay: 2000, // Start with 2 seconds
+        maxDelay: 30000, // Max 30 seconds between retries
+        shouldRetry: (error) => {
+          // Track retry attempts
+          apiMonitor.recordRetry();
+          metrics.llmRetries.inc(labels);
+          return isRetryableError(error);
+        },
+        ...retryOptions,
+      }
+    );
+  } catch (error) {
+    observeCall(labels, stopTimer, 'failure');
+    throw error;
+  }
+  observeCall(labels, stopTimer, 'success', result.usage);
+
+  await usage.record({
+    userId,
+    feature,
+    task,
+    provider: provider.name,
+    model: result.model,
+    usage: result.usage,
+  });
+
+  return { ...result, provider: provider.name };
+};
+
+/**
+ * Stream a chat completion for a task type. Not retried: once text has been
+ * sent on to the client a retry would duplicate it.
+ * @param {string} task - Task type (see config/llm.js)
+ * @param {Object} request
+ * @param {Array} request.messages - Chat messages ({ role, content })
+ * @param {string} [request.userId] - See createChatCompletion()
+ * @param {string} [request.feature] - See createChatCompletion()
+ * @yields {string} - Text deltas as the model produces them
+ */
+async function* streamChatCompletion(task, request) {
+  const { provider, model } = resolveTask(task);
+  const { userId, feature = task, ...providerRequest } = request;
+
+  if (userId) {
+    await usage.assertWithinQuota(userId);
+  }
+
+  const labels = { provider: provider.name, task };
+  const stopTimer = metrics.llmRequestDuration.startTimer(labels);
+  const stream = provider.stream({ ...providerRequest, model, task });
+  let output = '';
+  let reported;
+  let done = false;
+  let failed = false;
+
+  try {
+    while (!done) {
+      const next = await stream.next();
+      done = next.done;
+      if (done) {
+        reported = next.value;
+      } else {
+        output += next.value;
+        yield next.value;
+      }
+    }
+  } catch (error) {
+    failed = true;
+    throw error;
+  } finally {
+    // The consumer stopped early (e.g. the client went away)
+    if (!done && !failed) {
+      await stream.return();
+    }
+
+    // Tokens were spent even if the stream failed or was cut short; estimate
+    // them when the provider did not report usage
+    const tokens = reported || {
+      promptTokens: usage.estimateTokens(
+        providerRequest.messages.map((message) => message.content).join('\n')
+      ),
+      completionTokens: usage.estimateTokens(output),
+    };
+    observeCall(
+      labels,
+      stopTimer,
+      failed ? 'failure' : done ? 'success' : 'aborted',
+      tokens
+    );
+    await usage.record({
+      userId,
+      feature,
+      task,
+      provider: provider.name,
+      model,
+      usage: tokens,
+      streamed: true,
+      estimated: !reported,
+    });
+  }
+}
+
+/**
+ * The provider and model a task type is routed to, e.g. as part of a cache key
+ * @param {string} task - Task type
+ * @returns {{ provider: string, model: string }}
+ */
+const getTaskRoute = (task) => {
+  const { provider, model } = resolveTask(task);
+  return { provider: provider.name, model };
+};
+
+/**
+ * Whether the provider configured for a task type has its credentials
+ * @param {string} task - Task type
+ * @returns {boolean}
+ */
+const isConfigured = (task) => resolveTask(task).provider.isConfigured();
+
+module.exports = {
+  createChatCompletion,
+  streamChatCompletion,
+  getProviderByName,
+  resolveTask,
+  getTaskRoute,
+  isConfigured,
+};
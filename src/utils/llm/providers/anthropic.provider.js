@@ -0,0 +1,163 @@
+const axios = require('axios');
+
+/**
+ * Provider for the Anthropic Messages API
+ */
+class AnthropicProvider {
+  constructor(config) {
+    this.name = 'anthropic';
+    this.config = config;
+    this.defaultModel = config.model;
+  }
+
+  isConfigured() {
+    return !!this.config.apiKey;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request
+   * @param {Array} request.messages - Chat messages ({ role, content })
+   * @param {string} request.model - Model to use
+   * @param {boolean} [request.json] - Ask for a JSON object response
+   * @returns {Promise<Object>} - { content, model, usage }
+   */
+  async complete({ messages, model, json = false }) {
+    // Anthropic takes the system prompt separately from the conversation
+    const system = messages
+      .filter((message) => message.role === 'system')
+      .map((message) => message.content)
+      .join('\n\n');
+    const conversation = messages.filter(
+      (message) => message.role !== 'system'
+    );
+
+    // There is no JSON mode, so prefill the reply with an opening brace
+    if (json) {
+      conversation.push({ role: 'assistant', content: '{' });
+    }
+
+    try {
+      const response = await axios.post(
+        `${this.config.baseURL}/v1/messages`,
+        {
+          model,
+          max_tokens: this.config.maxTokens,
+          ...(system && { system }),
+          messages: conversation,
+        },
+        {
+          headers: {
+            'x-api-key': this.config.apiKey,
+            'anthropic-version': '2023-06-01',
+            'content-type': 'application/json',
+          },
+          timeout: 120000,
+        }
+      );
+
+      const text = response.data.content
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('');
+
+      return {
+        content: json ? `{${text}` : text,
+        model: response.data.model || model,
+        usage: {
+          promptTokens: response.data.usage?.input_tokens || 0,
+          completionTokens: response.data.usage?.output_tokens || 0,
+        },
+      };
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Stream a chat completion
+   * @param {Object} request - Same as complete(), without `json`
+   * @yields {string} - Text deltas as the model produces them
+   * @returns {Promise<Object>} - Usage ({ promptTokens, completionTokens })
+   */
+  async *stream({ messages, model }) {
+    const system = messages
+      .filter((message) => message.role === 'system')
+      .map((message) => message.content)
+      .join('\n\n');
+
+    let response;
+    try {
+      response = await axios.post(
+        `${this.config.baseURL}/v1/messages`,
+        {
+          model,
+          max_tokens: this.config.maxTokens,
+          stream: true,
+          ...(system && { system }),
+          messages: messages.filter((message) => message.role !== 'system'),
+        },
+        {
+          headers: {
+            'x-api-key': this.config.apiKey,
+            'anthropic-version': '2023-06-01',
+            'content-type': 'application/json',
+          },
+          responseType: 'stream',
+          timeout: 120000,
+        }
+      );
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+
+    // Server-sent events: only `data:` lines of content_block_delta events carry
+    // text; message_start and message_delta carry the token usage
+    const usage = { promptTokens: 0, completionTokens: 0 };
+    let buffer = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+
+        const event = JSON.parse(line.slice(5).trim());
+        if (event.type === 'content_block_delta' && event.delta?.text) {
+          yield event.delta.text;
+        }
+        if (event.type === 'message_start') {
+          usage.promptTokens = event.message?.usage?.input_tokens || 0;
+        }
+        if (event.type === 'message_delta' && event.usage) {
+          usage.completionTokens = event.usage.output_tokens || 0;
+        }
+        if (event.type === 'error') {
+          throw new Error(event.error?.message || 'Anthropic stream error');
+        }
+      }
+    }
+
+    return usage;
+  }
+
+  /**
+   * Give HTTP errors the same status/code shape the OpenAI SDK errors have
+   */
+  normalizeError(error) {
+    if (!error.response) {
+      return error;
+    }
+
+    const apiError = error.response.data?.error || {};
+    const normalized = new Error(
+      `${error.response.status} ${apiError.message || error.message}`
+    );
+    normalized.status = error.response.status;
+    normalized.code = apiError.type;
+    return normalized;
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,26 @@
+const { AzureOpenAI } = require('openai');
+const OpenAIProvider = require('./openai.provider');
+
+/**
+ * Provider for Azure OpenAI deployments
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(config) {
+    super(config, 'azure-openai');
+  }
+
+  isConfigured() {
+    return !!(this.config.apiKey && this.config.endpoint && this.config.model);
+  }
+
+  createClient() {
+    return new AzureOpenAI({
+      apiKey: this.config.apiKey,
+      endpoint: this.config.endpoint,
+      apiVersion: this.config.apiVersion,
+      deployment: this.config.model,
+    });
+  }
+}
+
+module.exports = AzureOpenAIProvider;
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+
+/**
+ * Deterministic provider for tests and offline development.
+ * Returns canned, schema-valid responses per task type; the same prompt always
+ * produces the same response. Tests can queue exact responses with enqueueResponse().
+ */
+class FakeProvider {
+  constructor(config) {
+    this.name = 'fake';
+    this.config = config;
+    this.defaultModel = config.model;
+    this.queued = {};
+    this.calls = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Queue a raw response to return for the next call of a task type
+   * @param {string} task - Task type
+   * @param {string} content - Raw model output to return
+   */
+  enqueueResponse(task, content) {
+    this.queued[task] = this.queued[task] || [];
+    this.queued[task].push(content);
+  }
+
+  /**
+   * Clear queued responses and recorded calls
+   */
+  reset() {
+    this.queued = {};
+    this.calls = [];
+  }
+
+  async complete({ messages, model, task }) {
+    this.calls.push({ task, messages });
+
+    const prompt = messages.map((message) => message.content).join('\n');
+    const content = this.queued[task]?.length
+      ? this.queued[task].shift()
+      : this.buildResponse(task, this.seed(prompt), prompt);
+
+    return {
+      content,
+      model,
+      usage: {
+        promptTokens: Math.ceil(prompt.length / 4),
+        completionTokens: Math.ceil(content.length / 4),
+      },
+    };
+  }
+
+  /**
+   * Stream the same response complete() would return, in small chunks
+   */
+  async *stream(request) {
+    const { content, usage } = await this.complete(request);
+
+    for (let i = 0; i < content.length; i += 16) {
+      yield content.slice(i, i + 16);
+    }
+
+    return usage;
+  }
+
+  /**
+   * Stable number in [0, 1000) derived from the prompt
+   */
+  seed(prompt) {
+    const hash = crypto.createHash('sha256').update(prompt).digest();
+    return hash.readUInt32BE(0) % 1000;
+  }
+
+  buildResponse(task, seed, prompt = '') {
+    const score = (offset) => 40 + ((seed + offset) % 56);
+
+    const responses = {
+      analysis: () =>
+        JSON.stringify({
+          matchingPercentage: score(0),
+          strengths: ['Relevant technical skills', 'Solid work history'],
+          areasToImprove: ['Limited domain exposure', 'No certifications'],
+          resumeFeedback: ['Quantify achievements with metrics'],
+          detailedAnalysis:
+            'Deterministic analysis generated by the fake LLM provider.',
+          scoreBreakdown: {
+            skills: { score: score(1), justification: 'Fake skills score.' },
+            experience: {
+              score: score(2),
+              justification: 'Fake experience score.',
+            },
+            education: {
+              score: score(3),
+              justification: 'Fake education score.',
+            },
+            softSkills: {
+              score: score(4),
+              justification: 'Fake soft skills score.',
+            },
+          },
+        }),
+
+      jobSpecificDetails: () =>
+        [
+          'JOB_SPECIFIC_MESSAGE:',
+          'Hi, I am interested in this role and would love to connect.',
+          '',
+          'JOB_SPECIFIC_EMAIL:',
+          'Subject: Application for the role',
+          '',
+          'Dear Hiring Manager, please find my application attached.',
+          '',
+          'JOB_SPECIFIC_INTERVIEW_QUESTIONS:',
+          '- Tell us about a project you are proud of.',
+          '- How do you handle conflicting priorities?',
+          '',
+          'JOB_SPECIFIC_TIPS:',
+          '- Research the company products.',
+          '- Highlight your most relevant experience.',
+        ].join('\n'),
+
+      linkedinProfile: () =>
+        JSON.stringify({
+          intro: 'Software Engineer',
+          about: 'Fake LinkedIn about section.',
+          experience: [],
+          projects: [],
+          additionalSections: [],
+        }),
+
+      salaryEstimate: () =>
+        JSON.stringify({
+          minSalary: 1000000 + seed * 1000,
+          maxSalary: 1500000 + seed * 1000,
+          currency: 'INR',
+          rationale: 'Fake salary rationale.',
+          marketInsights: 'Fake market insights.',
+        }),
+
+      idealResume: () =>
+        JSON.stringify({
+          professionalSummary: 'Fake professional summary.',
+          skills: { technical: [], soft: [], tools: [] },
+          experience: [],
+          education: [],
+          projects: [],
+          freelanceProjects: [],
+          certifications: [],
+        }),
+
+      // Ranks the jobs in the order they were given
+      comparison: () => {
+        const jobs = (prompt.match(/^### Job \d+/gm) || ['### Job 1']).length;
+        return JSON.stringify({
+          recommendedJob: 1,
+          summary: 'Fake comparison summary.',
+          ranking: Array.from({ length: jobs }, (_, index) => ({
+            job: index + 1,
+            reason: `Fake reason for job ${index + 1}.`,
+          })),
+          considerations: ['Compare the salary ranges before deciding.'],
+        });
+      },
+    };
+
+    return responses[task] ? responses[task]() : 'OK';
+  }
+}
+
+module.exports = FakeProvider;
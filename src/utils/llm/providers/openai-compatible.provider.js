@@ -0,0 +1,24 @@
+const OpenAI = require('openai');
+const OpenAIProvider = require('./openai.provider');
+
+/**
+ * Provider for self-hosted endpoints that speak the OpenAI API (Ollama, LM Studio, vLLM)
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(config) {
+    super(config, 'local');
+  }
+
+  isConfigured() {
+    return !!this.config.baseURL;
+  }
+
+  createClient() {
+    return new OpenAI({
+      apiKey: this.config.apiKey,
+      baseURL: this.config.baseURL,
+    });
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,94 @@
+const OpenAI = require('openai');
+
+/**
+ * Provider for the OpenAI chat completions API.
+ * Also the base class for Azure OpenAI and OpenAI-compatible local endpoints.
+ */
+class OpenAIProvider {
+  constructor(config, name = 'openai') {
+    this.name = name;
+    this.config = config;
+    this.defaultModel = config.model;
+    this.client = null;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   */
+  isConfigured() {
+    return !!this.config.apiKey;
+  }
+
+  /**
+   * Create the underlying SDK client (lazily, so a missing key only fails on use)
+   */
+  createClient() {
+    return new OpenAI({ apiKey: this.config.apiKey });
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = this.createClient();
+    }
+    return this.client;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request
+   * @param {Array} request.messages - Chat messages ({ role, content })
+   * @param {string} request.model - Model to use
+   * @param {boolean} [request.json] - Ask for a JSON object response
+   * @returns {Promise<Object>} - { content, model, usage }
+   */
+  async complete({ messages, model, json = false }) {
+    const completion = await this.getClient().chat.completions.create({
+      model,
+      messages,
+      ...(json && { response_format: { type: 'json_object' } }),
+    });
+
+    return {
+      content: completion.choices[0].message.content,
+      model: completion.model || model,
+      usage: {
+        promptTokens: completion.usage?.prompt_tokens || 0,
+        completionTokens: completion.usage?.completion_tokens || 0,
+      },
+    };
+  }
+
+  /**
+   * Stream a chat completion
+   * @param {Object} request - Same as complete(), without `json`
+   * @yields {string} - Text deltas as the model produces them
+   * @returns {Promise<Object|undefined>} - Usage ({ promptTokens, completionTokens }), if the API reported it
+   */
+  async *stream({ messages, model }) {
+    const stream = await this.getClient().chat.completions.create({
+      model,
+      messages,
+      stream: true,
+      // Adds a final chunk (without choices) carrying the token usage
+      stream_options: { include_usage: true },
+    });
+
+    let usage;
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        yield delta;
+      }
+      if (chunk.usage) {
+        usage = {
+          promptTokens: chunk.usage.prompt_tokens || 0,
+          completionTokens: chunk.usage.completion_tokens || 0,
+        };
+      }
+    }
+
+    return usage;
+  }
+}
+
+module.exports = OpenAIProvider;
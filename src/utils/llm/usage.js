@@ -0,0 +1,215 @@
+const usageConfig = require('../../config/usage');
+const AppError = require('../AppError');
+const AiUsage = require('./ai-usage.model');
+const User = require('../../modules/auth/user.model');
+
+/**
+ * Per-user AI usage accounting and quotas
+ * Every LLM call is recorded with its token counts and estimated cost; calls
+ * made for a user are refused once their plan's daily or monthly limit is used up.
+ */
+
+/**
+ * Raised when a user has used up their plan's AI allowance. The monthly limit
+ * is answered with 402 (upgrade the plan), the daily one with 429 (wait).
+ */
+class AiQuotaExceededError extends AppError {
+  constructor({ plan, period, metric, limit, used, resetsAt }) {
+    super(
+      period === 'monthly'
+        ? `Monthly AI usage limit of the ${plan} plan reached (${used}/${limit} ${metric}). Upgrade your plan or wait until ${resetsAt.toISOString()}.`
+        : `Daily AI usage limit of the ${plan} plan reached (${used}/${limit} ${metric}). Try again after ${resetsAt.toISOString()}.`,
+      period === 'monthly' ? 402 : 429
+    );
+    this.code = 'AI_QUOTA_EXCEEDED';
+    this.details = {
+      plan,
+      period,
+      metric,
+      limit,
+      used,
+      resetsAt,
+      retryAfter: Math.max(0, Math.ceil((resetsAt - Date.now()) / 1000)),
+    };
+  }
+}
+
+// Start of the current UTC day/month and the next one
+const getPeriods = (now = new Date()) => {
+  const dayStart = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+  );
+  const monthStart = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)
+  );
+  return {
+    dayStart,
+    dayEnd: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000),
+    monthStart,
+    monthEnd: new Date(
+      Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)
+    ),
+  };
+};
+
+const roundCost = (cost) => Math.round(cost * 1e6) / 1e6;
+
+/**
+ * Rough token count for text a provider did not report usage for
+ * @param {string} text
+ * @returns {number}
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Estimated cost of a call from the configured per-model pricing
+ * @param {string} provider - Provider name
+ * @param {string} model - Model the provider reported
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @returns {number|null} - USD, or null if the model's pricing is unknown
+ */
+const estimateCost = (provider, model, usage) => {
+  if (usageConfig.freeProviders.includes(provider)) return 0;
+
+  // Longest matching prefix, so gpt-4o-mini is not priced as gpt-4o
+  const name = (model || '').toLowerCase();
+  const prefix = Object.keys(usageConfig.pricing)
+    .filter((candidate) => name.startsWith(candidate.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!prefix) return null;
+
+  const [promptPrice, completionPrice] = usageConfig.pricing[prefix];
+  return roundCost(
+    (usage.promptTokens * promptPrice +
+      usage.completionTokens * completionPrice) /
+      1e6
+  );
+};
+
+/**
+ * Record an LLM call. Never throws: a failed write only loses the record.
+ * @param {Object} call
+ * @param {string} [call.userId] - User the call was made for
+ * @param {string} call.feature - Feature that triggered the call
+ * @param {string} call.task - Task type
+ * @param {string} call.provider - Provider name
+ * @param {string} call.model - Model used
+ * @param {Object} call.usage - { promptTokens, completionTokens }
+ * @param {boolean} [call.streamed] - Whether the response was streamed
+ * @param {boolean} [call.estimated] - Whether the token counts are estimates
+ */
+const record = async ({
+  userId = null,
+  feature,
+  task,
+  provider,
+  model,
+  usage,
+  streamed = false,
+  estimated = false,
+}) => {
+  const promptTokens = usage?.promptTokens || 0;
+  const completionTokens = usage?.completionTokens || 0;
+
+  try {
+    await AiUsage.create({
+      userId,
+      feature,
+      task,
+      provider,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      cost: estimateCost(provider, model, { promptTokens, completionTokens }),
+      streamed,
+      estimated,
+    });
+  } catch (error) {
+    console.warn(`Failed to record AI usage (${task}):`, error.message);
+  }
+};
+
+// Used, limit and remaining for one metric (limit null = unlimited)
+const meter = (used, limit) => ({
+  used,
+  limit,
+  remaining: limit == null ? null : Math.max(0, limit - used),
+});
+
+/**
+ * A user's AI usage this day and month, against their plan's limits
+ * @param {string} userId - User ID
+ * @param {string} [plan] - The user's plan (default: free)
+ * @returns {Promise<Object>} - { plan, daily, monthly, features }; daily/monthly
+ *   hold { requests, tokens } meters, the cost so far and when the period resets
+ */
+const getUsage = async (userId, plan = 'free') => {
+  const { dayStart, dayEnd, monthStart, monthEnd } = getPeriods();
+  const limits = usageConfig.quotas[plan] || usageConfig.quotas.free;
+  const features = await AiUsage.summarize(userId, monthStart, dayStart);
+
+  const total = (field) =>
+    features.reduce((sum, feature) => sum + feature[field], 0);
+
+  return {
+    plan,
+    daily: {
+      requests: meter(total('dailyRequests'), limits.daily.requests),
+      tokens: meter(total('dailyTokens'), limits.daily.tokens),
+      cost: roundCost(total('dailyCost')),
+      resetsAt: dayEnd,
+    },
+    monthly: {
+      requests: meter(total('requests'), limits.monthly.requests),
+      tokens: meter(total('tokens'), limits.monthly.tokens),
+      cost: roundCost(total('cost')),
+      resetsAt: monthEnd,
+    },
+    // This month, by feature
+    features: features.map((feature) => ({
+      feature: feature._id,
+      requests: feature.requests,
+      tokens: feature.tokens,
+      cost: roundCost(feature.cost),
+    })),
+  };
+};
+
+/**
+ * Refuse to go on if a user has no AI allowance left
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - The user's usage (see getUsage())
+ * @throws {AiQuotaExceededError} - 402 for the monthly limit, 429 for the daily one
+ */
+const assertWithinQuota = async (userId) => {
+  const user = await User.findById(userId).select('plan');
+  const usage = await getUsage(userId, user?.plan);
+
+  for (const period of ['monthly', 'daily']) {
+    for (const metric of ['requests', 'tokens']) {
+      const { used, limit } = usage[period][metric];
+      if (limit != null && used >= limit) {
+        throw new AiQuotaExceededError({
+          plan: usage.plan,
+          period,
+          metric,
+          limit,
+          used,
+          resetsAt: usage[period].resetsAt,
+        });
+      }
+    }
+  }
+
+  return usage;
+};
+
+module.exports = {
+  AiQuotaExceededError,
+  assertWithinQuota,
+  estimateCost,
+  estimateTokens,
+  getUsage,
+  record,
+};
@@ -0,0 +1,77 @@
+const mailConfig = require('../../config/mail');
+const templates = require('./templates');
+const SmtpTransport = require('./transports/smtp.transport');
+const ConsoleTransport = require('./transports/console.transport');
+const MemoryTransport = require('./transports/memory.transport');
+
+/**
+ * Outgoing email
+ * Messages are rendered from a template (see templates.js) and handed to the
+ * transport chosen by MAIL_DRIVER.
+ */
+
+const transportClasses = {
+  smtp: SmtpTransport,
+  console: ConsoleTransport,
+  memory: MemoryTransport,
+};
+
+let transport = null;
+
+/**
+ * The configured transport, created on first use
+ * @returns {Object}
+ */
+const getTransport = () => {
+  if (!transport) {
+    const TransportClass = transportClasses[mailConfig.driver];
+    if (!TransportClass) {
+      throw new Error(`Unknown mail driver: ${mailConfig.driver}`);
+    }
+    transport = new TransportClass(mailConfig.transports[mailConfig.driver]);
+  }
+  return transport;
+};
+
+/**
+ * Render a template and send it
+ * @param {string} to - Recipient address
+ * @param {string} template - Template name (an export of templates.js)
+ * @param {Object} values - Values the template needs
+ * @returns {Promise<Object>} - { messageId }
+ */
+const send = async (to, template, values) => {
+  if (!Object.hasOwn(templates, template)) {
+    throw new Error(`Unknown mail template: ${template}`);
+  }
+
+  const { subject, html, text } = templates[template](values);
+  return getTransport().send({
+    from: mailConfig.from,
+    to,
+    subject,
+    html,
+    text,
+    template,
+  });
+};
+
+/**
+ * Absolute frontend URL for a path, for links in emails
+ * @param {string} path - e.g. '/reset-password'
+ * @param {Object} [query] - Query parameters
+ * @returns {string}
+ */
+const appLink = (path, query = {}) => {
+  const url = new URL(`${mailConfig.appUrl}${path}`);
+  Object.entries(query).forEach(([name, value]) =>
+    url.searchParams.set(name, value)
+  );
+  return url.toString();
+};
+
+module.exports = {
+  send,
+  appLink,
+  getTransport,
+};
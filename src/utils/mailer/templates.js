@@ -0,0 +1,114 @@
+/**
+ * Email templates. Each takes the values it needs and returns
+ * { subject, html, text }; values are escaped in the HTML body.
+ */
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Shared HTML frame: a heading, paragraphs and an optional button
+const layout = ({ heading, paragraphs, action }) => {
+  const body = paragraphs.map(
+    (paragraph) =>
+      `<p style="font-size:14px;line-height:1.5;margin:0 0 16px;">${escapeHtml(paragraph)}</p>`
+  );
+
+  if (action) {
+    body.push(
+      `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;font-size:14px;">${escapeHtml(action.label)}</a></p>`,
+      `<p style="font-size:12px;color:#71717a;margin:0;">If the button does not work, open this link: ${escapeHtml(action.url)}</p>`
+    );
+  }
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#18181b;">
+    <div style="max-width:520px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+      <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(heading)}</h1>
+      ${body.join('\n      ')}
+    </div>
+  </body>
+</html>`;
+};
+
+const greeting = (username) => (username ? `Hi ${username},` : 'Hi,');
+
+/**
+ * Link to confirm the address of a new account (or a changed email)
+ * @param {Object} values
+ * @param {string} values.username
+ * @param {string} values.url - Verification page URL, carrying the token
+ * @param {number} values.expiresInHours
+ */
+const emailVerification = ({ username, url, expiresInHours }) => {
+  const paragraphs = [
+    greeting(username),
+    'Please confirm that this is your email address. AI features are available once it is verified.',
+    `The link expires in ${expiresInHours} hours. If you did not create an account, ignore this email.`,
+  ];
+
+  return {
+    subject: 'Verify your email address',
+    html: layout({
+      heading: 'Verify your email address',
+      paragraphs,
+      action: { label: 'Verify email', url },
+    }),
+    text: [...paragraphs, url].join('\n\n'),
+  };
+};
+
+/**
+ * Link to choose a new password
+ * @param {Object} values
+ * @param {string} values.username
+ * @param {string} values.url - Reset page URL, carrying the token
+ * @param {number} values.expiresInMinutes
+ */
+const passwordReset = ({ username, url, expiresInMinutes }) => {
+  const paragraphs = [
+    greeting(username),
+    'We received a request to reset the password of your account. Use the link below to choose a new one.',
+    `The link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask for a reset, ignore this email; your password stays the same.`,
+  ];
+
+  return {
+    subject: 'Reset your password',
+    html: layout({
+      heading: 'Reset your password',
+      paragraphs,
+      action: { label: 'Choose a new password', url },
+    }),
+    text: [...paragraphs, url].join('\n\n'),
+  };
+};
+
+/**
+ * Notice that the password was reset and every session signed out
+ * @param {Object} values
+ * @param {string} values.username
+ */
+const passwordChanged = ({ username }) => {
+  const paragraphs = [
+    greeting(username),
+    'The password of your account was just reset, and every device signed in to it was signed out.',
+    'If you did not do this, reset your password again right away and contact support.',
+  ];
+
+  return {
+    subject: 'Your password was reset',
+    html: layout({ heading: 'Your password was reset', paragraphs }),
+    text: paragraphs.join('\n\n'),
+  };
+};
+
+module.exports = {
+  emailVerification,
+  passwordReset,
+  passwordChanged,
+};
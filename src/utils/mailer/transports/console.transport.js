@@ -0,0 +1,17 @@
+/**
+ * Prints mail to the log instead of sending it; for local development
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    console.log(
+      `📧 Mail to ${message.to}: ${message.subject}\n${message.text}`
+    );
+    return { messageId: null };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+/**
+ * Keeps sent mail in the process so tests can read it
+ */
+class MemoryTransport {
+  constructor() {
+    this.name = 'memory';
+    this.sent = [];
+  }
+
+  async send(message) {
+    const messageId = crypto.randomUUID();
+    this.sent.push({ ...message, messageId, sentAt: new Date() });
+    return { messageId };
+  }
+
+  // Most recent mail sent to an address
+  lastTo(address) {
+    return [...this.sent].reverse().find((message) => message.to === address);
+  }
+
+  reset() {
+    this.sent = [];
+  }
+}
+
+module.exports = MemoryTransport;
@@ -0,0 +1,19 @@
+/**
+ * Sends mail through an SMTP server with nodemailer
+ */
+class SmtpTransport {
+  constructor(config) {
+    this.name = 'smtp';
+
+    // Only needed with MAIL_DRIVER=smtp
+    const nodemailer = require('nodemailer');
+    this.transporter = nodemailer.createTransport(config);
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,88 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics, served in the text exposition format on /metrics
+ * Counters and histograms are per process; Prometheus sums them across instances.
+ */
+
+const register = new client.Registry();
+
+// Process metrics: CPU, memory, event loop lag, GC...
+client.collectDefaultMetrics({ register });
+
+// Seconds; from fast API responses up to slow LLM calls and page scrapes
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration by route',
+  // route is the Express route pattern, never the raw URL, to keep label values bounded
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: DURATION_BUCKETS,
+  registers: [register],
+});
+
+const llmRequests = new client.Counter({
+  name: 'llm_requests_total',
+  help: 'LLM calls by provider, task type and outcome (success, failure, or aborted for streams the client left)',
+  labelNames: ['provider', 'task', 'outcome'],
+  registers: [register],
+});
+
+const llmRequestDuration = new client.Histogram({
+  name: 'llm_request_duration_seconds',
+  help: 'LLM call duration, including retries and streaming',
+  labelNames: ['provider', 'task', 'outcome'],
+  buckets: DURATION_BUCKETS,
+  registers: [register],
+});
+
+const llmRetries = new client.Counter({
+  name: 'llm_retries_total',
+  help: 'LLM call attempts that failed and were considered for a retry',
+  labelNames: ['provider', 'task'],
+  registers: [register],
+});
+
+const llmTokens = new client.Counter({
+  name: 'llm_tokens_total',
+  help: 'Tokens used by LLM calls, by type (prompt or completion)',
+  labelNames: ['provider', 'task', 'type'],
+  registers: [register],
+});
+
+const aiCacheRequests = new client.Counter({
+  name: 'ai_cache_requests_total',
+  help: 'AI response cache lookups by namespace and outcome (hit, miss or error)',
+  labelNames: ['namespace', 'outcome'],
+  registers: [register],
+});
+
+// The fallback rate is job_scrapes_total{method="puppeteer"} over
+// job_scrapes_total{method="cheerio"}
+const jobScrapes = new client.Counter({
+  name: 'job_scrapes_total',
+  help: 'Job posting scrape attempts by method (api, cheerio or puppeteer) and outcome (success, incomplete or failure)',
+  labelNames: ['method', 'outcome'],
+  registers: [register],
+});
+
+const puppeteerPageDuration = new client.Histogram({
+  name: 'puppeteer_page_duration_seconds',
+  help: 'Time a pooled Puppeteer page was in use, by outcome (success, failure or timeout)',
+  labelNames: ['outcome'],
+  buckets: DURATION_BUCKETS,
+  registers: [register],
+});
+
+module.exports = {
+  register,
+  httpRequestDuration,
+  llmRequests,
+  llmRequestDuration,
+  llmRetries,
+  llmTokens,
+  aiCacheRequests,
+  jobScrapes,
+  puppeteerPageDuration,
+};
@@ -0,0 +1,56 @@
+const oauthConfig = require('../../config/oauth');
+const AppError = require('../AppError');
+const OidcProvider = require('./providers/oidc.provider');
+const GithubProvider = require('./providers/github.provider');
+const MockOidcProvider = require('./providers/mock.provider');
+
+/**
+ * OAuth / OpenID Connect login providers (see config/oauth.js)
+ */
+
+const providerClasses = {
+  oidc: OidcProvider,
+  github: GithubProvider,
+  mock: MockOidcProvider,
+};
+
+// Provider instances are created on first use (they cache signing keys)
+const instances = {};
+
+/**
+ * Get a provider instance by name
+ * @param {string} name - Provider name (google, linkedin, github, mock)
+ * @returns {Object} - Provider instance
+ * @throws {AppError} - 404 if the provider is unknown or not configured
+ */
+const getProvider = (name) => {
+  const config = Object.hasOwn(oauthConfig.providers, name)
+    ? oauthConfig.providers[name]
+    : null;
+
+  if (config && !instances[name]) {
+    instances[name] = new providerClasses[config.type](name, config);
+  }
+  if (!instances[name]?.isConfigured()) {
+    throw new AppError(`Login with ${name} is not available`, 404);
+  }
+  return instances[name];
+};
+
+/**
+ * Names of the providers users can log in with
+ * @returns {string[]}
+ */
+const listProviders = () =>
+  Object.keys(oauthConfig.providers).filter((name) => {
+    try {
+      return !!getProvider(name);
+    } catch (error) {
+      return false;
+    }
+  });
+
+module.exports = {
+  getProvider,
+  listProviders,
+};
@@ -0,0 +1,25 @@
+const OAuth2Provider = require('./oauth2.provider');
+
+/**
+ * GitHub: plain OAuth 2.0, so the profile and email come from its API
+ */
+class GithubProvider extends OAuth2Provider {
+  async getProfile(tokens) {
+    const [user, emails] = await Promise.all([
+      this.httpGet(`${this.config.apiUrl}/user`, tokens.access_token),
+      this.httpGet(`${this.config.apiUrl}/user/emails`, tokens.access_token),
+    ]);
+
+    // The public profile email may be missing or unverified; use the primary one
+    const primary = emails.find((email) => email.primary && email.verified);
+
+    return {
+      subject: String(user.id),
+      email: primary?.email.toLowerCase() || null,
+      emailVerified: !!primary,
+      name: user.name || user.login,
+    };
+  }
+}
+
+module.exports = GithubProvider;
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OidcProvider = require('./oidc.provider');
+
+/**
+ * In-process OpenID provider for tests. It plays both sides: tests "sign in"
+ * with authorize(), and the token and JWKS endpoints are answered without any
+ * network, with real RS256 ID tokens, so the OpenID checks run as in production.
+ */
+class MockOidcProvider extends OidcProvider {
+  constructor(name, config) {
+    super(name, config);
+    this.kid = 'mock-key';
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+    });
+    this.privateKey = privateKey;
+    this.publicKey = publicKey;
+    this.codes = new Map();
+  }
+
+  isConfigured() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Sign a user in, as the provider's consent page would
+   * @param {string} authorizationUrl - URL from getAuthorizationUrl()
+   * @param {Object} user - { subject, email, emailVerified, name }
+   * @returns {string} - Callback URL the browser is redirected to
+   */
+  authorize(authorizationUrl, user) {
+    const params = new URL(authorizationUrl).searchParams;
+    const code = crypto.randomBytes(16).toString('base64url');
+
+    this.codes.set(code, {
+      user,
+      nonce: params.get('nonce'),
+      codeChallenge: params.get('code_challenge'),
+      redirectUri: params.get('redirect_uri'),
+    });
+
+    const callback = new URL(params.get('redirect_uri'));
+    callback.searchParams.set('code', code);
+    callback.searchParams.set('state', params.get('state'));
+    return callback.toString();
+  }
+
+  /**
+   * Clear issued codes
+   */
+  reset() {
+    this.codes.clear();
+  }
+
+  // Token endpoint
+  async httpPost(url, form) {
+    const grant = this.codes.get(form.code);
+    this.codes.delete(form.code);
+
+    const challenge =
+      form.code_verifier &&
+      crypto
+        .createHash('sha256')
+        .update(form.code_verifier)
+        .digest('base64url');
+    if (
+      !grant ||
+      form.client_id !== this.config.clientId ||
+      form.client_secret !== this.config.clientSecret ||
+      form.redirect_uri !== grant.redirectUri ||
+      (challenge || null) !== grant.codeChallenge
+    ) {
+      return { error: 'invalid_grant' };
+    }
+
+    const { user } = grant;
+    return {
+      access_token: crypto.randomBytes(16).toString('base64url'),
+      token_type: 'Bearer',
+      id_token: jwt.sign(
+        {
+          sub: user.subject,
+          email: user.email,
+          email_verified: user.emailVerified,
+          name: user.name,
+          nonce: grant.nonce,
+        },
+        this.privateKey,
+        {
+          algorithm: 'RS256',
+          keyid: this.kid,
+          issuer: this.config.issuer,
+          audience: this.config.clientId,
+          expiresIn: 300,
+        }
+      ),
+    };
+  }
+
+  // JWKS endpoint
+  async httpGet() {
+    return {
+      keys: [
+        {
+          ...this.publicKey.export({ format: 'jwk' }),
+          kid: this.kid,
+          alg: 'RS256',
+          use: 'sig',
+        },
+      ],
+    };
+  }
+}
+
+module.exports = MockOidcProvider;
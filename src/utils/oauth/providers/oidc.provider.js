@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OAuth2Provider = require('./oauth2.provider');
+
+// Provider signing keys are refetched after this long, or when a token names an unknown key
+const JWKS_TTL = 60 * 60 * 1000;
+
+/**
+ * OpenID Connect provider: the profile comes from the ID token, whose
+ * signature (against the provider's JWKS), issuer, audience, expiry and nonce
+ * are checked.
+ */
+class OidcProvider extends OAuth2Provider {
+  constructor(name, config) {
+    super(name, config);
+    this.jwks = null;
+    this.jwksFetchedAt = 0;
+  }
+
+  async getSigningKey(kid) {
+    const stale = Date.now() - this.jwksFetchedAt > JWKS_TTL;
+    const find = () => this.jwks?.keys.find((key) => key.kid === kid);
+
+    if (stale || !find()) {
+      this.jwks = await this.httpGet(this.config.jwksUri);
+      this.jwksFetchedAt = Date.now();
+    }
+
+    const jwk = find();
+    if (!jwk) {
+      throw new Error(`${this.name} ID token signed with an unknown key`);
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new Error(`${this.name} returned an invalid ID token`);
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256'],
+      issuer: this.config.issuer,
+      audience: this.config.clientId,
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new Error(`${this.name} ID token nonce does not match`);
+    }
+    return claims;
+  }
+
+  async getProfile(tokens, { nonce }) {
+    if (!tokens.id_token) {
+      throw new Error(`${this.name} did not return an ID token`);
+    }
+
+    const claims = await this.verifyIdToken(tokens.id_token, nonce);
+    return {
+      subject: claims.sub,
+      email: claims.email?.toLowerCase() || null,
+      // Some providers send the flag as a string
+      emailVerified:
+        claims.email_verified === true || claims.email_verified === 'true',
+      name: claims.name || claims.given_name || null,
+    };
+  }
+}
+
+module.exports = OidcProvider;
@@ -0,0 +1,236 @@
+const dns = require('dns').promises;
+const net = require('net');
+const axios = require('axios');
+const AppError = require('./AppError');
+
+/**
+ * Safe fetching of user-supplied URLs (SSRF protection)
+ * Every hostname is resolved and checked before connecting, redirects are
+ * followed manually so each hop is checked, and responses are limited in
+ * size and content type.
+ */
+
+/**
+ * Raised when a URL or its response is refused by the fetch policy
+ */
+class BlockedUrlError extends AppError {
+  constructor(message) {
+    super(message, 422);
+    this.code = 'BLOCKED_URL';
+  }
+}
+
+// Private, loopback, link-local (incl. cloud metadata), CGNAT, multicast and reserved ranges
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+// Content types accepted by each kind of fetch
+const CONTENT_TYPES = {
+  html: ['text/html', 'application/xhtml+xml'],
+  json: ['application/json'],
+  document: [
+    'application/pdf',
+    'text/plain',
+    'application/octet-stream',
+    'binary/octet-stream',
+  ],
+};
+
+/**
+ * Whether an IP address is in a blocked range
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) return blockList.check(address, 'ipv4');
+  if (family !== 6) return true;
+
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return blockList.check(mapped[1], 'ipv4');
+
+  return blockList.check(address, 'ipv6');
+};
+
+/**
+ * Resolve a hostname, refusing it if any address is in a blocked range
+ * @param {string} hostname - Hostname or IP literal
+ * @returns {Promise<Array>} - Resolved { address, family } entries
+ */
+const resolveSafeAddresses = async (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.lookup(host, { all: true, verbatim: true });
+
+  if (!addresses.length || addresses.some((a) => isBlockedAddress(a.address))) {
+    throw new BlockedUrlError(
+      `Fetching ${hostname} is not allowed because it points to a private or internal network address`
+    );
+  }
+
+  return addresses;
+};
+
+/**
+ * Check that a URL is http(s) and points at a public address
+ * @param {string} url - URL to check
+ * @returns {Promise<URL>} - The parsed URL
+ */
+const assertSafeUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new BlockedUrlError('Invalid URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new BlockedUrlError(`URL protocol ${parsed.protocol} is not allowed`);
+  }
+
+  if (parsed.username || parsed.password) {
+    throw new BlockedUrlError('URLs with embedded credentials are not allowed');
+  }
+
+  await resolveSafeAddresses(parsed.hostname);
+  return parsed;
+};
+
+/**
+ * Whether a URL is safe to fetch (see assertSafeUrl)
+ * @param {string} url - URL to check
+ * @returns {Promise<boolean>}
+ */
+const isSafeUrl = async (url) => {
+  try {
+    await assertSafeUrl(url);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Connect only to the addresses that were checked, so DNS can't change in between
+const safeLookup = async (hostname) => resolveSafeAddresses(hostname);
+
+/**
+ * Fetch a user-supplied URL
+ * @param {string} url - URL to fetch
+ * @param {Object} [options]
+ * @param {string} [options.responseType] - axios responseType (text, json, arraybuffer)
+ * @param {Array<string>} [options.allowedContentTypes] - Accepted content types (see CONTENT_TYPES)
+ * @param {number} [options.maxRedirects] - Redirects to follow
+ * @param {number} [options.maxBytes] - Maximum response size
+ * @param {number} [options.timeout] - Request timeout in ms
+ * @param {Object} [options.headers] - Request headers
+ * @returns {Promise<Object>} - { data, status, headers, url } where url is the final URL
+ */
+const safeFetch = async (
+  url,
+  {
+    responseType = 'text',
+    allowedContentTypes = null,
+    maxRedirects = 5,
+    maxBytes = 5 * 1024 * 1024,
+    timeout = 10000,
+    headers = {},
+  } = {}
+) => {
+  let currentUrl = url;
+
+  for (let redirects = 0; ; redirects++) {
+    await assertSafeUrl(currentUrl);
+
+    let response;
+    try {
+      response = await axios.get(currentUrl, {
+        responseType,
+        headers,
+        timeout,
+        maxRedirects: 0,
+        maxContentLength: maxBytes,
+        proxy: false,
+        lookup: safeLookup,
+        validateStatus: (status) => status >= 200 && status < 400,
+      });
+    } catch (error) {
+      if (error instanceof BlockedUrlError) throw error;
+      if (error.cause instanceof BlockedUrlError) throw error.cause;
+      if (error.message?.includes('maxContentLength')) {
+        throw new BlockedUrlError(
+          `Response from ${new URL(currentUrl).hostname} is larger than ${Math.round(maxBytes / 1024 / 1024)}MB`
+        );
+      }
+      throw error;
+    }
+
+    if (response.status >= 300) {
+      const location = response.headers.location;
+      if (!location) {
+        throw new Error(`Redirect from ${currentUrl} has no location`);
+      }
+      if (redirects >= maxRedirects) {
+        throw new BlockedUrlError(`Too many redirects (max ${maxRedirects})`);
+      }
+      currentUrl = new URL(location, currentUrl).toString();
+      continue;
+    }
+
+    if (allowedContentTypes) {
+      const contentType = (response.headers['content-type'] || '')
+        .split(';')[0]
+        .trim()
+        .toLowerCase();
+
+      if (contentType && !allowedContentTypes.includes(contentType)) {
+        throw new BlockedUrlError(
+          `Unsupported content type ${contentType} (expected ${allowedContentTypes.join(', ')})`
+        );
+      }
+    }
+
+    return {
+      data: response.data,
+      status: response.status,
+      headers: response.headers,
+      url: currentUrl,
+    };
+  }
+};
+
+module.exports = {
+  safeFetch,
+  assertSafeUrl,
+  isSafeUrl,
+  isBlockedAddress,
+  BlockedUrlError,
+  CONTENT_TYPES,
+};
@@ -0,0 +1,54 @@
+/**
+ * Server-Sent Events helpers
+ */
+
+/**
+ * Switch a response into an event stream
+ * @param {Object} res - Express response
+ * @returns {Object} - { send(event, data), close() }
+ */
+const openEventStream = (res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  return {
+    /**
+     * Send a named event with a JSON payload
+     */
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // compression() buffers output until flushed
+      if (typeof res.flush === 'function') res.flush();
+    },
+
+    /**
+     * Whether the client has gone away
+     */
+    isClosed() {
+      return closed;
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    },
+  };
+};
+
+module.exports = {
+  openEventStream,
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238), as used by authenticator apps:
+ * HMAC-SHA1, 6 digits, 30-second steps.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Base32 (RFC 4648, unpadded), the encoding authenticator apps expect for secrets
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * @param {string} input - Base32 text; case, spaces and padding are ignored
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random secret (160 bits, as RFC 4226 recommends)
+ * @returns {string} - Base32
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Time step a moment falls in
+const stepAt = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * The code for a time step (RFC 4226 HOTP with the step as counter)
+ * @param {string} secret - Base32
+ * @param {number} step - Time step
+ * @returns {string}
+ */
+const generateCode = (secret, step = stepAt()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code, allowing for clock drift of `window` steps either way
+ * @param {string} secret - Base32
+ * @param {string} code - Code the user entered
+ * @param {Object} [options]
+ * @param {number} [options.window] - Steps accepted before and after the current one
+ * @param {number} [options.time] - Milliseconds (default: now)
+ * @returns {number|null} - The matching time step, or null. Callers should
+ *   refuse steps at or before the last one accepted, so a code works only once.
+ */
+const verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const current = stepAt(time);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCode(secret, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI that authenticator apps import (usually as a QR code)
+ * @param {Object} params
+ * @param {string} params.secret - Base32
+ * @param {string} params.account - Account name shown in the app, e.g. the email
+ * @param {string} params.issuer - Service name shown in the app
+ * @returns {string}
+ */
+const keyUri = ({ secret, account, issuer }) => {
+  // Percent-encoded rather than URLSearchParams' '+' for spaces, which some apps show as-is
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = Object.entries({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: DIGITS,
+    period: STEP_SECONDS,
+  })
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  keyUri,
+};
@@ -0,0 +1,142 @@
+const aiService = require('../src/modules/job-match/ai.service');
+const {
+  analysisResultSchema,
+  parseStructuredResponse,
+} = require('../src/modules/job-match/ai.schemas');
+const AppError = require('../src/utils/AppError');
+const llm = require('../src/utils/llm');
+
+const validAnalysis = {
+  matchingPercentage: 72.4,
+  strengths: ['Strong Node.js background'],
+  areasToImprove: ['No AWS certification'],
+  resumeFeedback: ['Quantify achievements'],
+  detailedAnalysis: 'A solid match for the backend role.',
+  scoreBreakdown: {
+    skills: { score: 80, justification: 'Covers most required skills.' },
+    experience: { score: 70, justification: 'Four years of relevant work.' },
+    education: { score: 60, justification: 'Relevant degree.' },
+    softSkills: { score: 75, justification: 'Good communicator.' },
+  },
+};
+
+const messages = [{ role: 'user', content: 'Analyze this job match' }];
+
+// Completion as returned by llm.createChatCompletion
+const completion = (content) => ({
+  content,
+  provider: 'openai',
+  model: 'gpt-test',
+  usage: { totalTokens: 10 },
+});
+
+describe('parseStructuredResponse', () => {
+  it('should accept JSON wrapped in a markdown code fence', () => {
+    const raw = `\`\`\`json\n${JSON.stringify({ ...validAnalysis, extra: 1 })}\n\`\`\``;
+
+    const { value, error } = parseStructuredResponse(raw, analysisResultSchema);
+
+    expect(error).toBeNull();
+    expect(value.matchingPercentage).toBe(72.4);
+    expect(value.extra).toBeUndefined();
+  });
+
+  it('should report every schema violation', () => {
+    const { value, error } = parseStructuredResponse(
+      JSON.stringify({
+        ...validAnalysis,
+        matchingPercentage: 140,
+        strengths: [],
+      }),
+      analysisResultSchema
+    );
+
+    expect(value).toBeNull();
+    expect(error).toMatch(/matchingPercentage/);
+    expect(error).toMatch(/strengths/);
+  });
+
+  it('should report a response that is not JSON', () => {
+    const { value, error } = parseStructuredResponse(
+      'MATCHING_PERCENTAGE: 80',
+      analysisResultSchema
+    );
+
+    expect(value).toBeNull();
+    expect(error).toMatch(/^Response is not valid JSON/);
+  });
+});
+
+describe('AIService.runAnalysis', () => {
+  let createChatCompletion;
+
+  beforeEach(() => {
+    createChatCompletion = jest.spyOn(llm, 'createChatCompletion');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return a clean analysis when the first response validates', async () => {
+    createChatCompletion.mockResolvedValueOnce(
+      completion(JSON.stringify(validAnalysis))
+    );
+
+    const analysis = await aiService.runAnalysis(messages, 'user-1');
+
+    expect(createChatCompletion).toHaveBeenCalledTimes(1);
+    expect(createChatCompletion).toHaveBeenCalledWith('analysis', {
+      messages,
+      json: true,
+      userId: 'user-1',
+    });
+    expect(analysis.parseStatus).toBe('clean');
+    expect(analysis.matchingPercentage).toBe(72);
+    expect(analysis.scoreBreakdown.skills).toEqual({
+      score: 80,
+      weight: 40,
+      justification: 'Covers most required skills.',
+    });
+    expect(analysis.provider).toBe('openai');
+    expect(analysis.model).toBe('gpt-test');
+  });
+
+  it('should re-ask once with the validation errors and mark the result repaired', async () => {
+    createChatCompletion
+      .mockResolvedValueOnce(completion('MATCHING_PERCENTAGE: 80'))
+      .mockResolvedValueOnce(completion(JSON.stringify(validAnalysis)));
+
+    const analysis = await aiService.runAnalysis(messages, 'user-1');
+
+    expect(createChatCompletion).toHaveBeenCalledTimes(2);
+    const repairMessages = createChatCompletion.mock.calls[1][1].messages;
+    expect(repairMessages.slice(0, messages.length)).toEqual(messages);
+    expect(repairMessages[messages.length]).toEqual({
+      role: 'assistant',
+      content: 'MATCHING_PERCENTAGE: 80',
+    });
+    expect(repairMessages[messages.length + 1].content).toMatch(
+      /not valid JSON/
+    );
+    expect(analysis.parseStatus).toBe('repaired');
+    expect(analysis.matchingPercentage).toBe(72);
+  });
+
+  it('should throw a 502 when the repaired response is still invalid', async () => {
+    createChatCompletion
+      .mockResolvedValueOnce(completion('not json'))
+      .mockResolvedValueOnce(
+        completion(JSON.stringify({ ...validAnalysis, scoreBreakdown: {} }))
+      );
+
+    const error = await aiService
+      .runAnalysis(messages, 'user-1')
+      .catch((err) => err);
+
+    expect(createChatCompletion).toHaveBeenCalledTimes(2);
+    expect(error).toBeInstanceOf(AppError);
+    expect(error.statusCode).toBe(502);
+  });
+});
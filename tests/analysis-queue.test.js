@@ -0,0 +1,274 @@
+const request = require('supertest');
+const app = require('../src/app');
+const JobMatch = require('../src/modules/job-match/job-match.model');
+const AnalysisTask = require('../src/modules/job-match/analysis-task.model');
+const jobMatchService = require('../src/modules/job-match/job-match.service');
+const { pollQueue } = require('../src/utils/analysisWorker');
+
+const { LOCK_TIMEOUT_MS } = AnalysisTask;
+
+// Public address literal: passes the SSRF check without a DNS lookup
+const jobUrl = 'https://93.184.216.34/jobs/1';
+
+// The worker runs claimed tasks in the background; wait until `check` passes
+const waitFor = async (check) => {
+  for (let i = 0; i < 100; i++) {
+    const result = await check();
+    if (result) return result;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error('Timed out waiting for the analysis worker');
+};
+
+describe('Asynchronous analysis queue', () => {
+  let token;
+
+  // Queue an analysis through the API; returns the 202 response
+  const queueAnalysis = () =>
+    request(app)
+      .post('/api/job-match/analyze-url')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ jobUrl, async: true })
+      .expect(202);
+
+  beforeEach(async () => {
+    const response = await request(app).post('/api/auth/register').send({
+      username: 'Jane Doe',
+      email: 'jane@example.com',
+      password: 'password123',
+    });
+    token = response.body.data.token;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/job-match/analyze-url with async', () => {
+    it('should queue the analysis and point at its status', async () => {
+      const response = await queueAnalysis();
+
+      const { _id: id, status } = response.body.data;
+      expect(status).toBe('pending');
+      expect(response.body.statusUrl).toBe(`/api/job-match/${id}/status`);
+
+      const task = await AnalysisTask.findOne({ jobMatchId: id });
+      expect(task.status).toBe('queued');
+      expect(task.jobUrl).toBe(jobUrl);
+
+      const statusResponse = await request(app)
+        .get(response.body.statusUrl)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(statusResponse.body.data).toMatchObject({
+        id,
+        status: 'pending',
+        progress: { stage: 'queued' },
+      });
+    });
+
+    it('should hide the status from other users', async () => {
+      const response = await queueAnalysis();
+
+      const other = await request(app).post('/api/auth/register').send({
+        username: 'John Doe',
+        email: 'john@example.com',
+        password: 'password123',
+      });
+      await request(app)
+        .get(response.body.statusUrl)
+        .set('Authorization', `Bearer ${other.body.data.token}`)
+        .expect(403);
+    });
+  });
+
+  describe('AnalysisTask', () => {
+    let task;
+
+    beforeEach(async () => {
+      const response = await queueAnalysis();
+      task = await AnalysisTask.findOne({
+        jobMatchId: response.body.data._id,
+      });
+    });
+
+    it('should claim a queued task once', async () => {
+      const claimed = await AnalysisTask.claimNext('worker-1');
+      expect(claimed._id).toEqual(task._id);
+      expect(claimed.status).toBe('processing');
+      expect(claimed.attempts).toBe(1);
+      expect(claimed.lockedBy).toBe('worker-1');
+
+      expect(await AnalysisTask.claimNext('worker-2')).toBeNull();
+    });
+
+    it('should re-queue a retryable failure with backoff', async () => {
+      const claimed = await AnalysisTask.claimNext('worker-1');
+      const before = Date.now();
+
+      const failed = await AnalysisTask.markFailed(
+        claimed,
+        new Error('Timed out'),
+        true
+      );
+
+      expect(failed.status).toBe('queued');
+      expect(failed.lastError).toBe('Timed out');
+      expect(failed.lockedBy).toBeNull();
+      expect(failed.runAt.getTime()).toBeGreaterThanOrEqual(before + 30000);
+      // Not runnable until the backoff has passed
+      expect(await AnalysisTask.claimNext('worker-1')).toBeNull();
+
+      // The second retry waits twice as long
+      await AnalysisTask.updateOne({ _id: task._id }, { runAt: new Date() });
+      const retried = await AnalysisTask.claimNext('worker-1');
+      expect(retried.attempts).toBe(2);
+      const requeued = await AnalysisTask.markFailed(
+        retried,
+        new Error('Timed out'),
+        true
+      );
+      expect(requeued.runAt.getTime()).toBeGreaterThanOrEqual(
+        Date.now() + 59000
+      );
+    });
+
+    it('should fail for good once attempts run out or the error is not retryable', async () => {
+      const claimed = await AnalysisTask.claimNext('worker-1');
+
+      const notRetryable = await AnalysisTask.markFailed(
+        claimed,
+        new Error('Not a job page'),
+        false
+      );
+      expect(notRetryable.status).toBe('failed');
+      expect(notRetryable.completedAt).toEqual(expect.any(Date));
+
+      const exhausted = await AnalysisTask.markFailed(
+        { _id: task._id, attempts: 3, maxAttempts: 3 },
+        new Error('Timed out'),
+        true
+      );
+      expect(exhausted.status).toBe('failed');
+    });
+
+    it('should reclaim a task whose worker stopped responding', async () => {
+      await AnalysisTask.claimNext('worker-1');
+      expect(await AnalysisTask.claimNext('worker-2')).toBeNull();
+
+      await AnalysisTask.updateOne(
+        { _id: task._id },
+        { lockedAt: new Date(Date.now() - LOCK_TIMEOUT_MS - 1000) }
+      );
+
+      const reclaimed = await AnalysisTask.claimNext('worker-2');
+      expect(reclaimed._id).toEqual(task._id);
+      expect(reclaimed.attempts).toBe(2);
+      expect(reclaimed.lockedBy).toBe('worker-2');
+    });
+
+    it('should not reclaim a stale task that has used all its attempts', async () => {
+      await AnalysisTask.updateOne(
+        { _id: task._id },
+        {
+          status: 'processing',
+          attempts: 3,
+          lockedAt: new Date(Date.now() - LOCK_TIMEOUT_MS - 1000),
+        }
+      );
+
+      expect(await AnalysisTask.claimNext('worker-2')).toBeNull();
+    });
+  });
+
+  describe('Analysis worker', () => {
+    // Wait for the worker to record the failed attempt on the job match
+    const failureRecorded = async (record) => {
+      const { value } = await waitFor(() => record.mock.results[0]);
+      await value;
+    };
+
+    it('should run a queued task and mark it completed', async () => {
+      const processTask = jest
+        .spyOn(jobMatchService, 'processAnalysisTask')
+        .mockResolvedValue(null);
+      const response = await queueAnalysis();
+
+      await pollQueue();
+
+      const task = await waitFor(() =>
+        AnalysisTask.findOne({
+          jobMatchId: response.body.data._id,
+          status: 'completed',
+        })
+      );
+      expect(task.attempts).toBe(1);
+      expect(processTask).toHaveBeenCalledTimes(1);
+    });
+
+    it('should re-queue a failed attempt and keep the job match pending', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest
+        .spyOn(jobMatchService, 'processAnalysisTask')
+        .mockRejectedValue(new Error('Navigation timeout'));
+      const record = jest.spyOn(jobMatchService, 'recordAnalysisTaskFailure');
+      const response = await queueAnalysis();
+      const id = response.body.data._id;
+
+      await pollQueue();
+      await failureRecorded(record);
+
+      const task = await AnalysisTask.findOne({ jobMatchId: id });
+      expect(task.status).toBe('queued');
+      expect(task.lastError).toBe('Navigation timeout');
+      const jobMatch = await JobMatch.findById(id);
+      expect(jobMatch.status).toBe('pending');
+      expect(jobMatch.progress.stage).toBe('queued');
+    });
+
+    it('should fail the job match when the error is not retryable', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const error = new Error('Could not extract essential job details');
+      error.statusCode = 422;
+      jest
+        .spyOn(jobMatchService, 'processAnalysisTask')
+        .mockRejectedValue(error);
+      const record = jest.spyOn(jobMatchService, 'recordAnalysisTaskFailure');
+      const response = await queueAnalysis();
+      const id = response.body.data._id;
+
+      await pollQueue();
+      await failureRecorded(record);
+
+      const task = await AnalysisTask.findOne({ jobMatchId: id });
+      expect(task.status).toBe('failed');
+      const jobMatch = await JobMatch.findById(id);
+      expect(jobMatch.status).toBe('error');
+      expect(jobMatch.error).toBe(error.message);
+    });
+
+    it('should fail a task abandoned on its last attempt', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const processTask = jest.spyOn(jobMatchService, 'processAnalysisTask');
+      const response = await queueAnalysis();
+      const id = response.body.data._id;
+      await AnalysisTask.updateOne(
+        { jobMatchId: id },
+        {
+          status: 'processing',
+          attempts: 3,
+          lockedAt: new Date(Date.now() - LOCK_TIMEOUT_MS - 1000),
+        }
+      );
+
+      await pollQueue();
+
+      expect(processTask).not.toHaveBeenCalled();
+      const task = await AnalysisTask.findOne({ jobMatchId: id });
+      expect(task.status).toBe('failed');
+      const jobMatch = await JobMatch.findById(id);
+      expect(jobMatch.status).toBe('error');
+      expect(jobMatch.progress.stage).toBe('failed');
+    });
+  });
+});
@@ -1,6 +1,21 @@
 const request = require('supertest');
 const app = require('../src/app');
 const User = require('../src/modules/auth/user.model');
+const Session = require('../src/modules/auth/session.model');
+const mailer = require('../src/utils/mailer');
+const totp = require('../src/utils/totp');
+const oauth = require('../src/utils/oauth');
+const {
+  passwordResetLimiter,
+  twoFactorLimiter,
+} = require('../src/middleware/rateLimiter');
+
+// supertest connects over loopback, so every request shares one rate limit key
+const resetLimiter = (limiter) => {
+  ['::ffff:127.0.0.1', '127.0.0.1', '::1'].forEach((ip) =>
+    limiter.resetKey(ip)
+  );
+};
 
 describe('Auth Endpoints', () => {
   beforeEach(async () => {
@@ -79,4 +94,393 @@ describe('Auth Endpoints', () => {
       expect(response.body.success).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('POST /api/auth/refresh', () => {
+    let tokens;
+
+    beforeEach(async () => {
+      const response = await request(app).post('/api/auth/register').send({
+        username: 'John Doe',
+        email: 'john@example.com',
+        password: 'password123',
+      });
+      tokens = response.body.data;
+    });
+
+    it('should rotate the refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+
+      const { token, refreshToken, expiresIn } = response.body.data;
+      expect(refreshToken).not.toBe(tokens.refreshToken);
+      expect(expiresIn).toBe(15 * 60);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    });
+
+    it('should revoke the session family when a refresh token is reused', async () => {
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(401);
+      expect(response.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+      // The legitimate holder's tokens stop working too
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated.body.data.refreshToken })
+        .expect(401);
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${rotated.body.data.token}`)
+        .expect(401);
+    });
+
+    it('should keep the session when issuing the new refresh token fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const createSession = jest
+        .spyOn(Session, 'createSession')
+        .mockRejectedValueOnce(new Error('Write failed'));
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(500);
+      createSession.mockRestore();
+      console.error.mockRestore();
+
+      // Neither the access token nor the retry are treated as revoked
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .expect(200);
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+    });
+  });
+
+  describe('Password reset', () => {
+    let tokens;
+
+    beforeEach(async () => {
+      const response = await request(app).post('/api/auth/register').send({
+        username: 'John Doe',
+        email: 'john@example.com',
+        password: 'password123',
+      });
+      tokens = response.body.data;
+      mailer.getTransport().reset();
+      resetLimiter(passwordResetLimiter);
+    });
+
+    const requestResetToken = async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'john@example.com' })
+        .expect(200);
+
+      const mail = mailer.getTransport().lastTo('john@example.com');
+      return new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get(
+        'token'
+      );
+    };
+
+    it('should not reveal whether an account exists', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(mailer.getTransport().sent).toHaveLength(0);
+    });
+
+    it('should reset the password once and sign out every session', async () => {
+      const token = await requestResetToken();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, newPassword: 'newpassword123' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .expect(401);
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john@example.com', password: 'newpassword123' })
+        .expect(200);
+
+      // Single use
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, newPassword: 'anotherpassword' })
+        .expect(400);
+    });
+
+    it('should only accept the latest reset token', async () => {
+      const first = await requestResetToken();
+      const second = await requestResetToken();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: first, newPassword: 'newpassword123' })
+        .expect(400);
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: second, newPassword: 'newpassword123' })
+        .expect(200);
+    });
+
+    it('should return 429 after too many reset requests', async () => {
+      for (let i = 0; i < 5; i++) {
+        await request(app)
+          .post('/api/auth/forgot-password')
+          .send({ email: 'john@example.com' })
+          .expect(200);
+      }
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'john@example.com' })
+        .expect(429);
+
+      expect(response.body.success).toBe(false);
+      expect(mailer.getTransport().sent).toHaveLength(5);
+    });
+  });
+
+  describe('Email verification', () => {
+    let tokens;
+
+    beforeEach(async () => {
+      mailer.getTransport().reset();
+      const response = await request(app).post('/api/auth/register').send({
+        username: 'John Doe',
+        email: 'john@example.com',
+        password: 'password123',
+      });
+      tokens = response.body.data;
+    });
+
+    it('should verify the email with the link sent at registration', async () => {
+      const mail = mailer.getTransport().lastTo('john@example.com');
+      expect(mail.template).toBe('emailVerification');
+      const token = new URL(
+        mail.text.match(/https?:\/\/\S+/)[0]
+      ).searchParams.get('token');
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .expect(200);
+      expect(response.body.data.emailVerified).toBe(true);
+    });
+
+    it('should throttle resending the verification email', async () => {
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .expect(429);
+
+      expect(response.body.code).toBe('VERIFICATION_EMAIL_THROTTLED');
+      expect(response.headers['retry-after']).toBeDefined();
+      expect(mailer.getTransport().sent).toHaveLength(1);
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    let tokens;
+
+    beforeAll(() => {
+      // Two-factor secrets are stored encrypted
+      process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+    });
+
+    beforeEach(async () => {
+      const response = await request(app).post('/api/auth/register').send({
+        username: 'John Doe',
+        email: 'john@example.com',
+        password: 'password123',
+      });
+      tokens = response.body.data;
+      resetLimiter(twoFactorLimiter);
+    });
+
+    // Set up and confirm 2FA; returns the recovery codes
+    const enableTwoFactor = async () => {
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .expect(200);
+      expect(setup.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+      expect(setup.body.data.qrCode).toMatch(/^data:image\/png;base64,/);
+
+      const confirm = await request(app)
+        .post('/api/auth/2fa/confirm')
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .send({ code: totp.generateCode(setup.body.data.secret) })
+        .expect(200);
+      return confirm.body.data.recoveryCodes;
+    };
+
+    it('should require a second factor before creating a session', async () => {
+      const recoveryCodes = await enableTwoFactor();
+      expect(recoveryCodes).toHaveLength(10);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john@example.com', password: 'password123' })
+        .expect(200);
+      expect(login.body.data.twoFactorRequired).toBe(true);
+      expect(login.body.data.token).toBeUndefined();
+
+      const { challengeToken } = login.body.data;
+      const wrong = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, code: '000000' })
+        .expect(401);
+      expect(wrong.body.code).toBe('INVALID_TWO_FACTOR_CODE');
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, code: recoveryCodes[0] })
+        .expect(200);
+      expect(response.body.data.token).toBeDefined();
+
+      // Recovery codes work once
+      const again = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john@example.com', password: 'password123' });
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({
+          challengeToken: again.body.data.challengeToken,
+          code: recoveryCodes[0],
+        })
+        .expect(401);
+    });
+
+    it('should return 429 after too many two-factor attempts', async () => {
+      const attempt = { challengeToken: 'expired-challenge', code: '000000' };
+      for (let i = 0; i < 10; i++) {
+        await request(app)
+          .post('/api/auth/login/2fa')
+          .send(attempt)
+          .expect(401);
+      }
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send(attempt)
+        .expect(429);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('OAuth login', () => {
+    // NODE_ENV=test enables the in-process mock OpenID provider
+    const mockProvider = oauth.getProvider('mock');
+
+    // Log in through the mock provider; returns the frontend redirect URL
+    const oauthLogin = async (user) => {
+      const agent = request.agent(app);
+      const start = await agent.get('/api/auth/oauth/mock').expect(302);
+
+      const callback = new URL(
+        mockProvider.authorize(start.headers.location, user)
+      );
+      const response = await agent
+        .get(`${callback.pathname}${callback.search}`)
+        .expect(302);
+      return new URL(response.headers.location);
+    };
+
+    const exchange = (redirect) =>
+      request(app)
+        .post('/api/auth/oauth/exchange')
+        .send({ code: redirect.searchParams.get('code') });
+
+    it('should create an account and a session', async () => {
+      const redirect = await oauthLogin({
+        subject: 'mock-user-1',
+        email: 'jane@example.com',
+        emailVerified: true,
+        name: 'Jane Doe',
+      });
+
+      const response = await exchange(redirect).expect(200);
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.user.emailVerified).toBe(true);
+
+      // The login code works once
+      await exchange(redirect).expect(401);
+    });
+
+    it('should link to an existing account by verified email', async () => {
+      const registered = await request(app).post('/api/auth/register').send({
+        username: 'John Doe',
+        email: 'john@example.com',
+        password: 'password123',
+      });
+
+      const redirect = await oauthLogin({
+        subject: 'mock-user-2',
+        email: 'john@example.com',
+        emailVerified: true,
+        name: 'John',
+      });
+
+      const response = await exchange(redirect).expect(200);
+      expect(response.body.data.user._id).toBe(registered.body.data.user._id);
+      expect(await User.countDocuments()).toBe(1);
+    });
+
+    it('should refuse a provider account without a verified email', async () => {
+      const redirect = await oauthLogin({
+        subject: 'mock-user-3',
+        email: 'jane@example.com',
+        emailVerified: false,
+      });
+
+      expect(redirect.searchParams.get('error')).toBe('OAUTH_EMAIL_UNVERIFIED');
+      expect(await User.countDocuments()).toBe(0);
+    });
+
+    it('should refuse a callback without the state cookie', async () => {
+      const start = await request(app).get('/api/auth/oauth/mock');
+      const callback = new URL(
+        mockProvider.authorize(start.headers.location, {
+          subject: 'mock-user-1',
+          email: 'jane@example.com',
+          emailVerified: true,
+        })
+      );
+
+      const response = await request(app)
+        .get(`${callback.pathname}${callback.search}`)
+        .expect(302);
+      expect(new URL(response.headers.location).searchParams.get('error')).toBe(
+        'OAUTH_STATE_MISMATCH'
+      );
+    });
+  });
+});
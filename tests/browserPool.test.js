@@ -0,0 +1,169 @@
+const EventEmitter = require('events');
+const puppeteer = require('puppeteer');
+const { BrowserPool } = require('../src/utils/browserPool');
+
+jest.mock('puppeteer', () => ({ launch: jest.fn() }));
+
+// Minimal stand-ins for the Puppeteer objects the pool uses
+class FakePage extends EventEmitter {
+  constructor() {
+    super();
+    this.close = jest.fn().mockResolvedValue();
+  }
+
+  async setRequestInterception() {}
+
+  setDefaultTimeout() {}
+
+  setDefaultNavigationTimeout() {}
+}
+
+class FakeBrowser extends EventEmitter {
+  constructor() {
+    super();
+    this.connected = true;
+    this.pages = [];
+    this.close = jest.fn(async () => {
+      this.connected = false;
+      this.emit('disconnected');
+    });
+  }
+
+  async newPage() {
+    const page = new FakePage();
+    this.pages.push(page);
+    return page;
+  }
+}
+
+// A promise resolved from outside, to keep a page busy until the test releases it
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = res;
+  });
+  return { promise, resolve };
+};
+
+describe('BrowserPool', () => {
+  let browsers;
+  let pool;
+
+  beforeEach(() => {
+    browsers = [];
+    puppeteer.launch.mockReset();
+    puppeteer.launch.mockImplementation(async () => {
+      const browser = new FakeBrowser();
+      browsers.push(browser);
+      return browser;
+    });
+  });
+
+  afterEach(async () => {
+    await pool.shutdown();
+  });
+
+  it('should share one browser and never open more than maxPages at once', async () => {
+    pool = new BrowserPool({ maxPages: 2, maxQueue: 10 });
+    const release = deferred();
+    let open = 0;
+    let mostOpen = 0;
+
+    const jobs = Array.from({ length: 5 }, (_, i) =>
+      pool.withPage(async () => {
+        open++;
+        mostOpen = Math.max(mostOpen, open);
+        await release.promise;
+        open--;
+        return i;
+      })
+    );
+
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(pool.getStats()).toMatchObject({ activePages: 2, queued: 3 });
+
+    release.resolve();
+    await expect(Promise.all(jobs)).resolves.toEqual([0, 1, 2, 3, 4]);
+    expect(mostOpen).toBe(2);
+    expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+    browsers[0].pages.forEach((page) => expect(page.close).toHaveBeenCalled());
+    expect(pool.getStats()).toMatchObject({ activePages: 0, pagesServed: 5 });
+  });
+
+  it('should reject requests once the queue is full', async () => {
+    pool = new BrowserPool({ maxPages: 1, maxQueue: 1 });
+    const release = deferred();
+
+    const running = pool.withPage(() => release.promise);
+    const queued = pool.withPage(async () => 'queued');
+
+    await expect(pool.withPage(async () => 'rejected')).rejects.toThrow(
+      /Too many pages are being scraped/
+    );
+    expect(pool.getStats().queueRejections).toBe(1);
+
+    release.resolve();
+    await running;
+    await expect(queued).resolves.toBe('queued');
+  });
+
+  it('should give up on a queued request after queueTimeout', async () => {
+    pool = new BrowserPool({ maxPages: 1, maxQueue: 5, queueTimeout: 20 });
+    const release = deferred();
+
+    const running = pool.withPage(() => release.promise);
+
+    await expect(pool.withPage(async () => 'late')).rejects.toThrow(
+      /Timed out waiting for a free browser page/
+    );
+    expect(pool.getStats()).toMatchObject({ queued: 0, queueRejections: 1 });
+
+    release.resolve();
+    await running;
+  });
+
+  it('should time out a page that runs too long and free its slot', async () => {
+    pool = new BrowserPool({ maxPages: 1, pageTimeout: 20 });
+
+    await expect(pool.withPage(() => new Promise(() => {}))).rejects.toThrow(
+      /Page timed out/
+    );
+
+    expect(browsers[0].pages[0].close).toHaveBeenCalled();
+    expect(pool.getStats()).toMatchObject({ activePages: 0, pageTimeouts: 1 });
+    await expect(pool.withPage(async () => 'next')).resolves.toBe('next');
+  });
+
+  it('should relaunch the browser after maxPagesPerBrowser pages', async () => {
+    pool = new BrowserPool({ maxPages: 1, maxPagesPerBrowser: 2 });
+
+    await pool.withPage(async () => {});
+    expect(browsers[0].close).not.toHaveBeenCalled();
+    await pool.withPage(async () => {});
+    expect(browsers[0].close).toHaveBeenCalled();
+
+    await pool.withPage(async () => {});
+    expect(puppeteer.launch).toHaveBeenCalledTimes(2);
+    expect(browsers[1].pages).toHaveLength(1);
+  });
+
+  it('should close the browser and refuse work on shutdown', async () => {
+    pool = new BrowserPool({ maxPages: 1, maxQueue: 5 });
+    const release = deferred();
+
+    const running = pool.withPage(() => release.promise);
+    const queued = pool.withPage(async () => 'queued');
+    await new Promise((resolve) => setImmediate(resolve));
+
+    await pool.shutdown();
+
+    expect(browsers[0].close).toHaveBeenCalled();
+    await expect(queued).rejects.toThrow(/shutting down/);
+    await expect(pool.withPage(async () => 'after')).rejects.toThrow(
+      /shutting down/
+    );
+
+    release.resolve();
+    await running;
+  });
+});
@@ -0,0 +1,50 @@
+const cache = require('../src/utils/cache');
+const MemoryStore = require('../src/utils/cache/stores/memory.store');
+
+describe('AI response cache', () => {
+  beforeEach(async () => {
+    await cache.clear();
+  });
+
+  it('should compute a value once and serve copies from the cache', async () => {
+    const key = cache.key('user-1', { provider: 'fake' }, 'prompt');
+    const compute = jest.fn(async () => ({ score: 80, items: ['a'] }));
+
+    const first = await cache.wrap('cacheTest', key, compute, {
+      userId: 'user-1',
+    });
+    first.items.push('changed');
+    const second = await cache.wrap('cacheTest', key, compute);
+
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(second).toEqual({ score: 80, items: ['a'] });
+
+    await cache.wrap('cacheTest', key, compute, { refresh: true });
+    expect(compute).toHaveBeenCalledTimes(2);
+
+    const { namespaces } = await cache.getStats();
+    expect(namespaces.cacheTest).toMatchObject({ hits: 1, misses: 1 });
+  });
+
+  it('should purge only the given user', async () => {
+    await cache.set('cacheTest', 'a', 1, { userId: 'user-1' });
+    await cache.set('cacheTest', 'b', 2, { userId: 'user-2' });
+
+    expect(await cache.purgeUser('user-1')).toBe(1);
+    expect(await cache.get('cacheTest', 'a')).toBeNull();
+    expect(await cache.get('cacheTest', 'b')).toBe(2);
+  });
+
+  it('should expire entries and evict the oldest beyond the limit', async () => {
+    const store = new MemoryStore({ maxEntries: 2 });
+
+    await store.set('old', 1, { ttl: -1 });
+    expect(await store.get('old')).toBeNull();
+
+    await store.set('a', 1, { ttl: 1000 });
+    await store.set('b', 2, { ttl: 1000 });
+    await store.set('c', 3, { ttl: 1000 });
+    expect(await store.get('a')).toBeNull();
+    expect(await store.get('c')).toBe(3);
+  });
+});
@@ -0,0 +1,849 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/modules/auth/user.model');
+const JobMatch = require('../src/modules/job-match/job-match.model');
+const AnalysisTask = require('../src/modules/job-match/analysis-task.model');
+const jobMatchService = require('../src/modules/job-match/job-match.service');
+const llm = require('../src/utils/llm');
+const AiUsage = require('../src/utils/llm/ai-usage.model');
+const usageConfig = require('../src/config/usage');
+const authConfig = require('../src/config/auth');
+const mailer = require('../src/utils/mailer');
+const { parseCsv } = require('../src/utils/csv');
+const { aiEndpointLimiter } = require('../src/middleware/rateLimiter');
+
+// NODE_ENV=test routes every LLM task to the deterministic fake provider
+const fakeProvider = llm.getProviderByName('fake');
+
+// supertest connects over loopback, so every request shares one rate limit key
+const resetAiLimiter = () => {
+  ['::ffff:127.0.0.1', '127.0.0.1', '::1'].forEach((ip) =>
+    aiEndpointLimiter.resetKey(ip)
+  );
+};
+
+const jobDetails = {
+  jobTitle: 'Backend Engineer',
+  company: 'Acme',
+  location: 'Remote',
+  jobDescription:
+    'We are looking for a backend engineer with Node.js, MongoDB and AWS experience to build our APIs.',
+};
+
+describe('Job Match Endpoints', () => {
+  let token;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    fakeProvider.reset();
+    resetAiLimiter();
+
+    const response = await request(app).post('/api/auth/register').send({
+      username: 'Jane Doe',
+      email: 'jane@example.com',
+      password: 'password123',
+    });
+    token = response.body.data.token;
+  });
+
+  describe('POST /api/job-match/analyze-manual', () => {
+    it('should analyze a job using the fake provider', async () => {
+      const response = await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send(jobDetails)
+        .expect(201);
+
+      const { analysis } = response.body.data;
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.status).toBe('analyzed');
+      expect(analysis.matchingPercentage).toBeGreaterThanOrEqual(0);
+      expect(analysis.parseStatus).toBe('clean');
+      expect(analysis.scoreBreakdown.skills.weight).toBe(40);
+    });
+
+    it('should repair an invalid model response with a re-ask', async () => {
+      fakeProvider.enqueueResponse('analysis', 'MATCHING_PERCENTAGE: 80');
+
+      const response = await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send(jobDetails)
+        .expect(201);
+
+      expect(response.body.data.analysis.parseStatus).toBe('repaired');
+      expect(
+        fakeProvider.calls.filter((c) => c.task === 'analysis')
+      ).toHaveLength(2);
+    });
+
+    it('should not store a made-up score when the response cannot be repaired', async () => {
+      fakeProvider.enqueueResponse('analysis', 'not json');
+      fakeProvider.enqueueResponse('analysis', 'still not json');
+
+      const response = await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send(jobDetails)
+        .expect(502);
+
+      expect(response.body.success).toBe(false);
+
+      const stored = await JobMatch.findOne({});
+      expect(stored.status).toBe('error');
+      expect(stored.analysis.matchingPercentage).toBeUndefined();
+    });
+  });
+
+  describe('AI response cache', () => {
+    it('should answer a repeated analysis from the cache', async () => {
+      for (let i = 0; i < 2; i++) {
+        await request(app)
+          .post('/api/job-match/analyze-manual')
+          .set('Authorization', `Bearer ${token}`)
+          .send(jobDetails)
+          .expect(201);
+      }
+
+      expect(
+        fakeProvider.calls.filter((c) => c.task === 'analysis')
+      ).toHaveLength(1);
+    });
+
+    it("should let only admins purge a user's cached responses", async () => {
+      const user = await User.findOne({ email: 'jane@example.com' });
+
+      await request(app)
+        .delete(`/api/job-match/cache/users/${user._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      await User.updateOne({ _id: user._id }, { role: 'admin' });
+      await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send(jobDetails)
+        .expect(201);
+
+      const response = await request(app)
+        .delete(`/api/job-match/cache/users/${user._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(response.body.data.deleted).toBeGreaterThanOrEqual(1);
+
+      // The next identical analysis goes back to the model
+      await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send(jobDetails)
+        .expect(201);
+      expect(
+        fakeProvider.calls.filter((c) => c.task === 'analysis')
+      ).toHaveLength(2);
+    });
+  });
+
+  describe('AI endpoint rate limiting', () => {
+    it('should return 429 once the AI request limit is reached', async () => {
+      for (let i = 0; i < 10; i++) {
+        await request(app)
+          .post('/api/job-match/analyze-manual')
+          .set('Authorization', `Bearer ${token}`)
+          .send({})
+          .expect(400);
+      }
+
+      const response = await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send(jobDetails)
+        .expect(429);
+
+      expect(response.body.success).toBe(false);
+      expect(fakeProvider.calls).toHaveLength(0);
+    });
+  });
+
+  describe('Monitoring', () => {
+    it('should restrict the monitor endpoints to admins', async () => {
+      await request(app)
+        .get('/api/job-match/monitor/errors')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      await User.updateOne({ email: 'jane@example.com' }, { role: 'admin' });
+      const response = await request(app)
+        .get('/api/job-match/monitor/errors')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(Array.isArray(response.body.data.errors)).toBe(true);
+    });
+  });
+
+  describe('Email verification', () => {
+    afterEach(() => {
+      authConfig.requireVerifiedEmail = false;
+    });
+
+    it('should keep AI endpoints from unverified accounts when required', async () => {
+      authConfig.requireVerifiedEmail = true;
+
+      const response = await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send(jobDetails)
+        .expect(403);
+      expect(response.body.code).toBe('EMAIL_NOT_VERIFIED');
+
+      const mail = mailer.getTransport().lastTo('jane@example.com');
+      const verificationToken = new URL(
+        mail.text.match(/https?:\/\/\S+/)[0]
+      ).searchParams.get('token');
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: verificationToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send(jobDetails)
+        .expect(201);
+    });
+  });
+
+  describe('AI usage quota', () => {
+    const { daily, monthly } = usageConfig.quotas.free;
+    const limits = { daily: { ...daily }, monthly: { ...monthly } };
+
+    afterEach(() => {
+      Object.assign(daily, limits.daily);
+      Object.assign(monthly, limits.monthly);
+    });
+
+    // Usage records as if the user had already made `count` calls today
+    const useUp = async (count) => {
+      const user = await User.findOne({ email: 'jane@example.com' });
+      await AiUsage.insertMany(
+        Array.from({ length: count }, () => ({
+          userId: user._id,
+          feature: 'analysis',
+          task: 'analysis',
+          provider: 'fake',
+          model: 'fake-model',
+          totalTokens: 10,
+        }))
+      );
+    };
+
+    it('should record each call and report the remaining quota', async () => {
+      await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send(jobDetails)
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/auth/usage')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const usage = response.body.data;
+      expect(usage.plan).toBe('free');
+      expect(usage.features).toContainEqual(
+        expect.objectContaining({ feature: 'analysis', requests: 1, cost: 0 })
+      );
+      expect(usage.daily.tokens.used).toBeGreaterThan(0);
+      expect(usage.daily.requests.remaining).toBe(
+        daily.requests - usage.daily.requests.used
+      );
+    });
+
+    it('should answer 429 once the daily limit is used up', async () => {
+      daily.requests = 3;
+      await useUp(3);
+
+      const response = await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send(jobDetails)
+        .expect(429);
+
+      expect(response.body.code).toBe('AI_QUOTA_EXCEEDED');
+      expect(response.body.details.period).toBe('daily');
+      expect(response.headers['retry-after']).toBeDefined();
+      expect(fakeProvider.calls.filter((c) => c.task === 'analysis')).toEqual(
+        []
+      );
+    });
+
+    it('should answer 402 once the monthly limit is used up', async () => {
+      monthly.requests = 3;
+      await useUp(3);
+
+      const response = await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send(jobDetails)
+        .expect(402);
+
+      expect(response.body.details.period).toBe('monthly');
+    });
+  });
+
+  describe('POST /api/job-match/analyze-url', () => {
+    it('should refuse URLs that point at internal addresses', async () => {
+      for (const jobUrl of [
+        'http://127.0.0.1/jobs/1',
+        'http://169.254.169.254/latest/meta-data/',
+      ]) {
+        const response = await request(app)
+          .post('/api/job-match/analyze-url')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ jobUrl })
+          .expect(422);
+
+        expect(response.body.message).toMatch(/private or internal network/);
+      }
+    });
+
+    it('should refuse internal URLs before queueing them', async () => {
+      await request(app)
+        .post('/api/job-match/analyze-url')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ jobUrl: 'http://localhost:5001/careers/1', async: true })
+        .expect(422);
+    });
+  });
+
+  describe('GET /api/job-match/get-job-specific-details/:_id/stream', () => {
+    it('should stream each section and persist the result', async () => {
+      const created = await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send(jobDetails)
+        .expect(201);
+      const id = created.body.data._id;
+
+      const response = await request(app)
+        .get(`/api/job-match/get-job-specific-details/${id}/stream`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect('Content-Type', /text\/event-stream/)
+        .expect(200);
+
+      const sections = [
+        ...response.text.matchAll(/event: section\ndata: (.*)/g),
+      ].map((match) => JSON.parse(match[1]).section);
+      expect(sections).toEqual([
+        'jobSpecificMessage',
+        'jobSpecificEmail',
+        'jobSpecificInterviewQuestions',
+        'jobSpecificTips',
+      ]);
+      expect(response.text).toContain('event: done');
+
+      const stored = await JobMatch.findById(id);
+      expect(stored.analysis.jobSpecificEmail).toBeTruthy();
+      expect(stored.analysis.jobSpecificTips.length).toBeGreaterThan(0);
+    });
+
+    it('should respond with a normal error before the stream opens', async () => {
+      await request(app)
+        .get(
+          '/api/job-match/get-job-specific-details/507f1f77bcf86cd799439011/stream'
+        )
+        .set('Authorization', `Bearer ${token}`)
+        .expect('Content-Type', /json/)
+        .expect(404);
+    });
+  });
+
+  describe('Application tracking', () => {
+    it('should move a job through stages and report it on the board and funnel', async () => {
+      const created = await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send(jobDetails)
+        .expect(201);
+      const id = created.body.data._id;
+
+      for (const stage of ['saved', 'applied', 'interviewing']) {
+        await request(app)
+          .patch(`/api/job-match/${id}/stage`)
+          .set('Authorization', `Bearer ${token}`)
+          .send({ stage, note: `Moved to ${stage}` })
+          .expect(200);
+      }
+
+      await request(app)
+        .put(`/api/job-match/${id}/next-action`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Send thank-you email', dueAt: '2030-01-01' })
+        .expect(200);
+
+      const board = await request(app)
+        .get('/api/job-match/board')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      const interviewing = board.body.data.columns.find(
+        (column) => column.stage === 'interviewing'
+      );
+      expect(interviewing.count).toBe(1);
+      expect(interviewing.jobs[0].application.nextAction.description).toBe(
+        'Send thank-you email'
+      );
+
+      const stats = await request(app)
+        .get('/api/job-match/stats')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      const [savedToApplied] = stats.body.data.applications.funnel;
+      expect(savedToApplied.conversionRate).toBe(100);
+    });
+
+    it('should reject unknown stages', async () => {
+      await request(app)
+        .patch('/api/job-match/507f1f77bcf86cd799439011/stage')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ stage: 'hired' })
+        .expect(400);
+    });
+  });
+
+  describe('Analysis versions', () => {
+    it('should keep every run and diff the latest two', async () => {
+      const created = await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send(jobDetails)
+        .expect(201);
+      const id = created.body.data._id;
+
+      await request(app)
+        .post(`/api/job-match/${id}/reanalyze`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const versions = await request(app)
+        .get(`/api/job-match/${id}/versions`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(versions.body.data.map((v) => v.version)).toEqual([2, 1]);
+      expect(versions.body.data[0].provider).toBe('fake');
+
+      const diff = await request(app)
+        .get(`/api/job-match/${id}/versions/diff`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(diff.body.data.from.version).toBe(1);
+      expect(diff.body.data.to.version).toBe(2);
+      // The fake provider is deterministic, so nothing changed between runs
+      expect(diff.body.data.scoreChange).toBe(0);
+      expect(diff.body.data.strengths.added).toEqual([]);
+      expect(diff.body.data.profileChanged).toBe(false);
+    });
+  });
+
+  describe('GET /api/job-match/search', () => {
+    beforeEach(async () => {
+      // The text index has to exist before $text queries
+      await JobMatch.init();
+      const user = await User.findOne({ email: 'jane@example.com' });
+
+      await JobMatch.create(
+        [
+          ['Backend Engineer', 'Acme', 'Remote', 82, ['node']],
+          ['Frontend Engineer', 'Globex', 'Berlin (Hybrid)', 64, ['react']],
+          ['Data Engineer', 'Initech', 'London', 45, ['node', 'python']],
+        ].map(([jobTitle, company, location, matchingPercentage, tags]) => ({
+          userId: user._id,
+          jobTitle,
+          company,
+          location,
+          jobDescription: `${jobTitle} role building services at ${company}.`,
+          tags,
+          status: 'analyzed',
+          analysis: { matchingPercentage },
+        }))
+      );
+    });
+
+    it('should combine full-text search with facet filters and counts', async () => {
+      const response = await request(app)
+        .get('/api/job-match/search?q=engineer&tags=node&minScore=50')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.map((job) => job.company)).toEqual(['Acme']);
+      expect(response.body.pagination.total).toBe(1);
+      expect(response.body.pagination.sort).toBe('relevance');
+
+      // Each facet is counted without its own filter
+      const { facets } = response.body;
+      expect(facets.tags).toEqual([
+        { value: 'node', count: 1 },
+        { value: 'react', count: 1 },
+      ]);
+      expect(facets.score).toEqual([
+        { min: 0, max: 49, count: 1 },
+        { min: 70, max: 84, count: 1 },
+      ]);
+    });
+
+    it('should page through results with a cursor', async () => {
+      const first = await request(app)
+        .get('/api/job-match/search?sort=-matchingPercentage&limit=2')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(first.body.data.map((job) => job.company)).toEqual([
+        'Acme',
+        'Globex',
+      ]);
+      expect(first.body.pagination.hasMore).toBe(true);
+
+      const second = await request(app)
+        .get(
+          `/api/job-match/search?sort=-matchingPercentage&limit=2&cursor=${first.body.pagination.nextCursor}`
+        )
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(second.body.data.map((job) => job.company)).toEqual(['Initech']);
+      expect(second.body.pagination.nextCursor).toBeNull();
+      // Counted on the first page only
+      expect(first.body.pagination.total).toBe(3);
+      expect(second.body.pagination.total).toBeNull();
+      expect(second.body.facets).toBeNull();
+
+      await request(app)
+        .get(
+          `/api/job-match/search?sort=createdAt&cursor=${first.body.pagination.nextCursor}`
+        )
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+    });
+
+    it('should page past unscored job matches in both directions', async () => {
+      const user = await User.findOne({ email: 'jane@example.com' });
+      await JobMatch.create({
+        userId: user._id,
+        jobTitle: 'QA Engineer',
+        company: 'Hooli',
+        jobDescription: 'QA Engineer role building services at Hooli.',
+        status: 'pending',
+      });
+
+      // Follow the cursors one result at a time
+      const walk = async (sort) => {
+        const companies = [];
+        let cursor = '';
+        do {
+          const response = await request(app)
+            .get(
+              `/api/job-match/search?status=analyzed,pending&sort=${sort}&limit=1${cursor}`
+            )
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+          companies.push(...response.body.data.map((job) => job.company));
+          const { nextCursor } = response.body.pagination;
+          cursor = nextCursor ? `&cursor=${nextCursor}` : '';
+        } while (cursor);
+        return companies;
+      };
+
+      expect(await walk('-matchingPercentage')).toEqual([
+        'Acme',
+        'Globex',
+        'Initech',
+        'Hooli',
+      ]);
+      expect(await walk('matchingPercentage')).toEqual([
+        'Hooli',
+        'Initech',
+        'Globex',
+        'Acme',
+      ]);
+    });
+
+    it('should count facets on a later page when asked to', async () => {
+      const first = await request(app)
+        .get('/api/job-match/search?limit=1&facets=false')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(first.body.pagination.total).toBeNull();
+      expect(first.body.facets).toBeNull();
+
+      const second = await request(app)
+        .get(
+          `/api/job-match/search?limit=1&facets=true&cursor=${first.body.pagination.nextCursor}`
+        )
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(second.body.data).toHaveLength(1);
+      expect(second.body.data[0].company).not.toBe(first.body.data[0].company);
+      expect(second.body.pagination.total).toBe(3);
+      expect(second.body.facets.workMode).toEqual([
+        { value: 'hybrid', count: 1 },
+        { value: 'on-site', count: 1 },
+        { value: 'remote', count: 1 },
+      ]);
+    });
+
+    it('should export the filtered history as CSV and JSON', async () => {
+      const csv = await request(app)
+        .get(
+          '/api/job-match/export?format=csv&tags=node&sort=matchingPercentage'
+        )
+        .set('Authorization', `Bearer ${token}`)
+        .expect('Content-Type', /text\/csv/)
+        .expect(200);
+      const [header, ...rows] = parseCsv(csv.text);
+      expect(header).toContain('interviewQuestions');
+      expect(rows.map((row) => row[header.indexOf('company')])).toEqual([
+        'Initech',
+        'Acme',
+      ]);
+
+      const json = await request(app)
+        .get('/api/job-match/export?format=json&q=frontend')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(json.headers['content-disposition']).toMatch(/\.json"$/);
+      expect(json.body).toHaveLength(1);
+      expect(json.body[0].company).toBe('Globex');
+      expect(json.body[0].tags).toEqual(['react']);
+    });
+
+    it('should filter by tags set on a job match', async () => {
+      const job = await JobMatch.findOne({ company: 'Globex' });
+
+      await request(app)
+        .put(`/api/job-match/${job._id}/tags`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ tags: ['Shortlist', 'shortlist', 'react'] })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/job-match/search?tags=shortlist')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].tags).toEqual(['shortlist', 'react']);
+    });
+  });
+
+  describe('Duplicate detection', () => {
+    // Long enough for a content fingerprint
+    const posting = {
+      ...jobDetails,
+      jobDescription:
+        'We are looking for a backend engineer with Node.js, MongoDB and AWS experience to build our APIs. You will design services, review code, mentor teammates and keep our payment platform reliable.',
+    };
+
+    it('should offer the existing analysis for a near-duplicate posting', async () => {
+      const original = await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send(posting)
+        .expect(201);
+      const originalId = original.body.data._id;
+
+      const copy = {
+        ...posting,
+        jobTitle: 'Backend Engineer (Remote)',
+        company: 'Acme Inc.',
+      };
+
+      const conflict = await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...copy, duplicateStrategy: 'ask' })
+        .expect(409);
+      expect(conflict.body.code).toBe('DUPLICATE_JOB_MATCH');
+      expect(conflict.body.details.duplicateOf).toBe(originalId);
+      expect(conflict.body.details.matchedBy).toBe('content');
+
+      const calls = fakeProvider.calls.length;
+      const reused = await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...copy, duplicateStrategy: 'reuse' })
+        .expect(201);
+      expect(reused.body.data.duplicateOf).toBe(originalId);
+      expect(reused.body.data.analysis.matchingPercentage).toBe(
+        original.body.data.analysis.matchingPercentage
+      );
+      expect(fakeProvider.calls).toHaveLength(calls);
+
+      const duplicates = await request(app)
+        .get(`/api/job-match/${reused.body.data._id}/duplicates`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(duplicates.body.data.originalId).toBe(originalId);
+      expect(duplicates.body.data.duplicates.map((d) => d._id)).toEqual([
+        originalId,
+      ]);
+    });
+
+    it('should analyze a re-submitted posting again unless asked to check', async () => {
+      await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send(posting)
+        .expect(201);
+
+      const again = await request(app)
+        .post('/api/job-match/analyze-manual')
+        .set('Authorization', `Bearer ${token}`)
+        .send(posting)
+        .expect(201);
+      expect(again.body.data.duplicateOf).toEqual(expect.any(String));
+      expect(await JobMatch.countDocuments()).toBe(2);
+    });
+
+    it('should re-queue an analyzed URL by default and answer 409 only when asked', async () => {
+      const user = await User.findOne({ email: 'jane@example.com' });
+      const jobUrl = 'https://93.184.216.34/jobs/2';
+      const analyzed = await JobMatch.create({
+        userId: user._id,
+        ...posting,
+        jobUrl,
+        canonicalUrl: jobUrl,
+        status: 'analyzed',
+        analysis: { matchingPercentage: 70 },
+      });
+
+      const queued = await request(app)
+        .post('/api/job-match/analyze-url')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ jobUrl, async: true })
+        .expect(202);
+      expect(queued.body.data._id).toBe(analyzed._id.toString());
+      expect(queued.body.data.status).toBe('pending');
+
+      await JobMatch.updateOne({ _id: analyzed._id }, { status: 'analyzed' });
+      const conflict = await request(app)
+        .post('/api/job-match/analyze-url')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ jobUrl, async: true, duplicateStrategy: 'ask' })
+        .expect(409);
+      expect(conflict.body.details.matchedBy).toBe('url');
+    });
+
+    it('should keep the URL of a posting queued for the first time', async () => {
+      const user = await User.findOne({ email: 'jane@example.com' });
+      const jobUrl = 'https://93.184.216.34/jobs/1?utm_source=newsletter';
+
+      const queued = await jobMatchService.queueAnalysisFromUrl(
+        user._id,
+        jobUrl
+      );
+
+      const stored = await JobMatch.findById(queued._id);
+      expect(stored.jobUrl).toBe(jobUrl);
+      expect(stored.canonicalUrl).toBe('https://93.184.216.34/jobs/1');
+    });
+  });
+
+  describe('POST /api/job-match/compare', () => {
+    it('should compare analyzed jobs and recommend one', async () => {
+      const ids = [];
+      for (const company of ['Acme', 'Globex']) {
+        const created = await request(app)
+          .post('/api/job-match/analyze-manual')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ ...jobDetails, company })
+          .expect(201);
+        ids.push(created.body.data._id);
+      }
+
+      const response = await request(app)
+        .post('/api/job-match/compare')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ids })
+        .expect(200);
+
+      const { jobs, strengths, recommendation } = response.body.data;
+      expect(jobs.map((job) => job.company)).toEqual(['Acme', 'Globex']);
+      // The fake provider gives every analysis the same strengths
+      expect(strengths.shared.length).toBeGreaterThan(0);
+      expect(recommendation.recommendedJobId).toBe(ids[0]);
+      expect(recommendation.ranking.map((entry) => entry.jobId)).toEqual(ids);
+    });
+
+    it('should require between 2 and 5 job matches', async () => {
+      await request(app)
+        .post('/api/job-match/compare')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ids: ['507f1f77bcf86cd799439011'] })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/job-match/batch', () => {
+    it('should queue valid CSV rows and report per-item results', async () => {
+      const csv = [
+        'title,company,location,description',
+        `${jobDetails.jobTitle},${jobDetails.company},Remote,"${jobDetails.jobDescription}"`,
+        'X,Nobody,,too short',
+      ].join('\n');
+
+      const created = await request(app)
+        .post('/api/job-match/batch')
+        .set('Authorization', `Bearer ${token}`)
+        .attach('csv', Buffer.from(csv), 'jobs.csv')
+        .expect(202);
+      const batchId = created.body.data._id;
+      expect(created.body.data.items.map((item) => item.status)).toEqual([
+        'queued',
+        'invalid',
+      ]);
+
+      // Run the queued task the way the analysis worker would
+      const task = await AnalysisTask.claimNext('test-worker');
+      expect(task.batchId.toString()).toBe(batchId);
+      await jobMatchService.processAnalysisTask(task);
+
+      const batch = await request(app)
+        .get(`/api/job-match/batch/${batchId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(batch.body.data.status).toBe('completed');
+      expect(batch.body.data.summary).toMatchObject({
+        total: 2,
+        completed: 1,
+        invalid: 1,
+      });
+      expect(batch.body.data.items[0].matchingPercentage).toEqual(
+        expect.any(Number)
+      );
+    });
+
+    it('should accept a single URL field alongside a CSV upload', async () => {
+      const csv = [
+        'title,company,location,description',
+        `${jobDetails.jobTitle},${jobDetails.company},Remote,"${jobDetails.jobDescription}"`,
+      ].join('\n');
+
+      const response = await request(app)
+        .post('/api/job-match/batch')
+        .set('Authorization', `Bearer ${token}`)
+        .field('urls', 'http://127.0.0.1/jobs/1')
+        .attach('csv', Buffer.from(csv), 'jobs.csv')
+        .expect(202);
+
+      const { items } = response.body.data;
+      expect(items.map((item) => item.source)).toEqual(['url', 'csv']);
+      expect(items[0].jobUrl).toBe('http://127.0.0.1/jobs/1');
+      expect(items[0].status).toBe('invalid');
+      expect(items[1].status).toBe('queued');
+    });
+
+    it('should reject an empty batch', async () => {
+      await request(app)
+        .post('/api/job-match/batch')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ urls: [] })
+        .expect(400);
+    });
+  });
+});
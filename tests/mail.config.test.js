@@ -0,0 +1,51 @@
+describe('Mail config', () => {
+  const env = process.env;
+
+  // Load src/config/mail.js afresh with the given environment
+  const loadConfig = (overrides) => {
+    process.env = { ...env, ...overrides };
+    let config;
+    jest.isolateModules(() => {
+      config = require('../src/config/mail');
+    });
+    return config;
+  };
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  it('should print mail to the log in development without SMTP_HOST', () => {
+    const config = loadConfig({
+      NODE_ENV: 'development',
+      MAIL_DRIVER: '',
+      SMTP_HOST: '',
+    });
+
+    expect(config.driver).toBe('console');
+  });
+
+  it('should refuse to start in production without SMTP', () => {
+    expect(() =>
+      loadConfig({ NODE_ENV: 'production', MAIL_DRIVER: '', SMTP_HOST: '' })
+    ).toThrow(/MAIL_DRIVER=smtp and SMTP_HOST/);
+    expect(() =>
+      loadConfig({
+        NODE_ENV: 'production',
+        SMTP_HOST: 'smtp.example.com',
+        MAIL_DRIVER: 'console',
+      })
+    ).toThrow(/MAIL_DRIVER=smtp and SMTP_HOST/);
+  });
+
+  it('should send through SMTP in production', () => {
+    const config = loadConfig({
+      NODE_ENV: 'production',
+      MAIL_DRIVER: '',
+      SMTP_HOST: 'smtp.example.com',
+    });
+
+    expect(config.driver).toBe('smtp');
+    expect(config.transports.smtp.host).toBe('smtp.example.com');
+  });
+});
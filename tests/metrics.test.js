@@ -0,0 +1,16 @@
+const request = require('supertest');
+const app = require('../src/app');
+
+describe('GET /metrics', () => {
+  it('should export request latency per route in Prometheus format', async () => {
+    await request(app).get('/api/health').expect(200);
+
+    const response = await request(app).get('/metrics').expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/plain/);
+    expect(response.text).toContain(
+      'http_request_duration_seconds_count{method="GET",route="/api/health",status_code="200"}'
+    );
+    expect(response.text).toContain('# TYPE llm_requests_total counter');
+  });
+});
@@ -0,0 +1,75 @@
+const {
+  buildProfileSnapshot,
+  diffProfileSnapshots,
+  isSnapshotStale,
+} = require('../src/modules/job-match/profile-snapshot');
+
+const user = {
+  basicInfo: { username: 'jdoe', email: 'jdoe@example.com' },
+  professionalInfo: {
+    currentTitle: 'Backend Engineer',
+    experienceYears: 4,
+    experienceMonths: 6,
+    industry: 'Software',
+  },
+  otherInfo: {
+    skills: ['Node.js', 'MongoDB', 'node.js '],
+    softSkills: ['Communication'],
+    hobbiesAndInterests: ['Chess'],
+  },
+  education: { degree: 'BSc Computer Science', graduationYear: 2018 },
+  documents: {
+    resume: { url: 'https://files.example.com/resume.pdf', fileName: 'cv.pdf' },
+  },
+};
+
+describe('Profile snapshots', () => {
+  it('should capture the material profile fields', () => {
+    const snapshot = buildProfileSnapshot(user, {
+      resumeText: 'Resume text',
+      resumeUploadId: 'upload-1',
+    });
+
+    expect(snapshot.skills).toEqual(['MongoDB', 'Node.js']);
+    expect(snapshot.experienceMonths).toBe(54);
+    expect(snapshot.education.degree).toBe('BSc Computer Science');
+    expect(snapshot.resume.uploadId).toBe('upload-1');
+    expect(snapshot.resume.textHash).toHaveLength(64);
+    expect(snapshot.fingerprint).toHaveLength(64);
+  });
+
+  it('should ignore cosmetic profile changes', () => {
+    const before = buildProfileSnapshot(user);
+    const after = buildProfileSnapshot({
+      ...user,
+      basicInfo: { username: 'john', email: 'john@example.com' },
+      otherInfo: {
+        ...user.otherInfo,
+        skills: ['mongodb', 'Node.js'],
+        hobbiesAndInterests: [],
+      },
+    });
+
+    expect(after.fingerprint).toBe(before.fingerprint);
+    expect(isSnapshotStale(before, after.fingerprint)).toBe(false);
+  });
+
+  it('should report material profile changes as stale', () => {
+    const before = buildProfileSnapshot(user);
+    const after = buildProfileSnapshot({
+      ...user,
+      otherInfo: { ...user.otherInfo, skills: ['Node.js', 'MongoDB', 'AWS'] },
+      documents: { resume: { url: 'https://files.example.com/new.pdf' } },
+    });
+
+    expect(isSnapshotStale(before, after.fingerprint)).toBe(true);
+    expect(diffProfileSnapshots(before, after)).toEqual([
+      'skills',
+      'resume.url',
+    ]);
+  });
+
+  it('should not judge analyses that predate snapshots', () => {
+    expect(isSnapshotStale(undefined, 'abc')).toBeNull();
+  });
+});
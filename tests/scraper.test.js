@@ -0,0 +1,335 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const scraperService = require('../src/modules/job-match/scraper.service');
+const siteAdapters = require('../src/modules/job-match/adapters');
+const aiService = require('../src/modules/job-match/ai.service');
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, 'fixtures/adapters', name), 'utf8');
+
+const jsonLdPage = `
+<html>
+  <head>
+    <script type="application/ld+json">
+      {
+        "@context": "https://schema.org",
+        "@graph": [
+          { "@type": "WebSite", "name": "Acme Careers" },
+          {
+            "@type": "JobPosting",
+            "title": "Senior Backend Engineer",
+            "description": "&lt;p&gt;Build and run our Node.js APIs on AWS.&lt;/p&gt;&lt;ul&gt;&lt;li&gt;MongoDB&lt;/li&gt;&lt;/ul&gt;",
+            "datePosted": "2024-05-01",
+            "validThrough": "2024-06-30T23:59:59Z",
+            "employmentType": ["FULL_TIME", "CONTRACTOR"],
+            "jobLocationType": "TELECOMMUTE",
+            "hiringOrganization": {
+              "@type": "Organization",
+              "name": "Acme Corp",
+              "sameAs": "https://acme.example.com",
+              "logo": { "@type": "ImageObject", "url": "https://acme.example.com/logo.png" }
+            },
+            "jobLocation": {
+              "@type": "Place",
+              "address": {
+                "@type": "PostalAddress",
+                "addressLocality": "Berlin",
+                "addressCountry": "DE"
+              }
+            },
+            "baseSalary": {
+              "@type": "MonetaryAmount",
+              "currency": "EUR",
+              "value": {
+                "@type": "QuantitativeValue",
+                "minValue": 70000,
+                "maxValue": 90000,
+                "unitText": "YEAR"
+              }
+            }
+          }
+        ]
+      }
+    </script>
+  </head>
+  <body><h1>Careers</h1></body>
+</html>`;
+
+const microdataPage = `
+<div itemscope itemtype="https://schema.org/JobPosting">
+  <h1 itemprop="title">Data Analyst</h1>
+  <div itemprop="hiringOrganization" itemscope itemtype="https://schema.org/Organization">
+    <span itemprop="name">Globex</span>
+  </div>
+  <meta itemprop="datePosted" content="2024-04-15" />
+  <span itemprop="employmentType">Part-time</span>
+  <div itemprop="jobLocation" itemscope itemtype="https://schema.org/Place">
+    <div itemprop="address" itemscope itemtype="https://schema.org/PostalAddress">
+      <span itemprop="addressLocality">Austin</span>
+      <span itemprop="addressRegion">TX</span>
+    </div>
+  </div>
+  <div itemprop="description"><p>Analyse sales data and build dashboards for the team.</p></div>
+</div>`;
+
+describe('ScraperService structured data', () => {
+  it('should extract a JobPosting from JSON-LD', () => {
+    const details = scraperService.extractStructuredData(
+      cheerio.load(jsonLdPage)
+    );
+
+    expect(details.structuredDataSource).toBe('json-ld');
+    expect(details.jobTitle).toBe('Senior Backend Engineer');
+    expect(details.company).toBe('Acme Corp');
+    expect(details.location).toBe('Berlin, DE');
+    expect(details.jobDescription).toContain('Build and run our Node.js APIs');
+    expect(details.jobDescription).not.toContain('<p>');
+    expect(details.salary).toEqual({
+      min: 70000,
+      max: 90000,
+      currency: 'EUR',
+      period: 'YEAR',
+    });
+    expect(details.employmentType).toEqual(['FULL_TIME', 'CONTRACTOR']);
+    expect(details.isRemote).toBe(true);
+    expect(details.datePosted.toISOString()).toBe('2024-05-01T00:00:00.000Z');
+    expect(details.hiringOrganization).toEqual({
+      name: 'Acme Corp',
+      url: 'https://acme.example.com',
+      logo: 'https://acme.example.com/logo.png',
+    });
+  });
+
+  it('should fall back to microdata', () => {
+    const details = scraperService.extractStructuredData(
+      cheerio.load(microdataPage)
+    );
+
+    expect(details.structuredDataSource).toBe('microdata');
+    expect(details.jobTitle).toBe('Data Analyst');
+    expect(details.company).toBe('Globex');
+    expect(details.location).toBe('Austin, TX');
+    expect(details.employmentType).toEqual(['PART_TIME']);
+    expect(details.jobDescription).toContain('Analyse sales data');
+  });
+
+  it('should return nothing for pages without JobPosting markup', () => {
+    const details = scraperService.extractStructuredData(
+      cheerio.load('<html><body><h1>Hello</h1></body></html>')
+    );
+
+    expect(details).toEqual({});
+  });
+});
+
+describe('Site adapters', () => {
+  const scrapeFixture = (url, name) =>
+    scraperService.cleanJobDetails(
+      scraperService.extractFromHtml(
+        fixture(name),
+        siteAdapters.getAdapter(url)
+      )
+    );
+
+  it('should pick adapters by hostname, including subdomains', () => {
+    const name = (url) => siteAdapters.getAdapter(url).name;
+
+    expect(name('https://www.linkedin.com/jobs/view/123')).toBe('linkedin');
+    expect(name('https://uk.indeed.com/viewjob?jk=abc')).toBe('indeed');
+    expect(name('https://job-boards.greenhouse.io/initech/jobs/1')).toBe(
+      'greenhouse'
+    );
+    expect(name('https://jobs.eu.lever.co/hooli/abc')).toBe('lever');
+    expect(name('https://careers.example.com/jobs/1')).toBe('generic');
+  });
+
+  it('should share the registry with the job URL validator', () => {
+    expect(aiService.isValidJobURL('https://jobs.lever.co/hooli/abc')).toBe(
+      true
+    );
+    expect(
+      aiService.isValidJobURL('https://acme.wd5.myworkdayjobs.com/x')
+    ).toBe(true);
+    expect(aiService.isValidJobURL('https://example.com/careers/42')).toBe(
+      true
+    );
+    expect(aiService.isValidJobURL('https://youtube.com/watch?v=1')).toBe(
+      false
+    );
+    expect(aiService.isValidJobURL('ftp://linkedin.com/jobs/1')).toBe(false);
+  });
+
+  it('should scrape a LinkedIn job page', () => {
+    const details = scrapeFixture(
+      'https://www.linkedin.com/jobs/view/123',
+      'linkedin.html'
+    );
+
+    expect(details.jobTitle).toBe('Senior Backend Engineer');
+    expect(details.company).toBe('Acme Corp');
+    expect(details.location).toBe('Berlin, Germany');
+    expect(details.jobDescription).toContain('5+ years building APIs');
+  });
+
+  it('should scrape an Indeed job page', () => {
+    const details = scrapeFixture(
+      'https://www.indeed.com/viewjob?jk=abc',
+      'indeed.html'
+    );
+
+    expect(details.jobTitle).toBe('Data Analyst');
+    expect(details.company).toBe('Globex');
+    expect(details.location).toBe('Austin, TX');
+    expect(details.jobDescription).toContain('Requirements: SQL');
+  });
+
+  it('should scrape a Greenhouse job page', () => {
+    const details = scrapeFixture(
+      'https://boards.greenhouse.io/initech/jobs/4012345',
+      'greenhouse.html'
+    );
+
+    expect(details.jobTitle).toBe('Platform Engineer');
+    expect(details.company).toBe('Initech');
+    expect(details.location).toBe('Remote - US');
+    expect(details.jobDescription).toContain('Kubernetes clusters');
+  });
+
+  it('should scrape a Lever job page', () => {
+    const details = scrapeFixture(
+      'https://jobs.lever.co/hooli/5c1f2e0a-8d3b-4c6e-9f7a-2b4d6e8f0a1c',
+      'lever.html'
+    );
+
+    expect(details.jobTitle).toBe('Product Designer');
+    expect(details.company).toBe('Hooli');
+    expect(details.location).toBe('London, UK');
+    expect(details.jobDescription).toContain('collaboration tools');
+  });
+
+  it('should scrape an unknown site with the generic selectors', () => {
+    const details = scrapeFixture(
+      'https://careers.example.com/jobs/1',
+      'generic.html'
+    );
+
+    expect(details.jobTitle).toBe('Support Engineer');
+    expect(details.company).toBe('Umbrella Ltd');
+    expect(details.location).toBe('Manchester, UK');
+    expect(details.jobDescription).toContain('REST API');
+  });
+
+  it('should read Greenhouse postings from the Job Board API', () => {
+    const { api } = siteAdapters.getAdapter('https://boards.greenhouse.io');
+    const jobUrl = 'https://boards.greenhouse.io/initech/jobs/4012345';
+
+    expect(api.url(jobUrl)).toBe(
+      'https://boards-api.greenhouse.io/v1/boards/initech/jobs/4012345'
+    );
+    expect(
+      api.url(
+        'https://boards.greenhouse.io/embed/job_app?for=initech&token=4012345'
+      )
+    ).toBe('https://boards-api.greenhouse.io/v1/boards/initech/jobs/4012345');
+    expect(api.url('https://boards.greenhouse.io/initech')).toBeNull();
+
+    const details = api.parse(
+      JSON.parse(fixture('greenhouse.api.json')),
+      jobUrl
+    );
+    expect(details.jobTitle).toBe('Platform Engineer');
+    expect(details.company).toBe('Initech');
+    expect(details.isRemote).toBe(true);
+    expect(scraperService.htmlToText(details.jobDescription)).toContain(
+      'Run and upgrade our EKS clusters'
+    );
+  });
+
+  it('should read Lever postings from the Postings API', () => {
+    const { api } = siteAdapters.getAdapter('https://jobs.lever.co');
+    const jobUrl =
+      'https://jobs.lever.co/hooli/5c1f2e0a-8d3b-4c6e-9f7a-2b4d6e8f0a1c/apply';
+
+    expect(api.url(jobUrl)).toBe(
+      'https://api.lever.co/v0/postings/hooli/5c1f2e0a-8d3b-4c6e-9f7a-2b4d6e8f0a1c'
+    );
+    expect(api.url('https://jobs.lever.co/hooli')).toBeNull();
+
+    const details = api.parse(JSON.parse(fixture('lever.api.json')), jobUrl);
+    expect(details.jobTitle).toBe('Product Designer');
+    expect(details.company).toBe('Hooli');
+    expect(details.employmentType).toEqual(['FULL_TIME']);
+    expect(details.isRemote).toBe(false);
+    expect(details.salary).toEqual({
+      min: 60000,
+      max: 75000,
+      currency: 'GBP',
+      period: 'YEAR',
+    });
+    expect(scraperService.htmlToText(details.jobDescription)).toContain(
+      'A portfolio of shipped work'
+    );
+  });
+});
+
+describe('canonicalizeJobUrl', () => {
+  const { canonicalizeJobUrl } = siteAdapters;
+
+  it('should reduce known job boards to the posting ID', () => {
+    expect(
+      canonicalizeJobUrl(
+        'https://uk.linkedin.com/jobs/view/backend-engineer-at-acme-3812345678/?trk=public_jobs&refId=abc'
+      )
+    ).toBe('https://www.linkedin.com/jobs/view/3812345678');
+    expect(
+      canonicalizeJobUrl(
+        'https://www.linkedin.com/jobs/search/?currentJobId=3812345678&keywords=node'
+      )
+    ).toBe('https://www.linkedin.com/jobs/view/3812345678');
+    expect(
+      canonicalizeJobUrl('https://uk.indeed.com/viewjob?jk=a1b2c3&from=serp')
+    ).toBe(canonicalizeJobUrl('https://uk.indeed.com/jobs?q=node&vjk=a1b2c3'));
+  });
+
+  it('should strip tracking parameters from other sites', () => {
+    expect(
+      canonicalizeJobUrl(
+        'https://Careers.Example.com/jobs/42/?utm_source=x&b=2&a=1#apply'
+      )
+    ).toBe('https://careers.example.com/jobs/42?a=1&b=2');
+  });
+});
+
+describe('ScraperService.scrapeJobPosting', () => {
+  const url = 'https://careers.example.com/jobs/42';
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should fall back to puppeteer when the cheerio request fails', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest
+      .spyOn(scraperService, 'scrapeWithCheerio')
+      .mockRejectedValue(
+        new Error(
+          'Cheerio scraping failed: Request failed with status code 403'
+        )
+      );
+    const puppeteer = jest
+      .spyOn(scraperService, 'scrapeWithPuppeteer')
+      .mockResolvedValue({
+        jobTitle: 'Backend Engineer',
+        company: 'Acme',
+        location: 'Remote',
+        jobDescription:
+          'Build and run our Node.js APIs on AWS with MongoDB and a small, friendly team.',
+      });
+
+    const jobDetails = await scraperService.scrapeJobPosting(url);
+
+    expect(puppeteer).toHaveBeenCalledWith(url, expect.any(Object));
+    expect(jobDetails.jobTitle).toBe('Backend Engineer');
+  });
+});
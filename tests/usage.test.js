@@ -0,0 +1,15 @@
+const { estimateCost } = require('../src/utils/llm/usage');
+
+describe('AI usage cost estimate', () => {
+  const usage = { promptTokens: 1000000, completionTokens: 500000 };
+
+  it('should price a dated model name by its longest matching prefix', () => {
+    expect(estimateCost('openai', 'gpt-4o-mini-2024-07-18', usage)).toBe(0.45);
+    expect(estimateCost('openai', 'gpt-4o-2024-08-06', usage)).toBe(7.5);
+  });
+
+  it('should not price free providers or unknown models', () => {
+    expect(estimateCost('local', 'llama3.1', usage)).toBe(0);
+    expect(estimateCost('openai', 'some-new-model', usage)).toBeNull();
+  });
+});